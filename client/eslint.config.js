@@ -30,4 +30,17 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // The simulation core runs in a worker and in Node, it must not depend on three.js
+    files: ['src/simulation/**/*.js'],
+    rules: {
+      'no-restricted-imports': ['error', 'three'],
+    },
+  },
 ]
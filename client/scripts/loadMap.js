@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import { decodePngHeightmap } from '../src/simulation/HeightmapDecoder.js';
+
+const decodePng = (file) => {
+  const image = decodePngHeightmap(fs.readFileSync(file));
+  if (!image) {
+    throw new Error(`${file} is not an 8 or 16-bit PNG`);
+  }
+  return image;
+};
+
+/**
+ * Read a PNG heightmap and its JSON sidecar (same name, like the bundled maps) for the simulation
+ * The sidecar's resourceLayers ({ ice, soil, weather } PNGs, relative to the sidecar) are decoded too.
+ * Returns { heightmap, metadata, resourceLayers }, metadata is null without a sidecar.
+ */
+export const loadMap = (file) => {
+  const heightmap = decodePng(file);
+  const sidecar = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.json`);
+  const metadata = fs.existsSync(sidecar) ? JSON.parse(fs.readFileSync(sidecar, 'utf8')) : null;
+
+  const resourceLayers = {};
+  Object.entries((metadata && metadata.resourceLayers) || {}).forEach(([type, layerFile]) => {
+    resourceLayers[type] = decodePng(path.resolve(path.dirname(sidecar), layerFile));
+  });
+  return { heightmap, metadata, resourceLayers };
+};
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import readline from 'readline';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import RoverEnv from '../src/simulation/RoverEnv.js';
+import { registerReward } from '../src/simulation/RoverRewards.js';
+import { loadMap } from './loadMap.js';
+
+/**
+ * Serve a RoverEnv to external training scripts
+ *
+ *   npm run rover-env -- [--config env.json] [--rewards rewards.js] [--maps dir] [--http port]
+ *
+ * Without --http, requests are read from stdin and responses written to stdout, one JSON object
+ * per line. With --http, each command is a POST to /<command> with the other fields as JSON body.
+ *
+ *   { "command": "configure", "config": { "robots": 2, "reward": { "rocksVisited": 1, "energyUsed": 0.1 } } }
+ *   { "command": "reset", "seed": 42, "map": "crater.png" }   -> { observations, info }
+ *   { "command": "step", "actions": [{ "throttle": 1, "steer": -0.5 }] }
+ *                                                            -> { observations, rewards, reward, done, terminated, truncated, info }
+ *   { "command": "spaces" }                                  -> action and observation spaces
+ *
+ * A request's "id" is copied to its response, errors are answered with { error }. Maps are PNG
+ * heightmaps (with their JSON sidecar) relative to --maps. Every export of the --rewards module is
+ * registered as a reward factory under its name, for use in the config's reward.
+ */
+
+const handleRequest = (env, { command, ...params }) => {
+  switch (command) {
+    case 'configure':
+      env.configure(params.config);
+      return { config: env.config };
+    case 'reset':
+      return env.reset(params.seed, params.map);
+    case 'step':
+      return env.step(params.actions);
+    case 'spaces':
+      return env.getSpaces();
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+};
+
+const serveStdio = (env) => {
+  const lines = readline.createInterface({ input: process.stdin });
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    let response;
+    let id;
+    try {
+      const request = JSON.parse(line);
+      id = request.id;
+      response = handleRequest(env, request);
+    } catch (error) {
+      response = { error: error.message };
+    }
+    process.stdout.write(`${JSON.stringify(id === undefined ? response : { id, ...response })}\n`);
+  });
+};
+
+const serveHttp = (env, port) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const command = req.url.replace(/^\//, '').split('?')[0];
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (!['configure', 'reset', 'step', 'spaces'].includes(command)) {
+        reply(404, { error: `Unknown command: ${command}` });
+        return;
+      }
+      try {
+        const params = body ? JSON.parse(body) : {};
+        reply(200, handleRequest(env, { ...params, command }));
+      } catch (error) {
+        reply(400, { error: error.message });
+      }
+    });
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.error(`Rover environment listening on http://127.0.0.1:${port}`);
+  });
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string' },
+      rewards: { type: 'string' },
+      maps: { type: 'string', default: '.' },
+      http: { type: 'string' }
+    }
+  });
+
+  // Keep stdout for the protocol
+  console.log = console.error;
+
+  if (values.rewards) {
+    const rewards = await import(pathToFileURL(path.resolve(values.rewards)).href);
+    Object.entries(rewards).forEach(([name, factory]) => registerReward(name, factory));
+  }
+
+  const config = values.config ? JSON.parse(fs.readFileSync(values.config, 'utf8')) : {};
+  const env = new RoverEnv(config, { loadMap: name => loadMap(path.resolve(values.maps, name)) });
+
+  if (values.http) {
+    serveHttp(env, Number(values.http));
+  } else {
+    serveStdio(env);
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
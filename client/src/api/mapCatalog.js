@@ -0,0 +1,157 @@
+import { getTerrainImages } from './terrainAPI';
+import { RESOURCE_TYPES } from '../simulation/ResourceFields';
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+// Prefix used in the ?map= query param to tell server maps apart from bundled file paths
+export const SERVER_MAP_PREFIX = 'server:';
+
+// Derive a display name from a map filename
+const getMapNameFromFilename = (filename) => {
+  if (!filename) return 'Unknown Map';
+  return filename.replace(/\.png$/i, '').replace(/_/g, ' ');
+};
+
+/**
+ * Normalize real-world map metadata, missing values are null.
+ * elevationMin/elevationMax are the elevations (meters) of black and white heightmap pixels,
+ * metersPerPixel is the horizontal resolution. resourceLayers are images of the map's resource
+ * fields by type ({ ice, soil, weather }, 0-1 from black to white), missing fields are generated.
+ */
+export const normalizeMapMetadata = (raw = {}) => {
+  const toNumber = (value) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))
+    ? null
+    : Number(value));
+  const metadata = {
+    elevationMin: toNumber(raw.elevationMin),
+    elevationMax: toNumber(raw.elevationMax),
+    metersPerPixel: toNumber(raw.metersPerPixel),
+    verticalExaggeration: toNumber(raw.verticalExaggeration) ?? 1,
+    origin: raw.origin
+      ? { latitude: toNumber(raw.origin.latitude), longitude: toNumber(raw.origin.longitude) }
+      : null,
+    resourceLayers: {}
+  };
+  RESOURCE_TYPES.forEach(type => {
+    if (raw.resourceLayers && typeof raw.resourceLayers[type] === 'string') {
+      metadata.resourceLayers[type] = raw.resourceLayers[type];
+    }
+  });
+  // Ignore an elevation range that can't be used
+  if (metadata.elevationMin === null || metadata.elevationMax === null ||
+      metadata.elevationMax <= metadata.elevationMin) {
+    metadata.elevationMin = null;
+    metadata.elevationMax = null;
+  }
+  if (metadata.metersPerPixel !== null && metadata.metersPerPixel <= 0) {
+    metadata.metersPerPixel = null;
+  }
+  if (metadata.verticalExaggeration <= 0) {
+    metadata.verticalExaggeration = 1;
+  }
+  return metadata;
+};
+
+// Maps shipped with the client in /public/maps, each can have a JSON sidecar
+// (e.g. crater.json next to crater.png) with name, description and metadata
+const mapFiles = import.meta.glob('/public/maps/*.png');
+const sidecarFiles = new Set(Object.keys(import.meta.glob('/public/maps/*.json')));
+const bundledMaps = Object.keys(mapFiles).map(path => {
+  const filename = path.split('/').pop();
+  const publicPath = path.replace(/^\/public/, '');
+  const sidecarPath = path.replace(/\.png$/i, '.json');
+  return {
+    id: publicPath,
+    name: getMapNameFromFilename(filename),
+    path: publicPath, // Value stored in the URL
+    url: publicPath,  // Where the heightmap image is loaded from
+    metadataUrl: sidecarFiles.has(sidecarPath) ? sidecarPath.replace(/^\/public/, '') : null,
+    metadata: normalizeMapMetadata(),
+    source: 'bundled'
+  };
+});
+bundledMaps.sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Get the maps bundled with the client, without their sidecar metadata
+ */
+export const getBundledMaps = () => bundledMaps;
+
+/**
+ * Get the bundled maps with their sidecar metadata applied.
+ * A sidecar that fails to load only leaves that map with default metadata.
+ */
+export const loadBundledMaps = async () => {
+  const maps = await Promise.all(bundledMaps.map(async (map) => {
+    if (!map.metadataUrl) return map;
+    try {
+      const response = await fetch(map.metadataUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const sidecar = await response.json();
+      const metadata = normalizeMapMetadata(sidecar);
+      // Resource layers are relative to the sidecar
+      const sidecarUrl = new URL(map.metadataUrl, window.location.href);
+      Object.entries(metadata.resourceLayers).forEach(([type, file]) => {
+        metadata.resourceLayers[type] = new URL(file, sidecarUrl).href;
+      });
+      return {
+        ...map,
+        name: sidecar.name || sidecar.title || map.name,
+        description: sidecar.description,
+        metadata
+      };
+    } catch (error) {
+      console.warn(`Could not load metadata for ${map.path}:`, error);
+      return map;
+    }
+  }));
+  return maps.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Convert a MarsPicture summary from the API into a catalog entry
+ */
+const toServerMap = (image) => ({
+  id: image._id,
+  name: image.title,
+  description: image.description,
+  path: `${SERVER_MAP_PREFIX}${image._id}`,
+  url: `${API_URL}${image.imageUrl}`,
+  thumbnailUrl: `${API_URL}${image.thumbnailUrl}`,
+  dimensions: image.dimensions,
+  metadata: normalizeMapMetadata(image.metadata),
+  source: 'server'
+});
+
+/**
+ * Fetch every map stored on the server, following the pagination cursor
+ */
+export const fetchServerMaps = async () => {
+  const maps = [];
+  let cursor;
+  do {
+    const response = await getTerrainImages({ limit: 100, sort: 'title', order: 'asc', cursor });
+    maps.push(...response.data.images.map(toServerMap));
+    cursor = response.data.nextCursor;
+  } while (cursor);
+  return maps;
+};
+
+/**
+ * Merge bundled and server maps into one list for the map selector
+ */
+export const mergeMapCatalog = (bundled = bundledMaps, serverMaps = []) => [...bundled, ...serverMaps];
+
+/**
+ * Pick the map to show from the catalog.
+ * Returns null while a requested server map may still arrive with the catalog.
+ */
+export const resolveSelectedMap = (maps, requestedPath, catalogLoaded) => {
+  const requested = maps.find(map => map.path === requestedPath);
+  if (requested) return requested;
+
+  if (!catalogLoaded && requestedPath?.startsWith(SERVER_MAP_PREFIX)) {
+    return null;
+  }
+  return maps.length > 0 ? maps[0] : null;
+};
@@ -2,10 +2,17 @@ import axios from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL; // Make sure your .env file has this
 
-// Fetch all available terrain images from the database
-export const getTerrainImages = async () => {
+// Write routes require a logged-in member
+const authHeaders = () => {
+  const token = localStorage.getItem('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Fetch a page of terrain image metadata from the database
+// params: { page, limit, cursor, sort: 'createdAt' | 'title' | 'size', order: 'asc' | 'desc', search }
+export const getTerrainImages = async (params = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/api/terrain-images`);
+    const response = await axios.get(`${API_URL}/api/terrain-images`, { params });
     return response;
   } catch (error) {
     console.error('Error fetching terrain images:', error);
@@ -13,11 +20,11 @@ export const getTerrainImages = async () => {
   }
 };
 
-// Upload a new terrain image
+// Upload a new terrain image (FormData with an 'image' file and optional title/description)
 export const uploadTerrainImage = async (imageData) => {
   try {
     const response = await axios.post(`${API_URL}/api/terrain-images`, imageData, {
-      headers: { 'Content-Type': 'multipart/form-data' }
+      headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
     });
     return response;
   } catch (error) {
@@ -29,7 +36,9 @@ export const uploadTerrainImage = async (imageData) => {
 // Update an existing terrain image by its id
 export const updateTerrainImage = async (id, imageData) => {
   try {
-    const response = await axios.put(`${API_URL}/api/terrain-images/${id}`, imageData);
+    const response = await axios.put(`${API_URL}/api/terrain-images/${id}`, imageData, {
+      headers: authHeaders()
+    });
     return response;
   } catch (error) {
     console.error('Error updating terrain image:', error);
@@ -40,7 +49,9 @@ export const updateTerrainImage = async (id, imageData) => {
 // Delete a terrain image by its id
 export const deleteTerrainImage = async (id) => {
   try {
-    const response = await axios.delete(`${API_URL}/api/terrain-images/${id}`);
+    const response = await axios.delete(`${API_URL}/api/terrain-images/${id}`, {
+      headers: authHeaders()
+    });
     return response;
   } catch (error) {
     console.error('Error deleting terrain image:', error);
@@ -1,40 +1,86 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useCallback } from 'react';
 import '../styles/MapView.css';
 import { useRobots } from '../context/RobotContext';
-import { getTerrainImages } from '../api/terrainAPI';  // API function to fetch images
+import bridgeService from '../context/BridgeService';
 
-// Accept mapPath prop
-const MapView = ({ mapPath }) => { 
+// Resource fields that can be shown over the map
+const RESOURCE_OVERLAYS = [
+  { type: 'ice', label: 'Subsurface ice' },
+  { type: 'soil', label: 'Soil quality' },
+  { type: 'weather', label: 'Local weather' }
+];
+
+// Accept the selected map catalog entry (bundled or server-stored)
+// and the id of the patrol route being drawn, if any
+const MapView = ({ map, editingPatrolRouteId = null }) => { 
   const mapRef = useRef(null);
   const [mapDimensions, setMapDimensions] = useState({ width: 0, height: 0 });
+  // Route editing: clicks add waypoints to the selected robot instead of adding robots
+  const [editingRoute, setEditingRoute] = useState(false);
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [draftWaypoints, setDraftWaypoints] = useState(null); // Waypoints while one is dragged
+  const draftRef = useRef(null);
+  const commitRef = useRef(null); // Saves the edited points, kept current for the drag listeners
+  const [overlayType, setOverlayType] = useState(''); // Resource field shown over the map, '' for none
+  const [fogOfWar, setFogOfWar] = useState(false); // Only show what the robots have seen
+  const fogCanvasRef = useRef(null);
 
   // Use the robot context instead of local state and events
   const { 
     robots,
     selectedRobotId,
+    selectedRobot,
     selectRobot,
     addRobotAtPosition,
+    setRobotRoute,
+    patrolRoutes,
+    savePatrolRoute,
     terrainDimensions, // Get terrain dimensions from context
-    renderer // Get renderer from context
+    renderer, // Get renderer from context
+    resourceOverlays,
+    exploration
   } = useRobots();
 
-  // Effect to load the terrain when mapPath or renderer changes
+  // Effect to load the terrain when the map or renderer changes
   useEffect(() => {
-    // Ensure we have a valid renderer AND a valid (non-null, non-empty) mapPath before trying to load
-    if (renderer && mapPath) { 
-      console.log(`MapView: Loading terrain for mapPath: ${mapPath}`);
+    // Ensure we have a valid renderer AND a selected map before trying to load
+    if (renderer && map) { 
+      console.log(`MapView: Loading terrain for map: ${map.path}`);
       // Check if loadTerrain exists before calling
       if (typeof renderer.loadTerrain === 'function') {
-        renderer.loadTerrain(mapPath);
+        renderer.loadTerrain(map);
       } else {
         console.error("MapView: Renderer object does not have a loadTerrain method.");
       }
     } else {
-      // Log if renderer or mapPath is missing or invalid
+      // Log if renderer or map is missing
       if (!renderer) console.log("MapView: Waiting for renderer...");
-      if (!mapPath) console.log("MapView: Waiting for valid mapPath..."); // Check for null/undefined/empty
+      if (!map) console.log("MapView: Waiting for a selected map...");
+    }
+  }, [renderer, map]); // Dependency array includes renderer and map
+
+  // Paint the fog over the unexplored cells, one pixel per cell (the canvas is stretched over
+  // the map, which softens the edges). Everything is dark until the first cells come in.
+  useEffect(() => {
+    const canvas = fogCanvasRef.current;
+    if (!fogOfWar || !canvas) return;
+
+    const { columns, rows, cells } = exploration;
+    const context = canvas.getContext('2d');
+    if (!cells) {
+      canvas.width = 1;
+      canvas.height = 1;
+      context.fillRect(0, 0, 1, 1);
+      return;
     }
-  }, [renderer, mapPath]); // Dependency array includes renderer and mapPath
+    canvas.width = columns;
+    canvas.height = rows;
+    const image = context.createImageData(columns, rows);
+    cells.forEach((cell, i) => {
+      image.data[i * 4 + 3] = cell ? 0 : 255;
+    });
+    context.putImageData(image, 0, 0);
+  }, [fogOfWar, exploration]);
 
   // Set up map dimensions on mount
   useEffect(() => {
@@ -73,8 +119,9 @@ const MapView = ({ mapPath }) => {
     const zPercent = (z + terrainHeight / 2) / terrainHeight; // Use terrainHeight for Z
 
     // Convert from percentage to pixels on the map
+    // The heightmap's top row is at -Z, so -Z is at the top of the map like the background image
     let mapX = xPercent * mapDimensions.width;
-    let mapY = (1 - zPercent) * mapDimensions.height; // Invert Y-axis
+    let mapY = zPercent * mapDimensions.height;
 
     // Clamp coordinates to ensure the marker stays visually within bounds
     mapX = Math.max(0, Math.min(mapX, mapDimensions.width));
@@ -91,51 +138,289 @@ const MapView = ({ mapPath }) => {
     selectRobot(robot.id);
   };
 
-  // For adding a new robot at a specific map position
-  const handleMapClick = (e) => {
-    if (!mapRef.current) return;
-    
-    // Get click position relative to map
-    const rect = mapRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const clickY = e.clientY - rect.top;
-    
-    // Convert map coordinates to terrain coordinates
-    const clickXPercent = clickX / mapDimensions.width;
-    const clickYPercent = clickY / mapDimensions.height;
+  // Convert a pointer position to terrain coordinates, null if terrain dimensions aren't known yet
+  const clientToTerrain = useCallback((clientX, clientY) => {
+    if (!mapRef.current) return null;
 
     // Use dynamic terrain dimensions from context
     const { width: terrainWidth, height: terrainHeight } = terrainDimensions;
 
     // Handle case where dimensions might not be loaded yet or are zero
     if (!terrainWidth || terrainWidth <= 0 || !terrainHeight || terrainHeight <= 0) {
-      console.warn("MapView: Cannot add robot, terrain dimensions not valid.", { terrainWidth, terrainHeight });
-      return;
+      console.warn("MapView: Terrain dimensions not valid.", { terrainWidth, terrainHeight });
+      return null;
+    }
+
+    // Get position relative to map as a percentage (kept inside the map while dragging)
+    const rect = mapRef.current.getBoundingClientRect();
+    const xPercent = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    const zPercent = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+
+    return {
+      x: (xPercent * terrainWidth) - (terrainWidth / 2),
+      z: (zPercent * terrainHeight) - (terrainHeight / 2) // Use terrainHeight for Z
+    };
+  }, [terrainDimensions]);
+
+  const route = selectedRobot?.route || { waypoints: [], loop: false, index: 0 };
+  // A patrol route being drawn takes over the map from the selected robot's route
+  const editedPatrolRoute = editingPatrolRouteId
+    ? patrolRoutes.find(patrolRoute => patrolRoute.id === editingPatrolRouteId)
+    : null;
+  const isEditing = !!editedPatrolRoute || (editingRoute && !!selectedRobotId);
+  const editedPoints = editedPatrolRoute ? editedPatrolRoute.points : route.waypoints;
+  const waypoints = draftWaypoints || editedPoints;
+
+  // Save the edited points to the patrol route or the robot's route
+  const commitPoints = (points) => {
+    if (editedPatrolRoute) {
+      savePatrolRoute({ ...editedPatrolRoute, points });
+    } else if (selectedRobotId) {
+      setRobotRoute(selectedRobotId, { waypoints: points, loop: route.loop });
+    }
+  };
+  commitRef.current = commitPoints;
+
+  // Terrain points clicked in the 3D views, the handler kept current for the subscription.
+  // They are added to the edited route, otherwise a plain click on the main view's terrain
+  // deselects, like a click on empty space.
+  const terrainPickRef = useRef(null);
+  terrainPickRef.current = (point) => {
+    if (isEditing) {
+      commitPoints([...editedPoints, { x: point.x, z: point.z }]);
+    } else if (point.view === 'main') {
+      selectRobot(null);
+    }
+  };
+  useEffect(() => bridgeService.subscribe('terrainPointPicked', point => terrainPickRef.current(point)), []);
+
+  // Stop editing when the robot is deselected or a patrol route is drawn
+  useEffect(() => {
+    if (!selectedRobotId || editingPatrolRouteId) {
+      setEditingRoute(false);
     }
+  }, [selectedRobotId, editingPatrolRouteId]);
+
+  // Drag a waypoint, the points are only saved when it's dropped
+  useEffect(() => {
+    if (draggingIndex === null) return undefined;
+
+    const handleMouseMove = (e) => {
+      const point = clientToTerrain(e.clientX, e.clientY);
+      if (!point || !draftRef.current) return;
+      draftRef.current = draftRef.current.map((waypoint, i) => (i === draggingIndex ? point : waypoint));
+      setDraftWaypoints(draftRef.current);
+    };
 
-    // Convert map click percentage back to terrain coordinates
-    const terrainX = (clickXPercent * terrainWidth) - (terrainWidth / 2);
-    const terrainZ = ((1 - clickYPercent) * terrainHeight) - (terrainHeight / 2); // Use terrainHeight for Z
+    const handleMouseUp = () => {
+      if (draftRef.current) {
+        commitRef.current(draftRef.current);
+      }
+      draftRef.current = null;
+      setDraftWaypoints(null);
+      setDraggingIndex(null);
+    };
 
-    console.log(`Map clicked at (${clickX}, ${clickY}), terrain coordinates: (${terrainX.toFixed(2)}, ${terrainZ.toFixed(2)})`);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [draggingIndex, clientToTerrain]);
+
+  const handleWaypointMouseDown = (e, index) => {
+    if (!isEditing || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    draftRef.current = editedPoints.map(point => ({ ...point }));
+    setDraftWaypoints(draftRef.current);
+    setDraggingIndex(index);
+  };
+
+  const handleWaypointDelete = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!isEditing) return;
+    commitPoints(editedPoints.filter((_, i) => i !== index));
+  };
+
+  const handleLoopToggle = () => {
+    if (selectedRobotId) {
+      setRobotRoute(selectedRobotId, { waypoints: route.waypoints, loop: !route.loop });
+    }
+  };
+
+  const handleClearRoute = () => {
+    if (selectedRobotId) {
+      setRobotRoute(selectedRobotId, { waypoints: [], loop: route.loop });
+    }
+  };
+
+  // Add a point to the edited route, or a new robot at the clicked position
+  const handleMapClick = (e) => {
+    const point = clientToTerrain(e.clientX, e.clientY);
+    if (!point) return;
+
+    if (isEditing) {
+      commitPoints([...editedPoints, point]);
+      return;
+    }
+
+    console.log(`Map clicked, terrain coordinates: (${point.x.toFixed(2)}, ${point.z.toFixed(2)})`);
     
     // Use context function to add robot
-    addRobotAtPosition(terrainX, terrainZ);
+    addRobotAtPosition(point.x, point.z);
   };
 
+  // Points in map pixels for an svg polyline, the first one repeated at the end to close a loop
+  const toPolyline = (coords, closed) => [...coords, ...(closed && coords.length > 2 ? [coords[0]] : [])]
+    .map(({ x, y }) => `${x},${y}`)
+    .join(' ');
+  const waypointCoords = waypoints.map(point => terrainToMapCoords(point.x, point.z));
+  const waypointLine = toPolyline(
+    waypointCoords,
+    editedPatrolRoute ? editedPatrolRoute.shape === 'polygon' : route.loop
+  );
+  const currentWaypoint = editedPatrolRoute
+    ? -1
+    : (selectedRobot?.behaviorGoal === 'followPath' ? route.index : -1);
+
   return (
     <div className="map-view-container">
       <div className="map-controls">
         {/* Add Robot button removed as per request */}
-        <p className="map-instructions">Click anywhere on the map to add a robot. Click on a robot to select it.</p>
+        {selectedRobot && !editedPatrolRoute && (
+          <div className="route-controls">
+            <button
+              className={`route-button ${editingRoute ? 'active' : ''}`}
+              onClick={() => setEditingRoute(!editingRoute)}
+            >
+              {editingRoute ? 'Done' : 'Edit Route'}
+            </button>
+            <label className="route-loop">
+              <input type="checkbox" checked={route.loop} onChange={handleLoopToggle} />
+              Loop
+            </label>
+            <button
+              className="route-button"
+              onClick={handleClearRoute}
+              disabled={route.waypoints.length === 0}
+            >
+              Clear
+            </button>
+          </div>
+        )}
+        <p className="map-instructions">
+          {editedPatrolRoute && `Click to add points to "${editedPatrolRoute.name}", drag to move them, right-click to delete.`}
+          {!editedPatrolRoute && (editingRoute
+            ? 'Click the map or the 3D views to add waypoints, drag to move them, right-click to delete.'
+            : 'Click anywhere on the map to add a robot. Click on a robot to select it.')}
+        </p>
+        <label className="fog-toggle" title="Darken the ground no robot has seen and hide undetected rocks">
+          <input type="checkbox" checked={fogOfWar} onChange={(e) => setFogOfWar(e.target.checked)} />
+          Fog of war
+        </label>
+        <label className="overlay-select">
+          Overlay
+          <select value={overlayType} onChange={(e) => setOverlayType(e.target.value)}>
+            <option value="">None</option>
+            {RESOURCE_OVERLAYS.map(({ type, label }) => (
+              <option key={type} value={type} disabled={!resourceOverlays[type]}>{label}</option>
+            ))}
+          </select>
+        </label>
       </div>
       
-      <div className="map-view" ref={mapRef} onClick={handleMapClick}>
+      <div className={`map-view ${isEditing ? 'editing-route' : ''}`} ref={mapRef} onClick={handleMapClick}>
         {/* Set background image dynamically */}
         <div 
           className="map-background" 
-          style={{ backgroundImage: mapPath ? `url(${mapPath})` : 'none' }}
+          style={{ backgroundImage: map ? `url(${map.url})` : 'none' }}
         ></div>
+        {/* Resource field, more opaque where the value is higher */}
+        {overlayType && resourceOverlays[overlayType] && (
+          <div
+            className="resource-overlay"
+            style={{ backgroundImage: `url(${resourceOverlays[overlayType]})` }}
+          ></div>
+        )}
+        {fogOfWar && <canvas className="fog-overlay" ref={fogCanvasRef}></canvas>}
+        {/* Planned routes, drawn under the robot markers */}
+        <svg className="route-overlay" width={mapDimensions.width} height={mapDimensions.height}>
+          {/* Terrain objects the robots have detected, only shown in the fog */}
+          {fogOfWar && exploration.discoveredObstacles.map((obstacle, i) => {
+            const center = terrainToMapCoords(obstacle.x, obstacle.z);
+            const radius = (obstacle.radius / terrainDimensions.width) * mapDimensions.width;
+            return (
+              <circle
+                key={i}
+                cx={center.x}
+                cy={center.y}
+                r={Math.max(2, radius)}
+                className={`discovered-obstacle ${obstacle.type}`}
+              />
+            );
+          })}
+          {/* Patrol routes other than the one being drawn */}
+          {patrolRoutes.map(patrolRoute => {
+            if (patrolRoute.id === editingPatrolRouteId || patrolRoute.points.length < 2) return null;
+            const coords = patrolRoute.points.map(point => terrainToMapCoords(point.x, point.z));
+            const isAssigned = selectedRobot?.patrolRouteId === patrolRoute.id;
+            return (
+              <polyline
+                key={patrolRoute.id}
+                points={toPolyline(coords, patrolRoute.shape === 'polygon')}
+                className={`patrol-line ${isAssigned ? 'assigned' : ''}`}
+              />
+            );
+          })}
+          {Array.isArray(robots) && robots.map(robot => {
+            if (!robot?.position || !robot.path || robot.path.length === 0) return null;
+            const points = [robot.position, ...robot.path]
+              .map(point => terrainToMapCoords(point.x, point.z))
+              .map(({ x, y }) => `${x},${y}`)
+              .join(' ');
+            return (
+              <polyline
+                key={robot.id}
+                points={points}
+                className={`route-line ${robot.id === selectedRobotId ? 'selected' : ''}`}
+              />
+            );
+          })}
+          {/* Obstacles the selected robot detects, red the ones it's steering around */}
+          {selectedRobot?.detectedObstacles?.map((obstacle, i) => {
+            const center = terrainToMapCoords(obstacle.x, obstacle.z);
+            const radius = (obstacle.radius / terrainDimensions.width) * mapDimensions.width;
+            return (
+              <circle
+                key={i}
+                cx={center.x}
+                cy={center.y}
+                r={Math.max(3, radius)}
+                className={`obstacle-marker ${obstacle.avoided ? 'avoiding' : ''}`}
+              />
+            );
+          })}
+          {/* The edited patrol route or the selected robot's waypoint route */}
+          {waypointCoords.length > 1 && (
+            <polyline points={waypointLine} className="waypoint-line" />
+          )}
+        </svg>
+        {waypointCoords.map(({ x, y }, i) => (
+          <div
+            key={i}
+            className={`waypoint-marker ${isEditing ? 'editable' : ''} ${editedPatrolRoute ? 'patrol' : ''} ${i === currentWaypoint ? 'current' : ''}`}
+            style={{ left: `${x}px`, top: `${y}px` }}
+            onMouseDown={(e) => handleWaypointMouseDown(e, i)}
+            onContextMenu={(e) => handleWaypointDelete(e, i)}
+            onClick={(e) => e.stopPropagation()}
+            title={isEditing ? `Waypoint ${i + 1} - drag to move, right-click to delete` : `Waypoint ${i + 1}`}
+          >
+            {i + 1}
+          </div>
+        ))}
         <div className="robot-container">
           {/* Ensure robots is an array before mapping */}
           {Array.isArray(robots) && robots.map(robot => {
@@ -2,9 +2,11 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import '../styles/MarsNavbar.css';
 import { useRobots } from '../context/RobotContext';
+import { encodeExploredCells } from '../simulation/ExplorationMap';
+import { getRemainingTasks } from '../simulation/TaskQueue';
 
 const MarsNavbar = () => {
-  const { robots } = useRobots();
+  const { robots, patrolRoutes, simulation, exploration } = useRobots();
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const navigate = useNavigate();
   const isLoggedIn = !!localStorage.getItem("token");
@@ -56,8 +58,8 @@ const MarsNavbar = () => {
       
       const missionRestarted = localStorage.getItem("missionRestarted") === "true";
 
-      // If there are no robots, finish here
-      if (!robots || robots.length === 0) {
+      // If there are no robots or patrol routes, finish here
+      if ((!robots || robots.length === 0) && patrolRoutes.length === 0) {
         setMessage(missionRestarted ? "Mission restarted successfully." : "All progress cleared successfully. No robots on map.");
         setSuccessStep(true);
         setTimeout(() => {
@@ -69,7 +71,7 @@ const MarsNavbar = () => {
       }
       
       // Build an array of progress objects for all robots
-      const progressArray = robots.map(robot => ({
+      const progressArray = (robots || []).map(robot => ({
         robotId: robot.id,
         position: robot.position,
         height: robot.height,
@@ -81,10 +83,24 @@ const MarsNavbar = () => {
           sensorRange: 100,
           turnRate: 0.05,
           batteryCapacity: 100,
-          batteryLevel: 100
-        }
+          batteryLevel: 100,
+          maxSlope: 30
+        },
+        patrolRouteId: robot.patrolRouteId || null,
+        // The task being run is saved with what is left of it
+        taskQueue: getRemainingTasks(robot.taskQueue)
       }));
       
+      // The seed replays the mission, the explored cells are what fog of war reveals
+      const mission = { seed: simulation.seed };
+      if (exploration.cells) {
+        mission.exploration = {
+          columns: exploration.columns,
+          rows: exploration.rows,
+          cells: encodeExploredCells(exploration.cells)
+        };
+      }
+      
       // POST the entire progress array in one request.
       // (Your new progressController should be updated to check for an array in req.body.progress)
       const saveResponse = await fetch(`${API_URL}/api/progress`, {
@@ -93,7 +109,7 @@ const MarsNavbar = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ progress: progressArray })
+        body: JSON.stringify({ progress: progressArray, patrolRoutes, mission })
       });
       
       if (!saveResponse.ok) {
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import '../styles/PatrolRoutePanel.css';
+import { useRobots } from '../context/RobotContext';
+
+// Named patrol routes: create, draw (through MapView), configure and assign them to robots
+const PatrolRoutePanel = ({ editingRouteId, onEditRoute }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const {
+    robots,
+    patrolRoutes,
+    savePatrolRoute,
+    deletePatrolRoute,
+    assignPatrolRoute,
+    setRobotTask
+  } = useRobots();
+
+  const handleNewRoute = () => {
+    const routeId = savePatrolRoute({
+      name: `Route ${patrolRoutes.length + 1}`,
+      points: [],
+      shape: 'polygon',
+      mode: 'loop',
+      dwellTime: 0
+    });
+    if (routeId) {
+      onEditRoute(routeId);
+    }
+  };
+
+  const handleRouteChange = (route, changes) => {
+    savePatrolRoute({ ...route, ...changes });
+  };
+
+  const handleDeleteRoute = (route) => {
+    if (route.id === editingRouteId) {
+      onEditRoute(null);
+    }
+    deletePatrolRoute(route.id);
+  };
+
+  // Robots start patrolling a route when it's assigned to them
+  const handleAssign = (robotIds, routeId) => {
+    assignPatrolRoute(robotIds, routeId);
+    if (routeId) {
+      robotIds.forEach(robotId => setRobotTask(robotId, 'patrol'));
+    }
+  };
+
+  return (
+    <div className={`patrol-route-panel ${isOpen ? 'open' : ''}`}>
+      <button className="patrol-panel-toggle" onClick={() => setIsOpen(!isOpen)}>
+        Patrol Routes ({patrolRoutes.length}) {isOpen ? '▾' : '▸'}
+      </button>
+
+      {isOpen && (
+        <div className="patrol-route-list">
+          {patrolRoutes.length === 0 && (
+            <p className="patrol-route-empty">No patrol routes yet. Robots on patrol circle a square around themselves.</p>
+          )}
+
+          {patrolRoutes.map(route => {
+            const isEditing = route.id === editingRouteId;
+            const assignedRobots = robots.filter(robot => robot.patrolRouteId === route.id);
+
+            return (
+              <div key={route.id} className={`patrol-route ${isEditing ? 'editing' : ''}`}>
+                <div className="patrol-route-row">
+                  <input
+                    className="patrol-route-name"
+                    value={route.name}
+                    onChange={(e) => handleRouteChange(route, { name: e.target.value })}
+                    aria-label="Route name"
+                  />
+                  <span className="patrol-route-count">{route.points.length} pts</span>
+                  <button
+                    className={`patrol-route-button ${isEditing ? 'active' : ''}`}
+                    onClick={() => onEditRoute(isEditing ? null : route.id)}
+                  >
+                    {isEditing ? 'Done' : 'Draw'}
+                  </button>
+                  <button className="patrol-route-button delete" onClick={() => handleDeleteRoute(route)}>
+                    Delete
+                  </button>
+                </div>
+
+                <div className="patrol-route-row">
+                  <select
+                    value={route.shape}
+                    onChange={(e) => handleRouteChange(route, { shape: e.target.value })}
+                    aria-label="Route shape"
+                  >
+                    <option value="polygon">Polygon</option>
+                    <option value="polyline">Polyline</option>
+                  </select>
+                  <select
+                    value={route.mode}
+                    onChange={(e) => handleRouteChange(route, { mode: e.target.value })}
+                    aria-label="Route mode"
+                  >
+                    <option value="loop">Loop</option>
+                    <option value="pingpong">Ping-pong</option>
+                  </select>
+                  <label className="patrol-route-dwell">
+                    Dwell (s):
+                    <input
+                      type="number"
+                      min="0"
+                      max="60"
+                      step="1"
+                      value={route.dwellTime}
+                      onChange={(e) => handleRouteChange(route, { dwellTime: e.target.value })}
+                    />
+                  </label>
+                </div>
+
+                <div className="patrol-route-robots">
+                  {robots.length === 0 && <span className="patrol-route-empty">No robots to assign</span>}
+                  {robots.map(robot => (
+                    <label key={robot.id} className="patrol-route-robot">
+                      <input
+                        type="checkbox"
+                        checked={robot.patrolRouteId === route.id}
+                        disabled={route.points.length === 0}
+                        onChange={(e) => handleAssign([robot.id], e.target.checked ? route.id : null)}
+                      />
+                      {robot.id.substring(0, 8)}
+                    </label>
+                  ))}
+                  {robots.length > 1 && (
+                    <button
+                      className="patrol-route-button"
+                      onClick={() => handleAssign(robots.map(robot => robot.id), route.id)}
+                      disabled={route.points.length === 0 || assignedRobots.length === robots.length}
+                    >
+                      Assign all
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <button className="patrol-route-button new" onClick={handleNewRoute}>
+            + New Route
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatrolRoutePanel;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import '../styles/SimulationControls.css';
+import { useRobots } from '../context/RobotContext';
+
+// Largest seed the simulation's random number generator takes
+const MAX_SEED = 4294967295;
+// Speeds offered, as multiples of real time
+const SPEEDS = [0.5, 1, 2, 5, 10, 20, 50];
+
+// Simulated time as h:mm:ss
+const formatSimulationTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Simulation clock (pause, single step, speed) and seed of the run: the seed is shown so a
+// run can be played again, and editable to start one over. Below them, how much of the map
+// the fleet has explored.
+const SimulationControls = () => {
+  const {
+    simulation,
+    exploration,
+    setSimulationSeed,
+    setSimulationPaused,
+    stepSimulation,
+    setSimulationSpeed
+  } = useRobots();
+  const [seedInput, setSeedInput] = useState('');
+
+  const seed = Number(seedInput);
+  const isValidSeed = seedInput !== '' && Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+  const handleApplySeed = () => {
+    if (!isValidSeed) return;
+    setSimulationSeed(seed);
+    setSeedInput('');
+  };
+
+  return (
+    <div className="simulation-controls">
+      <div className="simulation-row">
+        <button
+          className={`simulation-button ${simulation.paused ? 'active' : ''}`}
+          onClick={() => setSimulationPaused(!simulation.paused)}
+        >
+          {simulation.paused ? 'Resume' : 'Pause'}
+        </button>
+        <button
+          className="simulation-button"
+          onClick={stepSimulation}
+          disabled={!simulation.paused}
+          title="Advance one simulation step"
+        >
+          Step
+        </button>
+        <select
+          value={simulation.timeScale}
+          onChange={(e) => setSimulationSpeed(Number(e.target.value))}
+          aria-label="Simulation speed"
+        >
+          {SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+        <span className="simulation-time" title={`Step ${simulation.tick}`}>
+          {formatSimulationTime(simulation.time)}
+        </span>
+      </div>
+
+      <div className="simulation-row">
+        <span className="simulation-seed">Seed: {simulation.seed ?? '-'}</span>
+        <input
+          type="number"
+          min="0"
+          max={MAX_SEED}
+          step="1"
+          placeholder="New seed"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleApplySeed()}
+          aria-label="Simulation seed"
+        />
+        <button className="simulation-button" onClick={handleApplySeed} disabled={!isValidSeed}>
+          Set Seed
+        </button>
+      </div>
+
+      <div className="simulation-row" title="Share of the map within a robot's sensor range so far">
+        <span>Explored:</span>
+        <div className="coverage-bar">
+          <div className="coverage-fill" style={{ width: `${exploration.coverage}%` }}></div>
+        </div>
+        <span className="simulation-coverage">{exploration.coverage.toFixed(1)}%</span>
+      </div>
+    </div>
+  );
+};
+
+export default SimulationControls;
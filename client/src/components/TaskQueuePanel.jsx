@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import '../styles/TaskQueuePanel.css';
+import { useRobots } from '../context/RobotContext';
+import { QUEUE_BEHAVIORS } from '../simulation/TaskQueue';
+
+const TASK_LABELS = {
+  goTo: 'Go To',
+  returnToBase: 'Return to Base',
+  random: 'Random',
+  patrol: 'Patrol',
+  explore: 'Explore',
+  findRocks: 'Find Rocks',
+  findFlatSurface: 'Find Flat Surface',
+  findWater: 'Find Water',
+  findGoodSoil: 'Find Good Soil',
+  findGoodWeather: 'Find Good Weather',
+  followPath: 'Follow Path',
+  standby: 'Stop'
+};
+
+// What a task does and when it ends, e.g. "Go To (120, -40)" or "Find Rocks, 120 s"
+const describeTask = (task) => {
+  const parts = [TASK_LABELS[task.behavior] || task.behavior];
+  if (task.behavior === 'goTo') parts[0] += ` (${Math.round(task.x)}, ${Math.round(task.z)})`;
+  if (task.duration !== undefined) parts.push(`${task.duration} s`);
+  if (task.battery !== undefined) parts.push(`until battery ${task.battery}%`);
+  return parts.join(', ');
+};
+
+// Optional number input, undefined when empty
+const parseOptional = (value) => (value === '' ? undefined : Number(value));
+
+// The selected robot's queue of tasks: add, reorder, remove and skip tasks, or cancel the queue
+const TaskQueuePanel = ({ robot }) => {
+  const [behavior, setBehavior] = useState('goTo');
+  const [x, setX] = useState('0');
+  const [z, setZ] = useState('0');
+  const [duration, setDuration] = useState('');
+  const [battery, setBattery] = useState('');
+
+  const { setRobotTaskQueue, skipRobotTask, cancelRobotTasks } = useRobots();
+
+  const current = robot.taskQueue?.current || null;
+  const tasks = robot.taskQueue?.tasks || [];
+
+  const handleAdd = () => {
+    const task = { behavior, duration: parseOptional(duration), battery: parseOptional(battery) };
+    if (behavior === 'goTo') {
+      task.x = Number(x);
+      task.z = Number(z);
+    }
+    setRobotTaskQueue(robot.id, [...tasks, task]);
+  };
+
+  // Move a waiting task up (-1) or down (1) the queue
+  const handleMove = (index, offset) => {
+    const reordered = [...tasks];
+    const [task] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, task);
+    setRobotTaskQueue(robot.id, reordered);
+  };
+
+  const handleRemove = (index) => {
+    setRobotTaskQueue(robot.id, tasks.filter((task, i) => i !== index));
+  };
+
+  // Start the drive from where the robot is
+  const handleUseRobotPosition = () => {
+    setX(Math.round(robot.position.x).toString());
+    setZ(Math.round(robot.position.z).toString());
+  };
+
+  const isValid = (behavior !== 'goTo' || (x !== '' && z !== '' && !isNaN(x) && !isNaN(z))) &&
+                  (duration === '' || Number(duration) >= 0) &&
+                  (battery === '' || (Number(battery) >= 0 && Number(battery) <= 100));
+
+  return (
+    <div className="task-queue-panel">
+      <h3>Task Queue</h3>
+
+      <div className="task-queue-list">
+        {!current && tasks.length === 0 && (
+          <p className="task-queue-empty">No queued tasks. Tasks run one after the other, the robot stops when they are done.</p>
+        )}
+        {current && (
+          <div className="task-queue-item current">
+            <span className="task-queue-label">
+              {describeTask(current)} <span className="task-queue-elapsed">({current.elapsed.toFixed(0)} s)</span>
+            </span>
+            <button className="task-queue-button" onClick={() => skipRobotTask(robot.id)}>Skip</button>
+          </div>
+        )}
+        {tasks.map((task, index) => (
+          <div key={index} className="task-queue-item">
+            <span className="task-queue-label">{describeTask(task)}</span>
+            <button
+              className="task-queue-button"
+              onClick={() => handleMove(index, -1)}
+              disabled={index === 0}
+              aria-label="Move up"
+            >
+              ▲
+            </button>
+            <button
+              className="task-queue-button"
+              onClick={() => handleMove(index, 1)}
+              disabled={index === tasks.length - 1}
+              aria-label="Move down"
+            >
+              ▼
+            </button>
+            <button className="task-queue-button" onClick={() => handleRemove(index)} aria-label="Remove">✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="task-queue-form">
+        <select value={behavior} onChange={(e) => setBehavior(e.target.value)} aria-label="Task">
+          {QUEUE_BEHAVIORS.map(name => (
+            <option key={name} value={name}>{TASK_LABELS[name]}</option>
+          ))}
+        </select>
+        {behavior === 'goTo' && (
+          <>
+            <label>
+              X:
+              <input type="number" step="10" value={x} onChange={(e) => setX(e.target.value)} />
+            </label>
+            <label>
+              Z:
+              <input type="number" step="10" value={z} onChange={(e) => setZ(e.target.value)} />
+            </label>
+            <button className="task-queue-button" onClick={handleUseRobotPosition}>Here</button>
+          </>
+        )}
+        <label>
+          For (s):
+          <input type="number" min="0" step="10" value={duration} onChange={(e) => setDuration(e.target.value)} />
+        </label>
+        <label>
+          Until battery (%):
+          <input type="number" min="0" max="100" step="5" value={battery} onChange={(e) => setBattery(e.target.value)} />
+        </label>
+      </div>
+
+      <div className="task-queue-actions">
+        <button className="apply-capacity" onClick={handleAdd} disabled={!isValid}>Add Task</button>
+        <button
+          className="task-queue-button"
+          onClick={() => cancelRobotTasks(robot.id)}
+          disabled={!current && tasks.length === 0}
+        >
+          Cancel Queue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskQueuePanel;
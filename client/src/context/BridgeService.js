@@ -156,6 +156,64 @@ class BridgeService {
     }
   }
 
+  /**
+   * Called by RobotManager when a patrol route is saved or deleted
+   */
+  notifyPatrolRoutesUpdated(routes) {
+    if (this._contextDispatch && this._contextActions) {
+      this._contextDispatch({
+        type: this._contextActions.SET_PATROL_ROUTES,
+        payload: routes
+      });
+    }
+    
+    this._notifySubscribers('patrolRoutesUpdated', routes);
+  }
+
+  /**
+   * Called by TerrainRenderer when the simulation is started over from a seed
+   */
+  notifySimulationUpdated(simulation) {
+    if (this._contextDispatch && this._contextActions) {
+      this._contextDispatch({
+        type: this._contextActions.SET_SIMULATION,
+        payload: simulation
+      });
+    }
+    
+    this._notifySubscribers('simulationUpdated', simulation);
+  }
+
+  /**
+   * Called by TerrainRenderer when the simulation's resource fields change (new map or seed),
+   * with an overlay image of each field for the map
+   */
+  notifyResourceFieldsChanged(images) {
+    if (this._contextDispatch && this._contextActions) {
+      this._contextDispatch({
+        type: this._contextActions.SET_RESOURCE_OVERLAYS,
+        payload: images
+      });
+    }
+    
+    this._notifySubscribers('resourceFieldsChanged', images);
+  }
+
+  /**
+   * Called by TerrainRenderer when the fleet explored more of the map
+   * ({ coverage, columns, rows, cells, discoveredObstacles }, see SimulationWorld.snapshot)
+   */
+  notifyExplorationUpdated(exploration) {
+    if (this._contextDispatch && this._contextActions) {
+      this._contextDispatch({
+        type: this._contextActions.SET_EXPLORATION,
+        payload: exploration
+      });
+    }
+    
+    this._notifySubscribers('explorationUpdated', exploration);
+  }
+
   /**
    * Called by TerrainRenderer when terrain dimensions change after loading a new map
    */
@@ -167,6 +225,21 @@ class BridgeService {
     console.log('BridgeService: Notified subscribers of terrain dimension change:', dimensions);
   }
   
+  /**
+   * Called by TerrainRenderer while a terrain map loads ('loading', 'loaded' or 'error')
+   */
+  notifyTerrainLoadStatus(status) {
+    this._notifySubscribers('terrainLoadStatusChanged', status);
+  }
+  
+  /**
+   * Called when the user clicks the terrain in one of the 3D views, point is { x, y, z, view }
+   * with view 'main', 'firstPerson' or 'radar'
+   */
+  notifyTerrainPointPicked(point) {
+    this._notifySubscribers('terrainPointPicked', point);
+  }
+  
   /**
    * Called by components to request adding a robot
    * This replaces the 'addRobotRequest' event
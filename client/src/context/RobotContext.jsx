@@ -14,15 +14,27 @@ const actions = {
   SET_ROBOT_TASK: 'SET_ROBOT_TASK',
   SET_RENDERER: 'SET_RENDERER',
   SET_ROBOT_CAPABILITIES: 'SET_ROBOT_CAPABILITIES',
-  UPDATE_TERRAIN_DIMENSIONS: 'UPDATE_TERRAIN_DIMENSIONS' // New action type
+  SET_ROBOT_ROUTE: 'SET_ROBOT_ROUTE',
+  SET_PATROL_ROUTES: 'SET_PATROL_ROUTES',
+  SET_SIMULATION: 'SET_SIMULATION',
+  SET_RESOURCE_OVERLAYS: 'SET_RESOURCE_OVERLAYS',
+  SET_EXPLORATION: 'SET_EXPLORATION',
+  UPDATE_TERRAIN_DIMENSIONS: 'UPDATE_TERRAIN_DIMENSIONS', // New action type
+  UPDATE_TERRAIN_STATUS: 'UPDATE_TERRAIN_STATUS'
 };
 
 // Initial state
 const initialState = {
   robots: {}, // Map of robotId -> robotData
   selectedRobotId: null,
+  patrolRoutes: [], // Named patrol routes shared by the fleet
+  simulation: { seed: null, paused: false, timeScale: 1, time: 0, tick: 0 }, // Seed and clock of the current run
+  resourceOverlays: {}, // Map overlay images of the resource fields by type (ice, soil, weather)
+  // Percent of the map the fleet has surveyed, its explored cells and the obstacles found in them
+  exploration: { coverage: 0, columns: 0, rows: 0, cells: null, discoveredObstacles: [] },
   renderer: null,
-  terrainDimensions: { width: 0, height: 0 } // Add terrain dimensions
+  terrainDimensions: { width: 0, height: 0 }, // Add terrain dimensions
+  terrainStatus: { status: 'idle', mapPath: null, error: null } // Loading state of the current map
 };
 
 // Reducer function using Immer to handle state updates
@@ -59,6 +71,9 @@ function robotReducer(state, action) {
       
       case actions.SET_RENDERER:
         draft.renderer = action.payload;
+        if (action.payload && typeof action.payload.getSimulationState === 'function') {
+          draft.simulation = action.payload.getSimulationState();
+        }
         // Restore setting initial dimensions when renderer is first set.
         // This provides non-zero dimensions quickly for initial render.
         if (action.payload && typeof action.payload.getTerrainDimensions === 'function') {
@@ -74,6 +89,10 @@ function robotReducer(state, action) {
         draft.terrainDimensions = action.payload;
         console.log('RobotContext: Terrain dimensions updated:', draft.terrainDimensions);
         break;
+
+      case actions.UPDATE_TERRAIN_STATUS:
+        draft.terrainStatus = { mapPath: null, error: null, ...action.payload };
+        break;
         
       case actions.SET_ROBOT_CAPABILITIES:
         if (draft.robots[action.payload.robotId]) {
@@ -83,6 +102,28 @@ function robotReducer(state, action) {
           };
         }
         break;
+      
+      case actions.SET_ROBOT_ROUTE:
+        if (draft.robots[action.payload.robotId]) {
+          draft.robots[action.payload.robotId].route = action.payload.route;
+        }
+        break;
+      
+      case actions.SET_PATROL_ROUTES:
+        draft.patrolRoutes = action.payload;
+        break;
+      
+      case actions.SET_SIMULATION:
+        draft.simulation = { ...draft.simulation, ...action.payload };
+        break;
+      
+      case actions.SET_RESOURCE_OVERLAYS:
+        draft.resourceOverlays = action.payload;
+        break;
+      
+      case actions.SET_EXPLORATION:
+        draft.exploration = { ...draft.exploration, ...action.payload };
+        break;
     }
   });
 }
@@ -155,8 +196,16 @@ export const RobotProvider = ({ children }) => {
       });
     });
 
+    const unsubscribeStatus = bridgeService.subscribe('terrainLoadStatusChanged', (status) => {
+      dispatch({
+        type: actions.UPDATE_TERRAIN_STATUS,
+        payload: status
+      });
+    });
+
     return () => {
       unsubscribeDimensions();
+      unsubscribeStatus();
     };
   }, []); // Run once on mount
   
@@ -237,16 +286,18 @@ export const RobotProvider = ({ children }) => {
   }, []);
   
   // Action creators as memoized callbacks
+  // Returns the new robot's id, null when the robot is only requested until the 3D world is ready
   const addRobotAtPosition = useCallback((x, z) => {
     // Use TerrainManager directly instead of dispatching an event
     if (terrainManager.renderer) {
       console.log(`RobotContext: Adding robot at position (${x}, ${z})`);
-      terrainManager.addRobotAtPosition(x, z);
-    } else {
-      console.warn('TerrainManager not ready yet, cannot add robot directly');
-      // Use BridgeService instead of dispatching event directly
-      bridgeService.requestAddRobot(x, z);
+      const robot = terrainManager.addRobotAtPosition(x, z);
+      return robot ? robot.id : null;
     }
+    console.warn('TerrainManager not ready yet, cannot add robot directly');
+    // Use BridgeService instead of dispatching event directly
+    bridgeService.requestAddRobot(x, z);
+    return null;
   }, []);
   
   const selectRobot = useCallback((robotId) => {
@@ -282,6 +333,89 @@ export const RobotProvider = ({ children }) => {
     }
   }, [state.renderer]);
   
+  // Set the waypoint route driven by the 'followPath' behavior: { waypoints: [{ x, z }], loop }
+  const setRobotRoute = useCallback((robotId, route) => {
+    dispatch({
+      type: actions.SET_ROBOT_ROUTE,
+      payload: { robotId, route }
+    });
+    
+    // Sync with 3D world
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.setRobotRoute(robotId, route);
+    }
+  }, [state.renderer]);
+  
+  // Replace the tasks waiting in a robot's queue: [{ behavior, x, z, duration, battery }]. The queue
+  // in state is updated with the robot's data from the 3D world.
+  const setRobotTaskQueue = useCallback((robotId, tasks) => {
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.setRobotTaskQueue(robotId, tasks);
+    }
+  }, [state.renderer]);
+  
+  const skipRobotTask = useCallback((robotId) => {
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.skipRobotTask(robotId);
+    }
+  }, [state.renderer]);
+  
+  const cancelRobotTasks = useCallback((robotId) => {
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.cancelRobotTasks(robotId);
+    }
+  }, [state.renderer]);
+  
+  // Create or update a named patrol route: { id?, name, points: [{ x, z }], shape, mode, dwellTime }.
+  // Returns the route id, the routes in state are updated by the 3D world through BridgeService.
+  const savePatrolRoute = useCallback((route) => {
+    if (state.renderer && state.renderer.robotManager) {
+      return state.renderer.robotManager.savePatrolRoute(route);
+    }
+    return null;
+  }, [state.renderer]);
+  
+  const deletePatrolRoute = useCallback((routeId) => {
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.deletePatrolRoute(routeId);
+    }
+  }, [state.renderer]);
+  
+  // Assign a patrol route to robots, null to go back to patrolling around themselves
+  const assignPatrolRoute = useCallback((robotIds, routeId) => {
+    if (state.renderer && state.renderer.robotManager) {
+      state.renderer.robotManager.assignPatrolRoute(robotIds, routeId);
+    }
+  }, [state.renderer]);
+  
+  // Start the simulation over from a seed, the same seed and inputs give the same run
+  const setSimulationSeed = useCallback((seed) => {
+    if (state.renderer && typeof state.renderer.setSeed === 'function') {
+      state.renderer.setSeed(seed);
+    }
+  }, [state.renderer]);
+  
+  // Pause or resume the simulation clock
+  const setSimulationPaused = useCallback((paused) => {
+    if (state.renderer && typeof state.renderer.setSimulationPaused === 'function') {
+      state.renderer.setSimulationPaused(paused);
+    }
+  }, [state.renderer]);
+  
+  // Advance the simulation by a single fixed step
+  const stepSimulation = useCallback(() => {
+    if (state.renderer && typeof state.renderer.stepSimulation === 'function') {
+      state.renderer.stepSimulation();
+    }
+  }, [state.renderer]);
+  
+  // Run the simulation at a multiple of real time (0.5x-50x)
+  const setSimulationSpeed = useCallback((timeScale) => {
+    if (state.renderer && typeof state.renderer.setSimulationSpeed === 'function') {
+      state.renderer.setSimulationSpeed(timeScale);
+    }
+  }, [state.renderer]);
+  
   // Context value
   const contextValue = {
     robots: robotList,
@@ -290,12 +424,28 @@ export const RobotProvider = ({ children }) => {
     selectedRobot,
     renderer: state.renderer,
     terrainDimensions: state.terrainDimensions, // Expose terrain dimensions
+    terrainStatus: state.terrainStatus,
+    patrolRoutes: state.patrolRoutes,
+    simulation: state.simulation,
+    resourceOverlays: state.resourceOverlays,
+    exploration: state.exploration,
     
     // Actions
     addRobotAtPosition,
     selectRobot,
     setRobotTask,
-    setRobotCapabilities
+    setRobotCapabilities,
+    setRobotRoute,
+    setRobotTaskQueue,
+    skipRobotTask,
+    cancelRobotTasks,
+    savePatrolRoute,
+    deletePatrolRoute,
+    assignPatrolRoute,
+    setSimulationSeed,
+    setSimulationPaused,
+    stepSimulation,
+    setSimulationSpeed
   };
   
   return (
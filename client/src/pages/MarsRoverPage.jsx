@@ -1,43 +1,37 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import MapView from '../components/MapView';
 import MarsNavbar from '../components/MarsNavbar';
+import PatrolRoutePanel from '../components/PatrolRoutePanel';
+import SimulationControls from '../components/SimulationControls';
+import TaskQueuePanel from '../components/TaskQueuePanel';
 import '../styles/MarsRoverPage.css';
 import { useRobots } from '../context/RobotContext';
 import axios from 'axios';
+import { loadBundledMaps, fetchServerMaps, mergeMapCatalog, resolveSelectedMap } from '../api/mapCatalog';
 
-// Function to derive a display name from a map filename
-const getMapNameFromFilename = (filename) => {
-  if (!filename) return 'Unknown Map';
-  return filename.replace(/\.png$/i, '').replace(/_/g, ' ');
-};
-
-const mapFiles = import.meta.glob('/public/maps/*.png');
-const availableMaps = Object.keys(mapFiles).map(path => {
-  const filename = path.split('/').pop();
-  const publicPath = path.replace(/^\/public/, '');
-  return {
-    name: getMapNameFromFilename(filename),
-    path: publicPath // Use the correct public path
-  };
-});
-
-availableMaps.sort((a, b) => a.name.localeCompare(b.name));
-
-
+// What the resource searched for is called in the robot details
+const RESOURCE_LABELS = { ice: 'Ice Probability', soil: 'Soil Quality', weather: 'Weather' };
+const CLAIM_LABELS = { rock: 'Rock', frontier: 'Frontier' };
 
 const MarsRoverPage = () => {
   const [isLoggedIn, setIsLoggedIn] = useState(!!localStorage.getItem("token"));
   const [missionRestarted, setMissionRestarted] = useState(false);
 
   const [taskInput, setTaskInput] = useState('');
-  // State to hold the list of available maps - initialize directly from glob result
-  const [maps, setMaps] = useState(availableMaps);
+  // Bundled maps (null until their sidecar metadata is read) and maps stored on the server
+  const [bundledMaps, setBundledMaps] = useState(null);
+  const [serverMaps, setServerMaps] = useState([]);
+  const [catalogStatus, setCatalogStatus] = useState('loading'); // Server maps: 'loading' | 'ready' | 'error'
+  const maps = useMemo(() => mergeMapCatalog(bundledMaps || [], serverMaps), [bundledMaps, serverMaps]);
   const [speedInput, setSpeedInput] = useState('0.5');
   const [sensorRangeInput, setSensorRangeInput] = useState('100');
   const [turnRateInput, setTurnRateInput] = useState('0.05');
   const [batteryCapacityInput, setBatteryCapacityInput] = useState('100');
+  const [maxSlopeInput, setMaxSlopeInput] = useState('30');
   const [isLoadingProgress, setIsLoadingProgress] = useState(false);
   const [progressLoaded, setProgressLoaded] = useState(false);
+  const [editingPatrolRouteId, setEditingPatrolRouteId] = useState(null); // Patrol route drawn on the map
+  const [terrainDisplacement, setTerrainDisplacement] = useState('cpu'); // Where the 3D terrain's vertices are displaced
 
   // Get state and actions from context
   const { 
@@ -46,31 +40,48 @@ const MarsRoverPage = () => {
     setRobotTask,
     setRobotCapabilities,
     addRobotAtPosition,
+    terrainStatus,
   } = useRobots();
   
+  // Map requested through the URL query param (validated against the catalog below)
+  const [requestedMapPath] = useState(() => new URLSearchParams(window.location.search).get('map'));
+
+  // Default to the first map in the catalog if the URL param is missing or invalid.
+  // Wait for bundled metadata so the terrain isn't loaded twice at different scales.
+  const selectedMap = useMemo(
+    () => (bundledMaps ? resolveSelectedMap(maps, requestedMapPath, catalogStatus !== 'loading') : null),
+    [bundledMaps, maps, requestedMapPath, catalogStatus]
+  );
 
-  // Function to get map path from URL query param or default, using the maps state
-  const getMapPathFromQuery = useCallback((currentMaps) => {
-    if (!currentMaps || currentMaps.length === 0) {
-      console.log("getMapPathFromQuery called before maps are loaded or maps list is empty.");
-      return null; // Return null if maps aren't ready
-    }
-    const params = new URLSearchParams(window.location.search);
-    const mapParam = params.get('map');
-    // Validate if the mapParam is one of the available maps from state
-    const foundMap = currentMaps.find(map => map.path === mapParam);
-    if (foundMap) {
-      console.log(`Map found in URL: ${foundMap.path}`);
-      return foundMap.path;
-    }
-    // Default to the first map in the list if URL param is missing or invalid
-    const defaultPath = currentMaps.length > 0 ? currentMaps[0].path : null;
-    console.log(`No valid map in URL or list empty, defaulting to: ${defaultPath}`);
-    return defaultPath;
-  }, []); // No dependencies needed for the function itself
+  // Effect to read the bundled maps' sidecar metadata
+  useEffect(() => {
+    let cancelled = false;
+    loadBundledMaps().then(loadedMaps => {
+      if (!cancelled) setBundledMaps(loadedMaps);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  // Initialize state from query param, using the directly initialized maps state
-  const [selectedMapPath, setSelectedMapPath] = useState(() => getMapPathFromQuery(maps));
+  // Effect to merge the maps stored on the server into the catalog
+  useEffect(() => {
+    let cancelled = false;
+    fetchServerMaps()
+      .then(loadedMaps => {
+        if (cancelled) return;
+        setServerMaps(loadedMaps);
+        setCatalogStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Failed to load server maps, using bundled maps only:', error);
+        setCatalogStatus('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
 
   // Use state and callback refs instead of useRef
@@ -169,6 +180,12 @@ const MarsRoverPage = () => {
     // the reload will handle initialization with the new path from the URL.
   };
 
+  // Rebuild the 3D terrain with its vertices displaced on the CPU or in the vertex shader
+  const handleTerrainDisplacementChange = (event) => {
+    setTerrainDisplacement(event.target.value);
+    renderer.setTerrainDisplacement(event.target.value);
+  };
+
   // Set input values to match the selected robot's capabilities when it changes
   useEffect(() => {
     if (selectedRobot && selectedRobot.capabilities) {
@@ -176,6 +193,7 @@ const MarsRoverPage = () => {
       setSensorRangeInput(selectedRobot.capabilities.sensorRange?.toString() || '100');
       setTurnRateInput(selectedRobot.capabilities.turnRate?.toString() || '0.05');
       setBatteryCapacityInput(selectedRobot.capabilities.batteryCapacity?.toString() || '100');
+      setMaxSlopeInput(selectedRobot.capabilities.maxSlope?.toString() || '30');
     }
     // Only run this effect when the selected robot ID changes, not on every capability update
   }, [selectedRobot?.id]); 
@@ -231,6 +249,15 @@ const MarsRoverPage = () => {
     }
   };
   
+  const handleMaxSlopeUpdate = () => {
+    if (selectedRobot) {
+      const slope = parseFloat(maxSlopeInput);
+      if (!isNaN(slope) && slope > 0) {
+        setRobotCapabilities(selectedRobot.id, { maxSlope: slope });
+      }
+    }
+  };
+  
   // New function to reset only the battery level to full
   const handleResetBattery = () => {
     if (selectedRobot && selectedRobot.capabilities) {
@@ -277,6 +304,44 @@ const MarsRoverPage = () => {
         setIsLoadingProgress(true);
         await new Promise(resolve => setTimeout(resolve, 500));
         const API_URL = import.meta.env.VITE_API_URL;
+
+        // Play the saved mission from its seed (robots and rocks are placed from it)
+        try {
+          const missionResponse = await axios.get(`${API_URL}/api/progress/mission`, {
+            headers: { Authorization: `Bearer ${token}` }
+          });
+          if (missionResponse.data && missionResponse.data.seed !== undefined) {
+            renderer.setSeed(missionResponse.data.seed);
+          }
+          // What the robots had explored, once the seed has started the mission over
+          if (missionResponse.data && missionResponse.data.exploration && missionResponse.data.exploration.cells) {
+            renderer.restoreExploration(missionResponse.data.exploration);
+          }
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            console.error("Error loading the saved mission:", error);
+          }
+        }
+
+        // Restore the patrol routes first so robots can be assigned to them
+        try {
+          const routesResponse = await axios.get(`${API_URL}/api/progress/patrol-routes`, {
+            headers: { Authorization: `Bearer ${token}` }
+          });
+          routesResponse.data.forEach(route => {
+            renderer.robotManager.savePatrolRoute({
+              id: route.routeId,
+              name: route.name,
+              points: route.points,
+              shape: route.shape,
+              mode: route.mode,
+              dwellTime: route.dwellTime
+            });
+          });
+        } catch (error) {
+          console.error("Error loading saved patrol routes:", error);
+        }
+
         const response = await axios.get(`${API_URL}/api/progress`, {
           headers: { Authorization: `Bearer ${token}` }
         });
@@ -284,16 +349,21 @@ const MarsRoverPage = () => {
           console.log("Found saved progress:", response.data);
           localStorage.setItem("progressFetched", "true");
           if (renderer && renderer.robotManager) {
-            const currentRobotIds = Object.keys(renderer.robotManager._robots || {});
+            const currentRobotIds = Object.keys(renderer.robotManager.robots);
             currentRobotIds.forEach(robotId => renderer.robotManager.removeRobot(robotId));
           }
           response.data.forEach(progress => {
-            addRobotAtPosition(progress.position.x, progress.position.z);
-            const robotIds = Object.keys(renderer.robotManager?._robots || {});
-            const latestRobotId = robotIds[robotIds.length - 1];
+            const latestRobotId = addRobotAtPosition(progress.position.x, progress.position.z);
             if (latestRobotId) {
               setRobotCapabilities(latestRobotId, progress.capabilities || { maxSpeed: 0.5, sensorRange: 100, turnRate: 0.05, batteryCapacity: 100, batteryLevel: 100 });
               setRobotTask(latestRobotId, progress.behaviorGoal || 'random');
+              if (progress.patrolRouteId) {
+                renderer.robotManager.assignPatrolRoute([latestRobotId], progress.patrolRouteId);
+              }
+              // The queued tasks start over from the one the robot was running
+              if (progress.taskQueue && progress.taskQueue.length > 0) {
+                renderer.robotManager.setRobotTaskQueue(latestRobotId, progress.taskQueue);
+              }
             }
           });
           console.log("Restored robots from saved progress");
@@ -323,26 +393,59 @@ const MarsRoverPage = () => {
       <MarsNavbar />
       <div className="page-content">
         <div className="terrain-panel">
-          <MapView mapPath={selectedMapPath} />
+          <MapView map={selectedMap} editingPatrolRouteId={editingPatrolRouteId} />
+          <PatrolRoutePanel editingRouteId={editingPatrolRouteId} onEditRoute={setEditingPatrolRouteId} />
+          <SimulationControls />
           <div className="map-selector-container">
             <label htmlFor="map-select">Select Terrain Map:</label>
             <select 
               id="map-select" 
-              value={selectedMapPath} 
+              value={selectedMap?.path ?? ''} 
               onChange={handleMapChange}
               className="map-select-dropdown"
               disabled={maps.length === 0}
             >
               {maps.length === 0 ? (
-                <option>Loading maps...</option>
+                <option value="">{!bundledMaps || catalogStatus === 'loading' ? 'Loading maps...' : 'No maps available'}</option>
               ) : (
-                maps.map(map => (
-                  <option key={map.path} value={map.path}>
-                    {map.name}
-                  </option>
-                ))
+                [['bundled', 'Bundled Maps'], ['server', 'Server Maps']].map(([source, label]) => {
+                  const sourceMaps = maps.filter(map => map.source === source);
+                  return sourceMaps.length > 0 && (
+                    <optgroup key={source} label={label}>
+                      {sourceMaps.map(map => (
+                        <option key={map.path} value={map.path}>
+                          {map.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  );
+                })
               )}
             </select>
+            {catalogStatus === 'loading' && (
+              <span className="map-selector-status">Loading server maps...</span>
+            )}
+            {catalogStatus === 'error' && (
+              <span className="map-selector-status error">Server maps unavailable</span>
+            )}
+            {selectedMap && terrainStatus.mapPath === selectedMap.path && terrainStatus.status === 'loading' && (
+              <span className="map-selector-status">Loading terrain...</span>
+            )}
+            {selectedMap && terrainStatus.mapPath === selectedMap.path && terrainStatus.status === 'error' && (
+              <span className="map-selector-status error">{terrainStatus.error}</span>
+            )}
+            <label htmlFor="terrain-displacement-select">3D Terrain:</label>
+            <select
+              id="terrain-displacement-select"
+              value={terrainDisplacement}
+              onChange={handleTerrainDisplacementChange}
+              className="map-select-dropdown"
+              disabled={!renderer}
+              title="CPU builds the displaced mesh, GPU displaces a flat plane in the vertex shader"
+            >
+              <option value="cpu">CPU mesh</option>
+              <option value="gpu">GPU displacement</option>
+            </select>
           </div>
 
           {isLoadingProgress && (
@@ -362,17 +465,32 @@ const MarsRoverPage = () => {
                   <p><span>ID:</span> {selectedRobot.id.substring(0, 8)}</p>
                   <p><span>Position:</span> X: {selectedRobot.position.x.toFixed(2)}, 
                                     Z: {selectedRobot.position.z.toFixed(2)}</p>
-                  <p><span>Height:</span> {selectedRobot.height ? Math.max(0, selectedRobot.height).toFixed(0) : '20'}m</p>
+                  <p><span>Elevation:</span> {selectedRobot.elevation !== undefined ? selectedRobot.elevation.toFixed(0) : 'N/A'} m</p>
                   <p><span>Coordinates:</span> {selectedRobot.coordinates ? 
-                    `${selectedRobot.coordinates.x.toFixed(2)}, ${selectedRobot.coordinates.z.toFixed(2)}` : 
+                    `${selectedRobot.coordinates.x.toFixed(0)} m, ${selectedRobot.coordinates.z.toFixed(0)} m` : 
                     'N/A'}</p>
+                  <p><span>Distance Traveled:</span> {selectedRobot.distanceTraveled !== undefined ? selectedRobot.distanceTraveled.toFixed(0) : '0'} m</p>
                   <p><span>Task:</span> {selectedRobot.behaviorGoal || 'random'}</p>
                   <p><span>Current Speed:</span> {selectedRobot.speed ? selectedRobot.speed.toFixed(2) : '0.00'}</p>
+                  <p><span>Grade:</span> {selectedRobot.terrainGrade !== undefined ? selectedRobot.terrainGrade.toFixed(1) : '0.0'}°</p>
+                  <p><span>Obstacles:</span> {selectedRobot.detectedObstacles && selectedRobot.detectedObstacles.length > 0 ?
+                    `${selectedRobot.detectedObstacles.length} in range, nearest ${selectedRobot.detectedObstacles[0].distance} m${selectedRobot.avoidingObstacle ? ' (avoiding)' : ''}` :
+                    'None in range'}</p>
+                  {selectedRobot.resourceReading && (
+                    <p><span>{RESOURCE_LABELS[selectedRobot.resourceReading.type]}:</span> {Math.round(selectedRobot.resourceReading.value * 100)}%{selectedRobot.resourceReading.found ? ' (found)' : ''}</p>
+                  )}
+                  {selectedRobot.claim && (
+                    <p><span>Claim:</span> {CLAIM_LABELS[selectedRobot.claim.kind]}, {selectedRobot.claim.distance} m away</p>
+                  )}
+                  {selectedRobot.yieldingTo && (
+                    <p><span>Yielding to:</span> {selectedRobot.yieldingTo.substring(0, 8)}</p>
+                  )}
                   {selectedRobot.capabilities && (
                     <>
                       <p><span>Max Speed:</span> {selectedRobot.capabilities.maxSpeed?.toFixed(2) || '0.50'}</p>
                       <p><span>Turn Rate:</span> {selectedRobot.capabilities.turnRate?.toFixed(2) || '0.05'}</p>
                       <p><span>Sensor Range:</span> {selectedRobot.capabilities.sensorRange?.toFixed(0) || '100'}</p>
+                      <p><span>Max Slope:</span> {selectedRobot.capabilities.maxSlope?.toFixed(0) || '30'}°</p>
                       <p><span>Battery:</span> {formatBatteryLevel(
                         selectedRobot.capabilities.batteryLevel, 
                         selectedRobot.capabilities.batteryCapacity
@@ -395,6 +513,7 @@ const MarsRoverPage = () => {
                   <div
                     className="first-person-view"
                     ref={firstPersonViewRefCallback}
+                    title="Shift+click the terrain to place a robot"
                   >
                     <div className="view-label">
                       Robot: {selectedRobot.id.substring(0, 8)} - Facing: {
@@ -411,6 +530,7 @@ const MarsRoverPage = () => {
                   <div
                     className="radar-view"
                     ref={radarViewRefCallback}
+                    title="Shift+click the terrain to place a robot"
                   >
                     <div className="view-label">
                       Overhead view - {selectedRobot.coordinates ? 
@@ -437,6 +557,13 @@ const MarsRoverPage = () => {
                     >
                       Patrol
                     </button>
+                    <button 
+                      className={`behavior-button ${selectedRobot.behaviorGoal === 'explore' ? 'active' : ''}`}
+                      onClick={() => handleBehaviorSelect('explore')}
+                      title="Survey unexplored ground, splitting it with the other exploring robots"
+                    >
+                      Explore
+                    </button>
                     <button 
                       className={`behavior-button ${selectedRobot.behaviorGoal === 'findRocks' ? 'active' : ''}`}
                       onClick={() => handleBehaviorSelect('findRocks')}
@@ -449,6 +576,35 @@ const MarsRoverPage = () => {
                     >
                       Find Flat Surface
                     </button>
+                    <button 
+                      className={`behavior-button ${selectedRobot.behaviorGoal === 'findWater' ? 'active' : ''}`}
+                      onClick={() => handleBehaviorSelect('findWater')}
+                      title="Climb toward higher subsurface ice probability"
+                    >
+                      Find Water
+                    </button>
+                    <button 
+                      className={`behavior-button ${selectedRobot.behaviorGoal === 'findGoodSoil' ? 'active' : ''}`}
+                      onClick={() => handleBehaviorSelect('findGoodSoil')}
+                      title="Climb toward better soil quality"
+                    >
+                      Find Good Soil
+                    </button>
+                    <button 
+                      className={`behavior-button ${selectedRobot.behaviorGoal === 'findGoodWeather' ? 'active' : ''}`}
+                      onClick={() => handleBehaviorSelect('findGoodWeather')}
+                      title="Climb toward calmer local weather"
+                    >
+                      Find Good Weather
+                    </button>
+                    <button 
+                      className={`behavior-button ${selectedRobot.behaviorGoal === 'followPath' ? 'active' : ''}`}
+                      onClick={() => handleBehaviorSelect('followPath')}
+                      disabled={!selectedRobot.route || selectedRobot.route.waypoints.length === 0}
+                      title="Drive the waypoint route drawn on the map"
+                    >
+                      Follow Path
+                    </button>
                     <button 
                       className={`behavior-button ${selectedRobot.behaviorGoal === 'standby' ? 'active' : ''}`}
                       onClick={() => handleBehaviorSelect('standby')}
@@ -541,8 +697,31 @@ const MarsRoverPage = () => {
                         Apply
                       </button>
                     </div>
+                    
+                    <div className="capacity-control">
+                      <label htmlFor="max-slope-input">Max Slope (°):</label>
+                      <input
+                        id="max-slope-input"
+                        type="number"
+                        min="5"
+                        max="60"
+                        step="1"
+                        value={maxSlopeInput}
+                        onChange={(e) => setMaxSlopeInput(e.target.value)}
+                        className="capacity-input"
+                      />
+                      <button 
+                        className="apply-capacity"
+                        onClick={handleMaxSlopeUpdate}
+                        disabled={!maxSlopeInput}
+                      >
+                        Apply
+                      </button>
+                    </div>
                   </div>
                 </div>
+
+                <TaskQueuePanel robot={selectedRobot} />
               </div>
             </>
           ) : (
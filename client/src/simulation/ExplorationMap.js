@@ -0,0 +1,177 @@
+// Size (world units) of the explored-cells grid's cells
+export const EXPLORATION_CELL_SIZE = 40;
+
+/**
+ * Pack explored cells (one byte per cell, 0 or 1) into a base64 string, 8 cells per byte, to save them
+ */
+export const encodeExploredCells = (cells) => {
+  const bytes = new Uint8Array(Math.ceil(cells.length / 8));
+  cells.forEach((cell, i) => {
+    if (cell) bytes[i >> 3] |= 1 << (i & 7);
+  });
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+/**
+ * Unpack count cells saved by encodeExploredCells
+ */
+export const decodeExploredCells = (encoded, count) => {
+  const binary = atob(encoded);
+  const cells = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    cells[i] = (binary.charCodeAt(i >> 3) >> (i & 7)) & 1;
+  }
+  return cells;
+};
+
+/**
+ * ExplorationMap - Cells of the terrain the fleet has surveyed, shared by all robots
+ * A cell is explored once its center has been within a robot's sensorRange. Frontiers are
+ * unexplored cells next to explored ones, where the 'explore' behavior drives to. The explored
+ * cells are also what the map reveals in fog-of-war mode, and are saved with the mission.
+ */
+class ExplorationMap {
+  constructor(world) {
+    this.world = world;
+    this.reset();
+  }
+
+  /**
+   * Forget everything explored (a new mission), sized to the current terrain
+   */
+  reset() {
+    const { width, height } = this.world.getTerrainDimensions();
+    this.width = width;
+    this.height = height;
+    this.columns = Math.max(1, Math.ceil(width / EXPLORATION_CELL_SIZE));
+    this.rows = Math.max(1, Math.ceil(height / EXPLORATION_CELL_SIZE));
+    this.cells = new Uint8Array(this.columns * this.rows); // 1 where explored, row-major from -Z
+    this.exploredCount = 0;
+    // Frontier cells a robot couldn't reach, left out of the frontiers
+    this.unreachable = new Set();
+    // Saved cells waiting for the terrain they were explored on (see restore)
+    this.pendingRestore = null;
+    this.changed = true;
+  }
+
+  /**
+   * Follow a terrain change: the explored cells are kept on a terrain of the same size (the same
+   * map rebuilt), and saved cells waiting for this terrain are applied
+   */
+  resize() {
+    const { width, height } = this.world.getTerrainDimensions();
+    if (width !== this.width || height !== this.height) {
+      const pendingRestore = this.pendingRestore;
+      this.reset();
+      this.pendingRestore = pendingRestore;
+    }
+    if (this.pendingRestore) {
+      this.restore(this.pendingRestore);
+    }
+  }
+
+  /**
+   * Explore saved cells { columns, rows, cells (see encodeExploredCells) }. Cells restored before
+   * the terrain is loaded wait for a terrain with the same grid.
+   */
+  restore(saved) {
+    if (saved.columns !== this.columns || saved.rows !== this.rows) {
+      this.pendingRestore = saved;
+      return;
+    }
+    this.pendingRestore = null;
+    decodeExploredCells(saved.cells, this.cells.length).forEach((cell, i) => {
+      if (cell && !this.cells[i]) {
+        this.cells[i] = 1;
+        this.exploredCount++;
+      }
+    });
+    this.changed = true;
+  }
+
+  // Cell index of a world position, -1 outside the terrain
+  cellAt(x, z) {
+    const column = Math.floor((x + this.width / 2) / EXPLORATION_CELL_SIZE);
+    const row = Math.floor((z + this.height / 2) / EXPLORATION_CELL_SIZE);
+    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return -1;
+    return row * this.columns + column;
+  }
+
+  // World position of a cell's center
+  cellCenter(index) {
+    return {
+      x: (index % this.columns + 0.5) * EXPLORATION_CELL_SIZE - this.width / 2,
+      z: (Math.floor(index / this.columns) + 0.5) * EXPLORATION_CELL_SIZE - this.height / 2
+    };
+  }
+
+  isExplored(x, z) {
+    const index = this.cellAt(x, z);
+    return index >= 0 && this.cells[index] === 1;
+  }
+
+  /**
+   * Mark the cells whose centers are within radius of a position as explored
+   */
+  markFootprint(x, z, radius) {
+    const minColumn = Math.max(0, Math.floor((x - radius + this.width / 2) / EXPLORATION_CELL_SIZE));
+    const maxColumn = Math.min(this.columns - 1, Math.floor((x + radius + this.width / 2) / EXPLORATION_CELL_SIZE));
+    const minRow = Math.max(0, Math.floor((z - radius + this.height / 2) / EXPLORATION_CELL_SIZE));
+    const maxRow = Math.min(this.rows - 1, Math.floor((z + radius + this.height / 2) / EXPLORATION_CELL_SIZE));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        const index = row * this.columns + column;
+        if (this.cells[index]) continue;
+        const center = this.cellCenter(index);
+        if (Math.hypot(center.x - x, center.z - z) <= radius) {
+          this.cells[index] = 1;
+          this.exploredCount++;
+          this.changed = true;
+        }
+      }
+    }
+  }
+
+  markUnreachable(x, z) {
+    const index = this.cellAt(x, z);
+    if (index >= 0) this.unreachable.add(index);
+  }
+
+  /**
+   * Percent of the terrain explored
+   */
+  getCoverage() {
+    return (100 * this.exploredCount) / this.cells.length;
+  }
+
+  _isFrontier(index) {
+    if (this.cells[index] || this.unreachable.has(index)) return false;
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    return (column > 0 && this.cells[index - 1] === 1) ||
+           (column < this.columns - 1 && this.cells[index + 1] === 1) ||
+           (row > 0 && this.cells[index - this.columns] === 1) ||
+           (row < this.rows - 1 && this.cells[index + this.columns] === 1);
+  }
+
+  /**
+   * Frontier cells [{ x, z, source }] (centers, source being the cell index) the robots can be sent
+   * to, or the unexplored cells away from the frontier once there are no frontiers. Empty when
+   * everything is explored.
+   */
+  getFrontiers() {
+    const frontiers = [];
+    const unexplored = [];
+    for (let index = 0; index < this.cells.length; index++) {
+      if (this.cells[index] || this.unreachable.has(index)) continue;
+      const target = { ...this.cellCenter(index), source: index };
+      (this._isFrontier(index) ? frontiers : unexplored).push(target);
+    }
+    return frontiers.length > 0 ? frontiers : unexplored;
+  }
+}
+
+export default ExplorationMap;
@@ -0,0 +1,51 @@
+import { decode as decodePng, convertIndexedToRgb } from 'fast-png';
+
+/**
+ * HeightmapDecoder - Decodes PNG heightmaps into normalized height values without the DOM
+ * PNGs are decoded in JS so 16-bit grayscale keeps its full precision (a 2D canvas would
+ * reduce it to 8 bits), and so heightmaps can be read in Node as well as in the browser.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const isPng = (bytes) => PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+
+/**
+ * Extract the first channel of a decoded PNG as heights in the 0-1 range
+ * Returns null for layouts that are easier to leave to the browser (packed 1/2/4-bit gray)
+ */
+const pngToHeights = (png) => {
+  const pixelCount = png.width * png.height;
+  const heights = new Float32Array(pixelCount);
+
+  if (png.palette) {
+    const rgb = convertIndexedToRgb(png);
+    const stride = png.palette[0].length;
+    for (let i = 0; i < pixelCount; i++) {
+      heights[i] = rgb[i * stride] / 255;
+    }
+    return heights;
+  }
+
+  if (png.depth !== 8 && png.depth !== 16) return null;
+
+  const maxValue = png.depth === 16 ? 65535 : 255;
+  for (let i = 0; i < pixelCount; i++) {
+    heights[i] = png.data[i * png.channels] / maxValue;
+  }
+  return heights;
+};
+
+/**
+ * Decode PNG bytes into { width, height, heights: Float32Array (0-1, row-major, top row first), bitDepth }
+ * Returns null when the bytes are not a PNG or use a layout it doesn't read
+ */
+export const decodePngHeightmap = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (!isPng(bytes)) return null;
+
+  const png = decodePng(bytes);
+  const heights = pngToHeights(png);
+  if (!heights) return null;
+  return { width: png.width, height: png.height, heights, bitDepth: png.palette ? 8 : png.depth };
+};
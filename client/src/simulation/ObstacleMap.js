@@ -0,0 +1,79 @@
+import SpatialGrid from './SpatialGrid.js';
+
+// Footprint of the platform at the center of every map (a 50 x 50 box)
+export const CENTRAL_PLATFORM = { x: 0, z: 0, radius: 25, type: 'structure' };
+
+/**
+ * Scatter count rocks over the terrain with random numbers from random
+ * Returns [{ x, z, size, rotation: { x, y, z } }], size is the rock's radius. The terrain
+ * objects and headless runs place rocks with this, so the same seed gives the same rocks.
+ */
+export const placeRocks = (random, count) => {
+  const rocks = [];
+  for (let i = 0; i < count; i++) {
+    const size = random.range(10, 40);
+    const x = random.range(-900, 900);
+    const z = random.range(-900, 900);
+    const rotation = { x: random.next() * Math.PI, y: random.next() * Math.PI, z: random.next() * Math.PI };
+    rocks.push({ x, z, size, rotation });
+  }
+  return rocks;
+};
+
+/**
+ * ObstacleMap - Footprints of the solid objects on the terrain, indexed for the simulation
+ * Obstacles are plain { x, z, radius, type } circles (see TerrainObjectManager.getObstacles),
+ * type is 'rock' or 'structure'.
+ */
+class ObstacleMap {
+  constructor() {
+    this.obstacles = [];
+    this.obstacleIndex = new SpatialGrid(100); // Obstacle footprints by grid cell, ids are indices into obstacles
+  }
+
+  setObstacles(obstacles) {
+    this.obstacles = obstacles;
+    this.obstacleIndex.clear();
+    this.obstacles.forEach((obstacle, index) => {
+      this.obstacleIndex.insert(index, obstacle.x, obstacle.z, obstacle.radius);
+    });
+  }
+
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  /**
+   * Obstacles whose footprint is within range of (x, z)
+   */
+  getObstaclesWithin(x, z, range) {
+    return this.obstacleIndex.query(x, z, range).map(index => this.obstacles[index]);
+  }
+
+  /**
+   * Obstacles whose footprint overlaps the rectangle (minX, minZ)-(maxX, maxZ)
+   */
+  getObstaclesInRect(minX, minZ, maxX, maxZ) {
+    return this.obstacleIndex.queryRect(minX, minZ, maxX, maxZ).map(index => this.obstacles[index]);
+  }
+
+  /**
+   * Obstacle whose footprint is closest to (x, z), null if none
+   * Options: type to only look at one kind of obstacle (e.g. 'rock'), maxDistance,
+   * and filter: (obstacle) => boolean to skip obstacles
+   */
+  getNearestObstacle(x, z, { type = null, maxDistance = Infinity, filter = null } = {}) {
+    const obstacles = this.obstacles;
+    const index = this.obstacleIndex.nearest(x, z, {
+      maxDistance,
+      filter: index => (!type || obstacles[index].type === type) && (!filter || filter(obstacles[index]))
+    });
+    return index === null ? null : obstacles[index];
+  }
+
+  clear() {
+    this.setObstacles([]);
+  }
+}
+
+export default ObstacleMap;
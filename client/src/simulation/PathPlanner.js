@@ -0,0 +1,334 @@
+import { DEFAULT_MAX_SLOPE } from './RobotMovement.js';
+
+// Size (world units) of a navigation grid cell
+const NAV_CELL_SIZE = 20;
+// Clearance (world units) kept around obstacles, about a robot's radius
+const OBSTACLE_CLEARANCE = 12;
+// Extra distance around obstacles that is passable but costly to drive through
+const HAZARD_MARGIN = 30;
+// Cost multipliers on top of the travelled distance
+const SLOPE_COST = 4;   // Applied to (slope / maxSlope)^2
+const HAZARD_COST = 2;  // Applied in the hazard margin around obstacles
+
+// 8-connected neighbours: [dx, dz, step length in cells]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Minimal binary heap keyed by priority, used as the A* open list
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
+/**
+ * PathPlanner - A* route planning over a navigation grid built from the terrain
+ * Cells cost more the steeper they are, are impassable above a robot's maximum slope
+ * or under obstacles (rocks, the platform), and everything outside the terrain is off limits.
+ */
+class PathPlanner {
+  constructor(world) {
+    this.world = world; // The SimulationWorld: terrain queries and obstacles
+    this.grid = null;
+  }
+
+  /**
+   * Drop the navigation grid, it is rebuilt on the next query
+   * (call after the terrain or its objects change)
+   */
+  invalidate() {
+    this.grid = null;
+  }
+
+  /**
+   * Build the navigation grid: slope, obstacle and hazard per cell
+   */
+  buildGrid() {
+    const terrain = this.world;
+    const { width, height } = terrain.getTerrainDimensions();
+    if (!width || !height) return null;
+
+    const columns = Math.max(1, Math.ceil(width / NAV_CELL_SIZE));
+    const rows = Math.max(1, Math.ceil(height / NAV_CELL_SIZE));
+    const cellCount = columns * rows;
+    const slopes = new Float32Array(cellCount);
+    const obstacles = new Int16Array(cellCount).fill(-1);
+    const hazards = new Uint8Array(cellCount);
+
+    const grid = { columns, rows, width, height, slopes, obstacles, hazards, obstacleBounds: [] };
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const { x, z } = this.cellToWorld(grid, col, row);
+        slopes[row * columns + col] = terrain.getSlopeAtPosition(x, z);
+      }
+    }
+
+    // Footprints of solid objects on the terrain, as squares around their circles
+    const footprints = terrain.obstacles ? terrain.obstacles.getObstacles() : [];
+    footprints.forEach(footprint => {
+      const box = {
+        min: { x: footprint.x - footprint.radius, z: footprint.z - footprint.radius },
+        max: { x: footprint.x + footprint.radius, z: footprint.z + footprint.radius }
+      };
+      const index = grid.obstacleBounds.length;
+      grid.obstacleBounds.push(box);
+
+      const blocked = this._expandBox(box, OBSTACLE_CLEARANCE);
+      const hazard = this._expandBox(blocked, HAZARD_MARGIN);
+      const min = this.worldToCell(grid, hazard.min.x, hazard.min.z);
+      const max = this.worldToCell(grid, hazard.max.x, hazard.max.z);
+
+      for (let row = min.row; row <= max.row; row++) {
+        for (let col = min.col; col <= max.col; col++) {
+          const { x, z } = this.cellToWorld(grid, col, row);
+          const cell = row * columns + col;
+          if (x >= blocked.min.x && x <= blocked.max.x && z >= blocked.min.z && z <= blocked.max.z) {
+            if (obstacles[cell] === -1) obstacles[cell] = index;
+          } else {
+            hazards[cell] = 1;
+          }
+        }
+      }
+    });
+
+    this.grid = grid;
+    return grid;
+  }
+
+  // Copy of a { min, max } box grown by margin on every side
+  _expandBox(box, margin) {
+    return {
+      min: { x: box.min.x - margin, z: box.min.z - margin },
+      max: { x: box.max.x + margin, z: box.max.z + margin }
+    };
+  }
+
+  /**
+   * Get the navigation grid, building it if needed
+   */
+  getGrid() {
+    const { width, height } = this.world.getTerrainDimensions();
+    if (!this.grid || this.grid.width !== width || this.grid.height !== height) {
+      return this.buildGrid();
+    }
+    return this.grid;
+  }
+
+  // World position of a cell's center
+  cellToWorld(grid, col, row) {
+    return {
+      x: -grid.width / 2 + (col + 0.5) * (grid.width / grid.columns),
+      z: -grid.height / 2 + (row + 0.5) * (grid.height / grid.rows)
+    };
+  }
+
+  // Cell containing a world position (clamped to the grid)
+  worldToCell(grid, x, z) {
+    const col = Math.floor(((x + grid.width / 2) / grid.width) * grid.columns);
+    const row = Math.floor(((z + grid.height / 2) / grid.height) * grid.rows);
+    return {
+      col: Math.max(0, Math.min(grid.columns - 1, col)),
+      row: Math.max(0, Math.min(grid.rows - 1, row))
+    };
+  }
+
+  /**
+   * Cost multiplier of driving through a cell, Infinity if impassable
+   */
+  cellCost(grid, cell, maxSlope, ignoredObstacles) {
+    const obstacle = grid.obstacles[cell];
+    if (obstacle !== -1 && !ignoredObstacles.has(obstacle)) return Infinity;
+
+    const slope = grid.slopes[cell];
+    if (slope > maxSlope) return Infinity;
+
+    const steepness = slope / maxSlope;
+    return 1 + SLOPE_COST * steepness * steepness + (grid.hazards[cell] ? HAZARD_COST : 0);
+  }
+
+  /**
+   * Plan a route between two world positions for a robot that can climb maxSlope degrees
+   * Returns waypoints [{ x, z }, ...] ending at the goal, or null if the goal can't be reached.
+   * An obstacle containing the goal (e.g. the rock a robot is driving to) doesn't block it.
+   */
+  findPath(start, goal, { maxSlope = DEFAULT_MAX_SLOPE } = {}) {
+    const grid = this.getGrid();
+    if (!grid) return null;
+
+    const { width, height } = grid;
+    if (Math.abs(goal.x) > width / 2 || Math.abs(goal.z) > height / 2) return null;
+
+    // Obstacles around the start or the goal mustn't trap the route
+    const isInside = (box, point) =>
+      point.x >= box.min.x - OBSTACLE_CLEARANCE && point.x <= box.max.x + OBSTACLE_CLEARANCE &&
+      point.z >= box.min.z - OBSTACLE_CLEARANCE && point.z <= box.max.z + OBSTACLE_CLEARANCE;
+    const ignoredObstacles = new Set();
+    grid.obstacleBounds.forEach((box, index) => {
+      if (isInside(box, start) || isInside(box, goal)) ignoredObstacles.add(index);
+    });
+
+    const startCell = this.worldToCell(grid, start.x, start.z);
+    const goalCell = this.worldToCell(grid, goal.x, goal.z);
+    const startIndex = startCell.row * grid.columns + startCell.col;
+    const goalIndex = goalCell.row * grid.columns + goalCell.col;
+    const cellSize = width / grid.columns;
+
+    // Octile distance, admissible because every cell costs at least its length
+    const heuristic = (col, row) => {
+      const dx = Math.abs(col - goalCell.col);
+      const dz = Math.abs(row - goalCell.row);
+      return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * cellSize;
+    };
+
+    const cellCount = grid.columns * grid.rows;
+    const costs = new Float64Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+    const open = new MinHeap();
+
+    costs[startIndex] = 0;
+    open.push(startIndex, heuristic(startCell.col, startCell.row));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalIndex) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const col = current % grid.columns;
+      const row = Math.floor(current / grid.columns);
+
+      for (const [dx, dz, length] of NEIGHBOURS) {
+        const nextCol = col + dx;
+        const nextRow = row + dz;
+        if (nextCol < 0 || nextCol >= grid.columns || nextRow < 0 || nextRow >= grid.rows) continue;
+
+        const next = nextRow * grid.columns + nextCol;
+        if (closed[next]) continue;
+
+        // The goal cell is always enterable so a slightly steep goal doesn't fail the whole route
+        const multiplier = next === goalIndex ? 1 : this.cellCost(grid, next, maxSlope, ignoredObstacles);
+        if (multiplier === Infinity) continue;
+
+        // Don't cut corners between two blocked cells
+        if (dx !== 0 && dz !== 0 &&
+            this.cellCost(grid, row * grid.columns + nextCol, maxSlope, ignoredObstacles) === Infinity &&
+            this.cellCost(grid, nextRow * grid.columns + col, maxSlope, ignoredObstacles) === Infinity) {
+          continue;
+        }
+
+        const cost = costs[current] + length * cellSize * multiplier;
+        if (cost < costs[next]) {
+          costs[next] = cost;
+          cameFrom[next] = current;
+          open.push(next, cost + heuristic(nextCol, nextRow));
+        }
+      }
+    }
+
+    if (startIndex !== goalIndex && cameFrom[goalIndex] === -1) return null;
+
+    // Walk back from the goal
+    const cells = [];
+    for (let cell = goalIndex; cell !== -1 && cell !== startIndex; cell = cameFrom[cell]) {
+      cells.push(cell);
+    }
+    cells.push(startIndex);
+    cells.reverse();
+
+    const waypoints = this.smoothPath(grid, cells, maxSlope, ignoredObstacles)
+      .slice(1) // The start cell is where the robot already is
+      .map(cell => this.cellToWorld(grid, cell % grid.columns, Math.floor(cell / grid.columns)));
+
+    // End exactly on the goal instead of its cell center
+    if (waypoints.length > 0) waypoints.pop();
+    waypoints.push({ x: goal.x, z: goal.z });
+    return waypoints;
+  }
+
+  /**
+   * Drop waypoints that can be skipped by driving straight, as long as the straight
+   * line is passable and no costlier than the cells it replaces
+   */
+  smoothPath(grid, cells, maxSlope, ignoredObstacles) {
+    if (cells.length <= 2) return cells;
+
+    const costOf = cell => this.cellCost(grid, cell, maxSlope, ignoredObstacles);
+    const smoothed = [cells[0]];
+    let anchor = 0;
+
+    while (anchor < cells.length - 1) {
+      let furthest = anchor + 1;
+      let replacedCost = costOf(cells[furthest]);
+      for (let candidate = anchor + 2; candidate < cells.length; candidate++) {
+        replacedCost = Math.max(replacedCost, costOf(cells[candidate - 1]));
+        if (!this.isLineClear(grid, cells[anchor], cells[candidate], replacedCost, costOf)) break;
+        furthest = candidate;
+      }
+      smoothed.push(cells[furthest]);
+      anchor = furthest;
+    }
+    return smoothed;
+  }
+
+  // Check every cell on the line between two cells (sampled at half-cell steps)
+  isLineClear(grid, fromCell, toCell, maxCost, costOf) {
+    const fromCol = fromCell % grid.columns;
+    const fromRow = Math.floor(fromCell / grid.columns);
+    const toCol = toCell % grid.columns;
+    const toRow = Math.floor(toCell / grid.columns);
+    const steps = Math.ceil(Math.max(Math.abs(toCol - fromCol), Math.abs(toRow - fromRow)) * 2);
+
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const col = Math.round(fromCol + (toCol - fromCol) * t);
+      const row = Math.round(fromRow + (toRow - fromRow) * t);
+      if (costOf(row * grid.columns + col) > maxCost) return false;
+    }
+    return true;
+  }
+}
+
+export default PathPlanner;
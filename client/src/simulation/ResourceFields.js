@@ -0,0 +1,143 @@
+// Resources robots can search for, by the task that looks for them
+export const RESOURCE_TYPES = ['ice', 'soil', 'weather'];
+export const RESOURCE_TASKS = { findWater: 'ice', findGoodSoil: 'soil', findGoodWeather: 'weather' };
+// Cells along each side of a generated field
+const FIELD_RESOLUTION = 64;
+// Lattice cells along each side of the noise octaves, and their weights
+const NOISE_OCTAVES = [{ cells: 3, weight: 0.5 }, { cells: 6, weight: 0.3 }, { cells: 12, weight: 0.2 }];
+
+/**
+ * Smooth random values over the unit square, from a lattice of random values
+ * Returns (u, v) => 0-1
+ */
+const valueNoise = (random, cells) => {
+  const size = cells + 1;
+  const lattice = new Float32Array(size * size).map(() => random.next());
+  const smooth = t => t * t * (3 - 2 * t);
+  return (u, v) => {
+    const x = u * cells;
+    const y = v * cells;
+    const x0 = Math.min(cells - 1, Math.floor(x));
+    const y0 = Math.min(cells - 1, Math.floor(y));
+    const tx = smooth(x - x0);
+    const ty = smooth(y - y0);
+    const at = (i, j) => lattice[j * size + i];
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+    return top + (bottom - top) * ty;
+  };
+};
+
+const fractalNoise = (random) => {
+  const octaves = NOISE_OCTAVES.map(({ cells, weight }) => ({ noise: valueNoise(random, cells), weight }));
+  return (u, v) => octaves.reduce((total, { noise, weight }) => total + noise(u, v) * weight, 0);
+};
+
+// Stretch a field's values to the full 0-1 range, so every map has good and poor spots
+const normalize = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const range = max - min || 1;
+  return values.map(value => (value - min) / range);
+};
+
+/**
+ * Generate the resource fields of a terrain (a TerrainSampler) from a seeded generator
+ * - ice: subsurface ice probability, higher in low ground and toward the top (north) of the map
+ * - soil: soil quality, better on gentle slopes
+ * - weather: how calm the local weather is, better in low ground
+ * Layers loaded for the map (decoded images { width, height, heights }, see HeightmapDecoder) are used
+ * as they are, only missing fields are generated.
+ * Returns { ice, soil, weather }, each { width, height, values: Float32Array (0-1, row-major, top row first) }
+ */
+export const generateResourceFields = (terrain, random, layers = {}) => {
+  const noise = {
+    ice: fractalNoise(random.derive('ice')),
+    soil: fractalNoise(random.derive('soil')),
+    weather: fractalNoise(random.derive('weather'))
+  };
+  const hasHeights = !!terrain.heights;
+  const { width: terrainWidth, height: terrainHeight } = terrain.getTerrainDimensions();
+
+  const fields = {};
+  RESOURCE_TYPES.forEach(type => {
+    const layer = layers[type];
+    if (layer) {
+      fields[type] = { width: layer.width, height: layer.height, values: layer.heights };
+      return;
+    }
+
+    const values = new Float32Array(FIELD_RESOLUTION * FIELD_RESOLUTION);
+    for (let row = 0; row < FIELD_RESOLUTION; row++) {
+      const v = (row + 0.5) / FIELD_RESOLUTION;
+      for (let column = 0; column < FIELD_RESOLUTION; column++) {
+        const u = (column + 0.5) / FIELD_RESOLUTION;
+        const height = hasHeights ? terrain.sampleHeightmap(u, v) : 0.5;
+        let value;
+        if (type === 'ice') {
+          value = 0.45 * (1 - height) + 0.2 * (1 - v) + 0.35 * noise.ice(u, v);
+        } else if (type === 'soil') {
+          const slope = hasHeights ? terrain.getSlopeAtPosition((u - 0.5) * terrainWidth, (v - 0.5) * terrainHeight) : 0;
+          value = 0.5 * Math.max(0, 1 - slope / 20) + 0.5 * noise.soil(u, v);
+        } else {
+          value = 0.3 * (1 - height) + 0.7 * noise.weather(u, v);
+        }
+        values[row * FIELD_RESOLUTION + column] = value;
+      }
+    }
+    fields[type] = { width: FIELD_RESOLUTION, height: FIELD_RESOLUTION, values: normalize(values) };
+  });
+  return fields;
+};
+
+/**
+ * ResourceFields - The resource fields of the simulated terrain, sampled by the robots
+ */
+class ResourceFields {
+  constructor(world) {
+    this.world = world;
+    this.fields = {};
+  }
+
+  setFields(fields) {
+    this.fields = fields || {};
+  }
+
+  getFields() {
+    return this.fields;
+  }
+
+  /**
+   * Value (0-1) of a resource at a world position, interpolated between cells; 0 without a field
+   */
+  sample(type, x, z) {
+    const field = this.fields[type];
+    if (!field) return 0;
+
+    const { width: terrainWidth, height: terrainHeight } = this.world.getTerrainDimensions();
+    if (!terrainWidth || !terrainHeight) return 0;
+
+    // Continuous cell coordinates, cell centers sit at whole numbers
+    const cellX = Math.min(field.width - 1, Math.max(0, ((x + terrainWidth / 2) / terrainWidth) * field.width - 0.5));
+    const cellZ = Math.min(field.height - 1, Math.max(0, ((z + terrainHeight / 2) / terrainHeight) * field.height - 0.5));
+    const x0 = Math.floor(cellX);
+    const z0 = Math.floor(cellZ);
+    const x1 = Math.min(field.width - 1, x0 + 1);
+    const z1 = Math.min(field.height - 1, z0 + 1);
+    const tx = cellX - x0;
+    const tz = cellZ - z0;
+
+    const values = field.values;
+    const row0 = z0 * field.width;
+    const row1 = z1 * field.width;
+    const top = values[row0 + x0] + (values[row0 + x1] - values[row0 + x0]) * tx;
+    const bottom = values[row1 + x0] + (values[row1 + x1] - values[row1 + x0]) * tx;
+    return top + (bottom - top) * tz;
+  }
+}
+
+export default ResourceFields;
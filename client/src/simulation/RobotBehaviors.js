@@ -0,0 +1,587 @@
+import { TURN_RATE_MULTIPLIER, ROBOT_RADIUS } from './RobotMovement.js';
+import { RESOURCE_TASKS } from './ResourceFields.js';
+
+// Steepest slope (degrees) that still counts as a flat surface
+const FLAT_SURFACE_MAX_SLOPE = 5;
+// How long (ms) robots slow down at a patrol point, examine a rock and analyze a flat surface
+const PATROL_SLOWDOWN_TIME = 200;
+const ROCK_EXAMINE_TIME = 500;
+const SURFACE_ANALYSIS_TIME = 800;
+// How close (beyond touching) a robot gets to a rock's edge to examine it
+const ROCK_EXAMINE_DISTANCE = 5;
+// Resource value (0-1) at which a robot searching for it stops, and the least gain worth driving for
+const RESOURCE_FOUND_LEVEL = 0.7;
+const RESOURCE_MIN_GAIN = 0.01;
+// Points sampled on each ring (at the sensor range and half of it) around a robot searching for a resource
+const RESOURCE_SAMPLE_POINTS = 8;
+
+class RobotBehaviors {
+  constructor(simulation) {
+    this.simulation = simulation;
+  }
+
+  // Apply behavior based on the robot's goal
+  applyRobotBehavior(robot, deltaTime) {
+    // If battery is depleted, robot can't move
+    if (robot.capabilities.batteryLevel <= 0) {
+      robot.speed = 0;
+      return;
+    }
+    
+    // Update thinking time for decision making
+    robot.behaviorState.thinkTime += deltaTime;
+    
+    // Apply appropriate behavior based on the goal - only keep behaviors that are directly in the UI
+    switch (robot.behaviorGoal) {
+      // Random movement behavior
+      case 'random':
+        this.applyRandomBehavior(robot, deltaTime);
+        break;
+      // Patrol behavior
+      case 'patrol':
+        this.applyPatrolBehavior(robot, deltaTime);
+        break;
+      // Find rocks behavior
+      case 'findRocks':
+        this.applyFindRocksBehavior(robot, deltaTime);
+        break;
+      // Find water, good soil and good weather behaviors
+      case 'findWater':
+      case 'findGoodSoil':
+      case 'findGoodWeather':
+        this.applyFindResourceBehavior(robot, deltaTime, RESOURCE_TASKS[robot.behaviorGoal]);
+        break;
+      // Survey the map, frontier by frontier
+      case 'explore':
+        this.applyExploreBehavior(robot, deltaTime);
+        break;
+      // Find flat surface behavior
+      case 'findFlatSurface':
+        this.applyFindFlatSurfaceBehavior(robot, deltaTime);
+        break;
+      // Drive to a point (a queued task), or back to where the robot was placed
+      case 'goTo':
+      case 'returnToBase':
+        this.applyGoToBehavior(robot, deltaTime);
+        break;
+      // Drive the user's waypoint route
+      case 'followPath':
+        this.applyFollowPathBehavior(robot, deltaTime);
+        break;
+      // Drive as commanded by an external controller
+      case 'external':
+        this.applyExternalBehavior(robot, deltaTime);
+        break;
+      // Standby behavior
+      case 'standby':
+        // Do nothing, robot stays in place
+        robot.speed = 0;
+        break;
+      default:
+        // Default to random movement
+        this.applyRandomBehavior(robot, deltaTime);
+    }
+  }
+  
+  // Helper function to calculate distance to target
+  _distanceToTarget(robot, target) {
+    return Math.sqrt(
+      Math.pow(robot.position.x - target.x, 2) +
+      Math.pow(robot.position.z - target.z, 2)
+    );
+  }
+  
+  // Random movement behavior - simplified
+  applyRandomBehavior(robot, deltaTime) {
+    robot.moveTimer += deltaTime;
+    
+    // Change direction randomly at intervals - but much less frequently
+    if (robot.moveTimer > robot.moveInterval) {
+      const random = this.simulation.world.random;
+
+      // Calculate new direction
+      const currentAngle = Math.atan2(robot.direction.z, robot.direction.x);
+      
+      // Calculate new direction with a smaller maximum turn angle
+      // and a preference for continuing straight
+      const straightLinePreference = 0.6; // 60% chance to mostly continue straight
+      let maxTurnAngle;
+      let randomTurn;
+      
+      if (random.next() < straightLinePreference) {
+        // Small adjustment to current direction (up to 15 degrees)
+        maxTurnAngle = Math.PI / 12; 
+        randomTurn = random.range(-1, 1) * maxTurnAngle;
+      } else {
+        // Larger direction change when needed (up to 45 degrees)
+        maxTurnAngle = Math.PI / 4; 
+        randomTurn = random.range(-1, 1) * maxTurnAngle;
+      }
+      
+      const newAngle = currentAngle + randomTurn;
+      
+      // Set target direction
+      robot.targetDirection = {
+        x: Math.cos(newAngle),
+        z: Math.sin(newAngle)
+      };
+      
+      // Reset timer and set new interval - much longer for longer straight paths
+      robot.moveTimer = 0;
+      robot.moveInterval = random.range(1500, 5000); // 1.5 to 5 seconds of straight movement
+      
+      // Randomize speed with a preference for consistent motion
+      const speedVariance = 0.2; // Only vary speed by 20%
+      const baseSpeed = robot.capabilities.maxSpeed * 0.4; // Lower base speed for random behavior
+      const speedAdjustment = random.range(-1, 1) * speedVariance;
+      robot.targetSpeed = baseSpeed * (1 + speedAdjustment);
+    }
+    
+    // Update direction and speed
+    this.simulation.movement.smoothlyUpdateDirectionAndSpeed(robot, deltaTime);
+    
+    // Apply movement with further reduced factor for even slower visual speed
+    const moveFactor = 0.1; // Further reduced from 0.5
+    const result = this.simulation.movement.advance(robot, robot.speed * moveFactor);
+    
+    // Wander back the way we came at the edge of the map
+    if (result === 'boundary') {
+      robot.targetDirection = { x: -robot.direction.x, z: -robot.direction.z };
+    }
+  }
+  
+  // Patrol behavior - drive the robot's patrol route, or a square around where it started
+  applyPatrolBehavior(robot, deltaTime) {
+    const state = robot.behaviorState;
+    const patrolRoute = this.simulation.patrolRoutes[robot.patrolRouteId];
+
+    // Initialize patrol points if not set
+    if (state.patrolPoints.length === 0) {
+      if (patrolRoute && patrolRoute.points.length > 0) {
+        // Join the route at its nearest point
+        state.patrolPoints = patrolRoute.points.map(point => ({ ...point }));
+        state.patrolIndex = this._nearestPointIndex(robot, state.patrolPoints);
+        state.patrolDirection = 1;
+      } else {
+        // Create a simple square patrol path around current position, kept on the terrain
+        const radius = robot.capabilities.sensorRange * 2;
+        const centerX = robot.position.x;
+        const centerZ = robot.position.z;
+        const { width, height } = this.simulation.world.getTerrainDimensions();
+        const clampX = x => Math.max(-width / 2 + 20, Math.min(width / 2 - 20, x));
+        const clampZ = z => Math.max(-height / 2 + 20, Math.min(height / 2 - 20, z));
+        
+        state.patrolPoints = [
+          { x: clampX(centerX + radius), z: clampZ(centerZ + radius) },
+          { x: clampX(centerX - radius), z: clampZ(centerZ + radius) },
+          { x: clampX(centerX - radius), z: clampZ(centerZ - radius) },
+          { x: clampX(centerX + radius), z: clampZ(centerZ - radius) }
+        ];
+      }
+    }
+    
+    // Wait at the patrol point
+    if (state.patrolDwell > 0) {
+      state.patrolDwell -= deltaTime;
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      return;
+    }
+    
+    // Get current target point (the last position of a ping-ponged polygon is its first point)
+    const targetPoint = state.patrolPoints[state.patrolIndex % state.patrolPoints.length];
+    
+    // Move toward the target point with increased directness
+    const directPathFactor = 1.1; // Move more directly toward target
+    
+    // Set a higher speed for patrol to cover ground faster, a little less just after a patrol point
+    if (state.pauseTime > 0) {
+      state.pauseTime -= deltaTime;
+      robot.targetSpeed = robot.capabilities.maxSpeed * 0.6;
+    } else {
+      robot.targetSpeed = robot.capabilities.maxSpeed * 0.95; // Almost full speed for patrol
+    }
+    
+    // Follow the planned route to the patrol point
+    const result = this.simulation.movement.followPath(robot, targetPoint, deltaTime);
+    
+    // Boost forward movement for more direct paths
+    if (result === 'moved') {
+      this.simulation.movement.advance(robot, robot.speed * 0.1); // Additional forward momentum
+    }
+    
+    // Check if we've reached the target
+    const distanceToTarget = this._distanceToTarget(robot, targetPoint);
+    
+    // Patrol points behind impassable slopes are skipped
+    if (distanceToTarget < 15 || result === 'blocked') { // Reduced from 20 to spend less time near waypoints
+      this.simulation.movement.clearPath(robot);
+      
+      // Move to next patrol point
+      state.patrolIndex = this._nextPatrolIndex(state, patrolRoute);
+      
+      if (patrolRoute && patrolRoute.dwellTime > 0 && result !== 'blocked') {
+        state.patrolDwell = patrolRoute.dwellTime * 1000;
+        return;
+      }
+      
+      // Shorter pause at waypoints
+      robot.targetSpeed = robot.capabilities.maxSpeed * 0.6; // Less slowdown at waypoints
+      state.pauseTime = PATROL_SLOWDOWN_TIME;
+    }
+  }
+  
+  // Index of the patrol point after the current one. Loops go back to the first point,
+  // ping-pong reverses at the ends (a polygon's end is its first point again).
+  _nextPatrolIndex(state, patrolRoute) {
+    const count = state.patrolPoints.length;
+    if (!patrolRoute || patrolRoute.mode !== 'pingpong') {
+      return (state.patrolIndex + 1) % count;
+    }
+    
+    const last = patrolRoute.shape === 'polygon' ? count : count - 1;
+    if (last < 1) return 0;
+    
+    let next = state.patrolIndex + state.patrolDirection;
+    if (next > last || next < 0) {
+      state.patrolDirection = -state.patrolDirection;
+      next = state.patrolIndex + state.patrolDirection;
+    }
+    return next;
+  }
+  
+  // Index of the point closest to the robot
+  _nearestPointIndex(robot, points) {
+    let nearest = 0;
+    points.forEach((point, i) => {
+      if (this._distanceToTarget(robot, point) < this._distanceToTarget(robot, points[nearest])) {
+        nearest = i;
+      }
+    });
+    return nearest;
+  }
+  
+  // Follow path behavior - drive the waypoints of robot.route in order
+  applyFollowPathBehavior(robot, deltaTime) {
+    const route = robot.route;
+    
+    // Nothing (left) to drive: wait at the last waypoint
+    if (!route || route.index >= route.waypoints.length) {
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      return;
+    }
+    
+    const waypoint = route.waypoints[route.index];
+    robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+    const result = this.simulation.movement.followPath(robot, waypoint, deltaTime);
+    
+    // Waypoints that can't be reached over the terrain are skipped
+    if (this._distanceToTarget(robot, waypoint) < 15 || result === 'blocked') {
+      if (result === 'blocked') {
+        console.log(`Robot ${robot.id} can't reach waypoint ${route.index + 1}, skipping it.`);
+      }
+      this.simulation.movement.clearPath(robot);
+      route.index++;
+      if (route.index >= route.waypoints.length && route.loop) {
+        route.index = 0;
+      }
+    }
+  }
+  
+  // Go to behavior - drive to behaviorState.targetPosition and stop there, arrival tells how it went
+  applyGoToBehavior(robot, deltaTime) {
+    const movement = this.simulation.movement;
+    const state = robot.behaviorState;
+
+    if (!state.targetPosition || state.arrival) {
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      return;
+    }
+
+    robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+    const result = movement.followPath(robot, state.targetPosition, deltaTime);
+
+    if (result === 'blocked') {
+      console.log(`Robot ${robot.id} can't reach (${Math.round(state.targetPosition.x)}, ${Math.round(state.targetPosition.z)}).`);
+      movement.clearPath(robot);
+      state.arrival = 'unreachable';
+    } else if (this._distanceToTarget(robot, state.targetPosition) < 15) {
+      movement.clearPath(robot);
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      state.arrival = 'arrived';
+    }
+  }
+  
+  // External behavior - drive with robot.control { throttle: 0-1 of maxSpeed, steer: -1-1 of turnRate }
+  // set by a controller (see RoverEnv). Slopes, obstacles and other robots are still avoided.
+  applyExternalBehavior(robot, deltaTime) {
+    const { throttle, steer } = robot.control;
+    const movement = this.simulation.movement;
+
+    // Aim as far off the current heading as the robot can turn in this step
+    const maxTurn = robot.capabilities.turnRate * TURN_RATE_MULTIPLIER * deltaTime / 1000;
+    const angle = Math.atan2(robot.direction.z, robot.direction.x) + steer * maxTurn;
+    robot.targetDirection = { x: Math.cos(angle), z: Math.sin(angle) };
+    robot.targetSpeed = robot.capabilities.maxSpeed * throttle;
+
+    movement.smoothlyUpdateDirectionAndSpeed(robot, deltaTime);
+    if (throttle <= 0) {
+      robot.speed = 0;
+      return;
+    }
+
+    const result = movement.advance(robot, robot.speed * 0.5);
+    if (result === 'boundary') {
+      // Stay at the edge of the map until the controller turns away
+      robot.speed = 0;
+    }
+  }
+  
+  // Find rocks behavior - drive to the rock handed out by the task allocator and examine it
+  applyFindRocksBehavior(robot, deltaTime) {
+    const allocator = this.simulation.allocator;
+    const movement = this.simulation.movement;
+    const state = robot.behaviorState;
+
+    if (state.pauseTime > 0) {
+      // Examining the rock, then it's done and the allocator hands out the next one
+      state.pauseTime -= deltaTime;
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      if (state.pauseTime <= 0) {
+        allocator.complete(robot.id);
+        state.targetPosition = null;
+        robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+      }
+      return;
+    }
+
+    const claim = allocator.getClaim(robot.id);
+    state.targetPosition = claim ? claim.target : null;
+    if (!claim) {
+      // No rocks left for this robot, move randomly to search
+      robot.targetSpeed = robot.capabilities.maxSpeed * 0.8;
+      this.applyRandomBehavior(robot, deltaTime);
+      return;
+    }
+
+    // Move toward the target rock with high speed
+    robot.targetSpeed = robot.capabilities.maxSpeed * 1.0;
+    const result = movement.followPath(robot, claim.target, deltaTime);
+
+    if (result === 'blocked') {
+      // The rock can't be reached over this terrain, another robot may get it
+      movement.clearPath(robot);
+      allocator.reject(robot.id);
+      state.targetPosition = null;
+    } else if (this._distanceToTarget(robot, claim.target) < claim.source.radius + ROBOT_RADIUS + ROCK_EXAMINE_DISTANCE) {
+      // Next to the rock, simulate examining it
+      movement.clearPath(robot);
+      robot.targetSpeed = 0;
+      state.pauseTime = ROCK_EXAMINE_TIME;
+    }
+  }
+  
+  // Explore behavior - drive to the frontier of the explored cells (see ExplorationMap) handed out
+  // by the task allocator, which keeps robots exploring together on different frontiers
+  applyExploreBehavior(robot, deltaTime) {
+    const allocator = this.simulation.allocator;
+    const movement = this.simulation.movement;
+    const state = robot.behaviorState;
+
+    const claim = allocator.getClaim(robot.id);
+    state.targetPosition = claim ? claim.target : null;
+    if (!claim) {
+      // Everything reachable has been explored
+      movement.clearPath(robot);
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      return;
+    }
+
+    robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+    const result = movement.followPath(robot, claim.target, deltaTime);
+
+    if (result === 'blocked') {
+      // Leave frontiers behind impassable terrain out
+      movement.clearPath(robot);
+      allocator.reject(robot.id);
+      state.targetPosition = null;
+    } else if (this._distanceToTarget(robot, claim.target) < 15) {
+      movement.clearPath(robot);
+      allocator.complete(robot.id);
+      state.targetPosition = null;
+    }
+  }
+
+  // Find resource behavior - climb the resource's field (see ResourceFields) toward the best value
+  // sensed within sensorRange, and stay where it is good enough. Poor local peaks are left in a random direction.
+  applyFindResourceBehavior(robot, deltaTime, type) {
+    const world = this.simulation.world;
+    const state = robot.behaviorState;
+    const movement = this.simulation.movement;
+
+    // Found: stay and measure
+    if (state.resourceFound) {
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      return;
+    }
+
+    if (!state.targetPosition) {
+      const { x, z } = robot.position;
+      const current = world.sampleResource(type, x, z);
+      const best = this._bestResourceNearby(robot, type);
+
+      if (best && best.value > current + RESOURCE_MIN_GAIN) {
+        // Climb toward the best reading
+        state.targetPosition = { x: best.x, z: best.z };
+      } else if (current >= RESOURCE_FOUND_LEVEL) {
+        console.log(`Robot ${robot.id} found ${type} (${Math.round(current * 100)}%).`);
+        movement.clearPath(robot);
+        state.resourceFound = true;
+        robot.targetSpeed = 0;
+        robot.speed = 0;
+        return;
+      } else {
+        // Poor local peak, search further away
+        this._exploreFrom(robot, robot.capabilities.sensorRange * 3);
+      }
+    }
+
+    robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+    const result = movement.followPath(robot, state.targetPosition, deltaTime);
+
+    if (result === 'blocked') {
+      // Unreachable over this terrain, try somewhere else
+      movement.clearPath(robot);
+      this._exploreFrom(robot, robot.capabilities.sensorRange * 2);
+    } else if (this._distanceToTarget(robot, state.targetPosition) < 15) {
+      // Sense again from here
+      movement.clearPath(robot);
+      state.targetPosition = null;
+    }
+  }
+
+  // Best resource reading on two rings around the robot (sensorRange and half of it), inside the map
+  _bestResourceNearby(robot, type) {
+    const world = this.simulation.world;
+    const { width, height } = world.getTerrainDimensions();
+    const range = robot.capabilities.sensorRange;
+    let best = null;
+
+    [range, range / 2].forEach(radius => {
+      for (let i = 0; i < RESOURCE_SAMPLE_POINTS; i++) {
+        const angle = (i / RESOURCE_SAMPLE_POINTS) * Math.PI * 2;
+        const x = robot.position.x + Math.cos(angle) * radius;
+        const z = robot.position.z + Math.sin(angle) * radius;
+        if (Math.abs(x) > width / 2 - 20 || Math.abs(z) > height / 2 - 20) continue;
+
+        const value = world.sampleResource(type, x, z);
+        if (!best || value > best.value) {
+          best = { x, z, value };
+        }
+      }
+    });
+    return best;
+  }
+
+  // Head for a random point at a distance from the robot, kept on the map
+  _exploreFrom(robot, distance) {
+    const world = this.simulation.world;
+    const { width, height } = world.getTerrainDimensions();
+    const angle = world.random.range(0, Math.PI * 2);
+    robot.behaviorState.targetPosition = {
+      x: Math.max(-width / 2 + 20, Math.min(width / 2 - 20, robot.position.x + Math.cos(angle) * distance)),
+      z: Math.max(-height / 2 + 20, Math.min(height / 2 - 20, robot.position.z + Math.sin(angle) * distance))
+    };
+  }
+  
+  // Find flat surface behavior
+  applyFindFlatSurfaceBehavior(robot, deltaTime) {
+    // The simulated world, for slope information
+    const world = this.simulation.world;
+    
+    if (!robot.behaviorState.targetPosition) {
+      // If we need to think, find a potential flat area
+      if (robot.behaviorState.thinkTime > 450) {
+        robot.behaviorState.thinkTime = 0;
+        
+        // Sample the slope in a ring around the robot and head for the gentlest spot
+        const sampleRadius = 100;
+        const samplePoints = 8;
+        let flattestPoint = null;
+        let flattestSlope = Infinity;
+        
+        for (let i = 0; i < samplePoints; i++) {
+          const angle = (i / samplePoints) * Math.PI * 2;
+          const x = robot.position.x + Math.cos(angle) * sampleRadius;
+          const z = robot.position.z + Math.sin(angle) * sampleRadius;
+          const slope = world.getSlopeAtPosition(x, z);
+          
+          // Check if this point is flatter than our current flattest
+          if (slope < flattestSlope) {
+            flattestSlope = slope;
+            flattestPoint = { x, z };
+          }
+        }
+        
+        if (flattestPoint) {
+          robot.behaviorState.targetPosition = flattestPoint;
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+        } else {
+          // If no flat point found, move randomly
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.8;
+          this.applyRandomBehavior(robot, deltaTime);
+        }
+      } else {
+        // While "thinking", move in a straight line to efficiently cover ground
+        robot.targetSpeed = robot.capabilities.maxSpeed * 0.8;
+        this.simulation.movement.smoothlyUpdateDirectionAndSpeed(robot, deltaTime);
+        if (this.simulation.movement.advance(robot, robot.speed) === 'boundary') {
+          robot.targetDirection = { x: -robot.direction.x, z: -robot.direction.z };
+        }
+      }
+    } else if (robot.behaviorState.pauseTime > 0) {
+      // Analyzing the surface, then look for the next one
+      robot.behaviorState.pauseTime -= deltaTime;
+      robot.targetSpeed = 0;
+      robot.speed = 0;
+      if (robot.behaviorState.pauseTime <= 0) {
+        robot.behaviorState.targetPosition = null;
+        robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+      }
+    } else {
+      // Move toward the target position with high efficiency
+      robot.targetSpeed = robot.capabilities.maxSpeed * 0.95;
+      const result = this.simulation.movement.followPath(robot, robot.behaviorState.targetPosition, deltaTime);
+      
+      // Check if we've reached the target
+      const distanceToTarget = this._distanceToTarget(robot, robot.behaviorState.targetPosition);
+      
+      if (result === 'blocked') {
+        // Unreachable over this terrain, pick another spot
+        robot.behaviorState.targetPosition = null;
+      } else if (distanceToTarget < 15) {
+        this.simulation.movement.clearPath(robot);
+        
+        // Simulate analyzing the surface
+        const slope = world.getSlopeAtPosition(robot.position.x, robot.position.z);
+        
+        // If the ground is gentle enough, we found a flat surface
+        if (slope < FLAT_SURFACE_MAX_SLOPE) {
+          robot.targetSpeed = 0;
+          robot.behaviorState.pauseTime = SURFACE_ANALYSIS_TIME;
+        } else {
+          // Not flat enough, continue searching
+          robot.behaviorState.targetPosition = null;
+        }
+      }
+    }
+  }
+}
+
+export default RobotBehaviors;
@@ -0,0 +1,454 @@
+// Default steepest slope (degrees) a robot can climb
+export const DEFAULT_MAX_SLOPE = 30;
+// Distance ahead (world units) where the terrain is checked before each step
+const SLOPE_PROBE_DISTANCE = 10;
+// Headings tried (relative to the desired one) when the way ahead is too steep
+const DETOUR_ANGLES = [30, -30, 60, -60, 90, -90, 135, -135].map(degrees => degrees * Math.PI / 180);
+// How long (ms) a robot keeps a detour heading before turning back toward its goal
+const DETOUR_DURATION = 1500;
+// Fraction of speed left on the steepest grade a robot can climb
+const MIN_CLIMB_SPEED_FACTOR = 0.2;
+// Distance (world units) at which an intermediate route waypoint counts as reached
+const WAYPOINT_REACHED_DISTANCE = 15;
+// Increase turn rate significantly for faster turning (was implicitly 1.0 before)
+export const TURN_RATE_MULTIPLIER = 2.5;
+// Radius (world units) of a robot's body
+export const ROBOT_RADIUS = 10;
+// Closest (world units) two robots' centers may get
+export const MIN_ROBOT_SEPARATION = ROBOT_RADIUS * 2 + 5;
+// Distance (world units, at most the sensorRange) at which robots give way to each other
+const ROBOT_SENSING_RANGE = 100;
+// Gap (world units) robots try to keep between their body and an obstacle when steering around it
+const AVOIDANCE_MARGIN = 10;
+// Fraction of speed left while turning sharply around an obstacle
+const MIN_AVOIDANCE_SPEED_FACTOR = 0.1;
+// Obstacle detections kept in behaviorState for the UI
+const MAX_DETECTIONS = 5;
+
+class RobotMovement {
+  constructor(simulation) {
+    this.simulation = simulation;
+  }
+
+  // Move toward a target point (slowDown: ease off when close, off for intermediate waypoints)
+  moveTowardPoint(robot, targetPoint, deltaTime, slowDown = true) {
+    // Calculate direction to target
+    const dx = targetPoint.x - robot.position.x;
+    const dz = targetPoint.z - robot.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (distance > 0) {
+      // Set target direction (normalized)
+      robot.targetDirection = {
+        x: dx / distance,
+        z: dz / distance
+      };
+      
+      // Always move at full speed unless very close to target
+      if (slowDown && distance < 20) {
+        // Only slow down when very close to target
+        robot.targetSpeed = robot.capabilities.maxSpeed * Math.max(0.4, distance / 20);
+      } else {
+        // Full speed at normal distances
+        robot.targetSpeed = robot.capabilities.maxSpeed;
+      }
+      
+      // Move with reduced factor for slower visual speed
+      const forwardBias = 0.5; // Significantly reduced from 1.2
+      
+      // Slow down enough to turn onto the target when facing away from it (e.g. after steering
+      // around an obstacle), instead of circling it at a turning radius larger than the way there
+      const headingError = Math.abs(this._angleBetween(Math.atan2(dz, dx), Math.atan2(robot.direction.z, robot.direction.x)));
+      if (headingError > 0.1) {
+        const neededRadius = distance / (2 * Math.sin(Math.min(headingError, Math.PI / 2)));
+        const turnPerUpdate = robot.capabilities.turnRate * TURN_RATE_MULTIPLIER * deltaTime / 1000;
+        const turningSpeed = neededRadius * turnPerUpdate / forwardBias;
+        if (turningSpeed < robot.targetSpeed) {
+          robot.targetSpeed = turningSpeed;
+          robot.speed = Math.min(robot.speed, turningSpeed);
+        }
+      }
+      
+      // Update direction and speed
+      this.smoothlyUpdateDirectionAndSpeed(robot, deltaTime);
+      const result = this.advance(robot, robot.speed * forwardBias);
+
+      if (result === 'boundary') {
+        // Stop the robot and make it turn around
+        robot.targetSpeed = 0;
+        robot.speed = 0;
+        // Set target direction to opposite of current direction
+        robot.targetDirection = { 
+          x: -robot.direction.x, 
+          z: -robot.direction.z 
+        };
+        console.log(`Robot ${robot.id} hit boundary and is turning around.`);
+      }
+      return result;
+    }
+    return 'arrived';
+  }
+
+  /**
+   * Drive toward a goal along a planned route, planning a new one when the goal changes
+   * Returns the same results as moveTowardPoint, 'blocked' when no route exists.
+   */
+  followPath(robot, goal, deltaTime) {
+    const state = robot.behaviorState;
+    const goalChanged = !state.pathGoal || state.pathGoal.x !== goal.x || state.pathGoal.z !== goal.z;
+
+    if (goalChanged) {
+      const planner = this.simulation.world.pathPlanner;
+      state.path = planner.findPath(robot.position, goal, { maxSlope: robot.capabilities.maxSlope });
+      state.pathGoal = { x: goal.x, z: goal.z };
+      state.pathIndex = 0;
+      this.simulation.markPathChanged(robot);
+    }
+
+    const path = state.path;
+    if (!path || path.length === 0) return 'blocked';
+
+    // Skip intermediate waypoints already reached, the last one is left to the behavior
+    while (state.pathIndex < path.length - 1 &&
+           this._distance(robot.position, path[state.pathIndex]) < WAYPOINT_REACHED_DISTANCE) {
+      state.pathIndex++;
+    }
+
+    const isLastWaypoint = state.pathIndex === path.length - 1;
+    const result = this.moveTowardPoint(robot, path[state.pathIndex], deltaTime, isLastWaypoint);
+    if (result === 'blocked') {
+      // The terrain disagreed with the plan, the behavior will pick a new goal
+      this.clearPath(robot);
+    }
+    return result;
+  }
+
+  /**
+   * Forget a robot's route (e.g. when its goal is reached or dropped)
+   */
+  clearPath(robot) {
+    const state = robot.behaviorState;
+    if (!state.path && !state.pathGoal) return;
+    state.path = null;
+    state.pathGoal = null;
+    state.pathIndex = 0;
+    this.simulation.markPathChanged(robot);
+  }
+
+  _distance(a, b) {
+    return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.z - b.z) * (a.z - b.z));
+  }
+
+  /**
+   * Drive a robot forward along its current direction
+   * Checks the terrain bounds and the slope ahead, and slows down on uphill grades.
+   * Returns 'moved', 'boundary', 'detour' (too steep or an obstacle ahead, turning onto
+   * another heading) or 'blocked' (too steep in every direction).
+   */
+  advance(robot, distance) {
+    const potentialX = robot.position.x + robot.direction.x * distance;
+    const potentialZ = robot.position.z + robot.direction.z * distance;
+
+    // Get terrain boundaries
+    const terrainDimensions = this.simulation.world.getTerrainDimensions();
+    const halfWidth = terrainDimensions.width / 2;
+    const halfHeight = terrainDimensions.height / 2; // Corresponds to Z dimension
+    if (potentialX < -halfWidth || potentialX > halfWidth ||
+        potentialZ < -halfHeight || potentialZ > halfHeight) {
+      return 'boundary';
+    }
+
+    // Never drive into an obstacle or another robot, turn along it instead
+    const obstacle = this._obstacleAt(robot, potentialX, potentialZ) || this._robotAt(robot, potentialX, potentialZ);
+    if (obstacle) {
+      robot.speed = 0;
+      const side = (obstacle.x - robot.position.x) * robot.direction.z -
+                   (obstacle.z - robot.position.z) * robot.direction.x >= 0 ? 1 : -1;
+      robot.targetDirection = { x: -robot.direction.z * side, z: robot.direction.x * side };
+      return 'detour';
+    }
+
+    const terrain = this.assessTerrain(robot, robot.direction.x, robot.direction.z);
+    robot.terrainGrade = terrain.grade;
+
+    if (!terrain.passable) {
+      robot.speed = 0;
+      // Keep turning onto a detour that is already planned
+      if (robot.behaviorState.slopeDetour) return 'detour';
+      return this._planSlopeDetour(robot) ? 'detour' : 'blocked';
+    }
+    robot.behaviorState.slopeBlocked = false;
+
+    robot.position.x += robot.direction.x * distance * terrain.speedFactor;
+    robot.position.z += robot.direction.z * distance * terrain.speedFactor;
+    return 'moved';
+  }
+
+  /**
+   * Check whether a robot can drive in direction (dirX, dirZ) from where it is
+   * Returns { grade (degrees, uphill positive), passable, speedFactor }
+   */
+  assessTerrain(robot, dirX, dirZ) {
+    const world = this.simulation.world;
+    const maxSlope = robot.capabilities.maxSlope ?? DEFAULT_MAX_SLOPE;
+    const { x, z } = robot.position;
+    const aheadX = x + dirX * SLOPE_PROBE_DISTANCE;
+    const aheadZ = z + dirZ * SLOPE_PROBE_DISTANCE;
+
+    const grade = world.getGradeAlong(aheadX, aheadZ, dirX, dirZ);
+    const slopeAhead = world.getSlopeAtPosition(aheadX, aheadZ);
+    const slopeHere = world.getSlopeAtPosition(x, z);
+
+    // Too steep to climb, or onto ground steeper than the robot can handle
+    // (moving toward gentler ground is always allowed so robots can get out of steep spots)
+    const passable = grade <= maxSlope && !(slopeAhead > maxSlope && slopeAhead > slopeHere);
+
+    // Slow down linearly with the uphill grade
+    const speedFactor = grade > 0
+      ? Math.max(MIN_CLIMB_SPEED_FACTOR, 1 - (1 - MIN_CLIMB_SPEED_FACTOR) * (grade / maxSlope))
+      : 1;
+
+    return { grade, passable, speedFactor };
+  }
+
+  // Find a passable heading around steep terrain, or stop the robot if there is none
+  _planSlopeDetour(robot) {
+    const desired = robot.targetDirection || robot.direction;
+    const desiredAngle = Math.atan2(desired.z, desired.x);
+
+    for (const offset of DETOUR_ANGLES) {
+      const angle = desiredAngle + offset;
+      const heading = { x: Math.cos(angle), z: Math.sin(angle) };
+      if (this.assessTerrain(robot, heading.x, heading.z).passable) {
+        robot.behaviorState.slopeDetour = { ...heading, remaining: DETOUR_DURATION };
+        robot.targetDirection = { ...heading };
+        return true;
+      }
+    }
+
+    robot.targetSpeed = 0;
+    if (!robot.behaviorState.slopeBlocked) {
+      console.log(`Robot ${robot.id} is surrounded by impassable slopes.`);
+      robot.behaviorState.slopeBlocked = true;
+    }
+    return false;
+  }
+
+  // A planned detour overrides the behavior's heading until it runs out
+  _applySlopeDetour(robot, deltaTime) {
+    const detour = robot.behaviorState && robot.behaviorState.slopeDetour;
+    if (!detour) return;
+
+    detour.remaining -= deltaTime;
+    if (detour.remaining <= 0) {
+      robot.behaviorState.slopeDetour = null;
+      return;
+    }
+    robot.targetDirection = { x: detour.x, z: detour.z };
+  }
+
+  /**
+   * Detect the obstacles within a robot's sensorRange and steer around the nearest one in its way
+   * Returns the heading to turn toward instead of the desired one: the closest heading that
+   * passes the obstacle with clearance, or away from it when already too close. The detections
+   * are kept in behaviorState.detectedObstacles ([{ x, z, radius, distance, avoided }], nearest first).
+   */
+  avoidObstacles(robot, desired) {
+    const state = robot.behaviorState;
+    const obstacles = this.simulation.world.obstacles;
+    const { x, z } = robot.position;
+    const range = robot.capabilities.sensorRange;
+    const detected = obstacles ? obstacles.getObstaclesWithin(x, z, range) : [];
+
+    let blocking = null;
+    const detections = detected.map(obstacle => {
+      const cone = this._blockingCone(robot, desired, obstacle, obstacle.radius + ROBOT_RADIUS + AVOIDANCE_MARGIN);
+      const detection = {
+        x: obstacle.x,
+        z: obstacle.z,
+        radius: obstacle.radius,
+        distance: Math.max(0, cone.centerDistance - obstacle.radius - ROBOT_RADIUS),
+        avoided: false
+      };
+
+      if (cone.inTheWay && !this._isGoalObstacle(robot, obstacle) &&
+          (!blocking || cone.centerDistance < blocking.centerDistance)) {
+        blocking = { ...cone, detection };
+      }
+      return detection;
+    });
+
+    state.detectedObstacles = detections
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_DETECTIONS);
+    state.avoidingObstacle = !!blocking;
+
+    if (!blocking) {
+      state.avoidanceSpeedFactor = 1;
+      return desired;
+    }
+
+    blocking.detection.avoided = true;
+    const { steer, speedFactor } = this._steerAround(robot, blocking, range);
+    state.avoidanceSpeedFactor = speedFactor;
+    return steer;
+  }
+
+  /**
+   * Give way to the robots nearby that have the right of way (see RobotSimulation.hasRightOfWay)
+   * by steering around the nearest one in the way and slowing down. The robot given way to is
+   * kept in behaviorState.yieldingTo.
+   */
+  avoidRobots(robot, desired) {
+    const state = robot.behaviorState;
+    const range = Math.min(robot.capabilities.sensorRange, ROBOT_SENSING_RANGE);
+    const neighbours = this.simulation.getRobotsNear(robot.position.x, robot.position.z, range);
+
+    let blocking = null;
+    neighbours.forEach(other => {
+      if (other === robot || this.simulation.hasRightOfWay(robot, other)) return;
+      const cone = this._blockingCone(robot, desired, other.position, MIN_ROBOT_SEPARATION + AVOIDANCE_MARGIN);
+      if (cone.inTheWay && (!blocking || cone.centerDistance < blocking.centerDistance)) {
+        blocking = { ...cone, other };
+      }
+    });
+
+    state.yieldingTo = blocking ? blocking.other.id : null;
+    if (!blocking) {
+      state.yieldSpeedFactor = 1;
+      return desired;
+    }
+
+    const { steer, speedFactor } = this._steerAround(robot, blocking, range);
+    state.yieldSpeedFactor = speedFactor;
+    return steer;
+  }
+
+  /**
+   * Whether driving toward desired would bring the robot closer than clearance to a circle at target
+   * Returns { inTheWay, centerAngle, centerDistance, clearance, offset, halfCone }
+   */
+  _blockingCone(robot, desired, target, clearance) {
+    const dx = target.x - robot.position.x;
+    const dz = target.z - robot.position.z;
+    const centerDistance = Math.hypot(dx, dz) || 0.001;
+    const centerAngle = Math.atan2(dz, dx);
+    const offset = this._angleBetween(Math.atan2(desired.z, desired.x), centerAngle);
+
+    // Half-width of the cone of headings that would come closer than the clearance
+    const halfCone = centerDistance > clearance ? Math.asin(clearance / centerDistance) : Math.PI / 2;
+    return { inTheWay: Math.abs(offset) < halfCone, centerAngle, centerDistance, clearance, offset, halfCone };
+  }
+
+  /**
+   * Heading past a blocking cone on the side the desired heading already leans to, and the
+   * speed factor for the turn: slower the closer the circle and the sharper the turn
+   */
+  _steerAround(robot, blocking, range) {
+    const side = blocking.offset > 0 ? -1 : 1;
+    // Inside the clearance, turn past the tangent to get away from it
+    const escape = blocking.centerDistance < blocking.clearance
+      ? (1 - blocking.centerDistance / blocking.clearance) * Math.PI / 4
+      : 0;
+    const angle = blocking.centerAngle + side * (blocking.halfCone + escape);
+    const steer = { x: Math.cos(angle), z: Math.sin(angle) };
+
+    const turn = Math.abs(this._angleBetween(angle, Math.atan2(robot.direction.z, robot.direction.x)));
+    const closeness = Math.min(1, Math.max(0, blocking.centerDistance - blocking.clearance) / range);
+    const speedFactor = Math.max(MIN_AVOIDANCE_SPEED_FACTOR, Math.cos(Math.min(turn, Math.PI / 2)) * closeness);
+    return { steer, speedFactor };
+  }
+
+  // Signed angle from angle b to angle a, in -PI..PI
+  _angleBetween(a, b) {
+    let diff = b - a;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return diff;
+  }
+
+  // The obstacle a robot is driving to (e.g. the rock it examines) isn't steered around, the
+  // robot still stops at its edge (see _obstacleAt)
+  _isGoalObstacle(robot, obstacle) {
+    const goal = robot.behaviorState.pathGoal || robot.behaviorState.targetPosition;
+    return !!goal && Math.hypot(goal.x - obstacle.x, goal.z - obstacle.z) < obstacle.radius + ROBOT_RADIUS;
+  }
+
+  // Obstacle a robot at (x, z) would touch while getting closer to it, null if none
+  _obstacleAt(robot, x, z) {
+    const obstacles = this.simulation.world.obstacles;
+    if (!obstacles) return null;
+
+    return obstacles.getObstaclesWithin(x, z, ROBOT_RADIUS).find(obstacle =>
+      Math.hypot(obstacle.x - x, obstacle.z - z) <
+      Math.hypot(obstacle.x - robot.position.x, obstacle.z - robot.position.z)
+    ) || null;
+  }
+
+  // Robot a robot at (x, z) would come closer than the minimum separation to, null if none
+  _robotAt(robot, x, z) {
+    const other = this.simulation.getRobotsNear(x, z, MIN_ROBOT_SEPARATION).find(other =>
+      other !== robot &&
+      Math.hypot(other.position.x - x, other.position.z - z) <
+      Math.hypot(other.position.x - robot.position.x, other.position.z - robot.position.z)
+    );
+    return other ? other.position : null;
+  }
+
+  // Handle smooth direction and speed changes
+  smoothlyUpdateDirectionAndSpeed(robot, deltaTime) {
+    // Steer around steep terrain first if a detour is active
+    this._applySlopeDetour(robot, deltaTime);
+    
+    // Update direction, steering around obstacles and giving way to other robots
+    if (robot.targetDirection) {
+      const heading = this.avoidRobots(robot, this.avoidObstacles(robot, robot.targetDirection));
+      this._updateDirection(robot, deltaTime, heading);
+    }
+    
+    // Update speed, braking right away for an obstacle or a robot ahead
+    if (robot.targetSpeed !== undefined) {
+      const state = robot.behaviorState;
+      const targetSpeed = robot.targetSpeed * (state.avoidanceSpeedFactor ?? 1) * (state.yieldSpeedFactor ?? 1);
+      if ((state.avoidingObstacle || state.yieldingTo) && robot.speed > targetSpeed) {
+        robot.speed = targetSpeed;
+      }
+      this._updateSpeed(robot, deltaTime, targetSpeed);
+    }
+  }
+  
+  // Update robot direction with simple turning
+  _updateDirection(robot, deltaTime, targetDirection = robot.targetDirection) {
+    const currentAngle = Math.atan2(robot.direction.z, robot.direction.x);
+    const targetAngle = Math.atan2(targetDirection.z, targetDirection.x);
+    
+    // Calculate angle difference
+    let angleDiff = targetAngle - currentAngle;
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+    
+    const turnRate = robot.capabilities.turnRate * TURN_RATE_MULTIPLIER;
+    const turnAmount = Math.min(Math.abs(angleDiff), turnRate * deltaTime / 1000) * Math.sign(angleDiff);
+    
+    // Apply rotation
+    const newAngle = currentAngle + turnAmount;
+    robot.direction.x = Math.cos(newAngle);
+    robot.direction.z = Math.sin(newAngle);
+  }
+  
+  // Update robot speed with simple acceleration
+  _updateSpeed(robot, deltaTime, targetSpeed = robot.targetSpeed) {
+    const speedDiff = targetSpeed - robot.speed;
+    const acceleration = 0.1; // Reduced acceleration for slower speed changes
+    
+    // Apply speed change
+    robot.speed += speedDiff * Math.min(1, acceleration * deltaTime / 100);
+    
+    // Ensure minimum speed when moving
+    if (targetSpeed > 0 && robot.speed < 0.2) {
+      robot.speed = 0.2;
+    }
+  }
+}
+
+export default RobotMovement;
@@ -0,0 +1,656 @@
+import RobotBehaviors from './RobotBehaviors.js';
+import RobotMovement, { DEFAULT_MAX_SLOPE, MIN_ROBOT_SEPARATION, ROBOT_RADIUS } from './RobotMovement.js';
+import SpatialGrid from './SpatialGrid.js';
+import TaskAllocator from './TaskAllocator.js';
+import TaskQueue from './TaskQueue.js';
+import { RESOURCE_TASKS } from './ResourceFields.js';
+
+const PATROL_SHAPES = ['polygon', 'polyline'];
+const PATROL_MODES = ['loop', 'pingpong'];
+// Speed (world units per update) below which a robot counts as stopped when giving way
+const STOPPED_SPEED = 0.05;
+// Robots are kept this far (world units) from the center, slightly inside the terrain so they don't fall off
+const HALF_TERRAIN_SIZE = 950;
+// Random positions drawn for a new robot until one is clear of the obstacles
+const SPAWN_ATTEMPTS = 20;
+
+/**
+ * RobotSimulation - State and behavior of the robot fleet, without any rendering
+ * Runs in the simulation worker (see SimulationWorld). Robots are plain objects, the
+ * renderer learns about them from the snapshots the worker sends.
+ */
+class RobotSimulation {
+  constructor(world) {
+    this.world = world;
+    this.robots = {};
+    // Named patrol routes shared by the fleet: routeId -> { id, name, points, shape, mode, dwellTime }
+    this.patrolRoutes = {};
+    // Robot positions by grid cell, for finding neighbours without checking every pair
+    this.robotIndex = new SpatialGrid(50);
+    // Robots whose planned route changed since the last snapshot
+    this.changedPaths = new Set();
+
+    this.behaviors = new RobotBehaviors(this);
+    this.movement = new RobotMovement(this);
+    // Rocks, frontiers and other targets handed out across the fleet
+    this.allocator = new TaskAllocator(this);
+    // Each robot's queue of tasks, run one after the other
+    this.taskQueue = new TaskQueue(this);
+  }
+
+  // Calculate terrain height and position
+  _getTerrainPositionY(x, z) {
+    const terrainHeight = this.world.getHeightAtPosition(x, z);
+    // Use a default height if the terrain height is too close to zero
+    const actualHeight = Math.abs(terrainHeight) < 0.1 ? 20 : terrainHeight;
+    return {
+      y: actualHeight + 5, // 5 units above terrain
+      terrainHeight: actualHeight
+    };
+  }
+
+  // Create a robot with the given id, at a random position if none is given
+  createRobot(id, position) {
+    const random = this.world.random;
+
+    if (!position) {
+      // Somewhere random, away from the obstacles (the last position drawn if none is clear)
+      let attempts = 0;
+      do {
+        position = { x: random.range(-800, 800), z: random.range(-800, 800) };
+        attempts++;
+      } while (attempts < SPAWN_ATTEMPTS &&
+               this.world.obstacles.getObstaclesWithin(position.x, position.z, ROBOT_RADIUS).length > 0);
+    }
+    const heightData = this._getTerrainPositionY(position.x, position.z);
+    position = { x: position.x, y: heightData.y, z: position.z };
+
+    // Generate initial direction (random angle)
+    const initialAngle = random.next() * Math.PI * 2;
+    const direction = { x: Math.cos(initialAngle), y: 0, z: Math.sin(initialAngle) };
+
+    this.robots[id] = {
+      id,
+      position,
+      terrainHeight: heightData.terrainHeight,
+      task: '',
+      direction, // Initial direction vector
+      speed: 0.2, // Lower initial speed
+      targetSpeed: 0.5, // Lower initial target speed
+      targetDirection: { x: direction.x, z: direction.z }, // For smooth turning
+      moveTimer: 0,
+      distanceTraveled: 0, // World units, converted to meters for the UI
+      terrainGrade: 0, // Degrees along the direction of travel, uphill positive
+      moveInterval: random.range(800, 2300), // Even shorter intervals for more frequent direction changes
+      capabilities: {
+        maxSpeed: 5.0, // Set a higher default speed within the new range (0.1-10.0)
+        turnRate: 0.08, // Higher turn rate for more responsive turning (from 0.06)
+        sensorRange: 120, // Slightly increased sensor range
+        batteryLevel: 100,
+        batteryCapacity: 100,
+        batteryDrainRate: 0.5, // Increased drain rate
+        maxSlope: DEFAULT_MAX_SLOPE // Steepest climbable slope in degrees
+      },
+      behaviorGoal: 'random', // Default goal: random movement
+      route: { waypoints: [], loop: false, index: 0 }, // Waypoints driven by the 'followPath' behavior
+      patrolRouteId: null, // Named patrol route driven by the 'patrol' behavior, square around the robot if null
+      base: { x: position.x, z: position.z }, // Where the robot was placed, driven back to by 'returnToBase'
+      taskQueue: { current: null, tasks: [], elapsed: 0 }, // Tasks run one after the other (see TaskQueue)
+      control: { throttle: 0, steer: 0 }, // Commands of an external controller, driven by the 'external' behavior
+      behaviorState: {
+        targetPosition: null,
+        patrolPoints: [],
+        patrolIndex: 0,
+        patrolDirection: 1, // 1 or -1 while ping-ponging along a patrol route
+        patrolDwell: 0, // Milliseconds left waiting at the current patrol point
+        pauseTime: 0, // Milliseconds left of a short stop (examining a rock, slowing at a patrol point)
+        resourceFound: false, // Stopped where the resource searched for is good enough
+        arrival: null, // 'arrived' or 'unreachable' once a goTo or returnToBase drive is over
+        searchRadius: 200,
+        lastDetection: null,
+        thinkTime: 0,
+        slopeDetour: null, // Heading taken around terrain too steep to climb
+        slopeBlocked: false,
+        detectedObstacles: [], // Obstacles within sensorRange [{ x, z, radius, distance, avoided }], nearest first
+        avoidingObstacle: false, // Steering around one of them
+        avoidanceSpeedFactor: 1, // Slowdown while steering around an obstacle
+        yieldingTo: null, // Id of the robot given way to
+        yieldSpeedFactor: 1, // Slowdown while giving way
+        path: null, // Planned route waypoints [{ x, z }] toward pathGoal
+        pathGoal: null,
+        pathIndex: 0
+      }
+    };
+
+    this.robotIndex.insert(id, position.x, position.z);
+    console.log(`Creating robot at (${position.x}, ${position.y}) with terrain height ${heightData.terrainHeight}`);
+    return this.robots[id];
+  }
+
+  removeRobot(robotId) {
+    if (!this.robots[robotId]) return;
+    delete this.robots[robotId];
+    this.robotIndex.remove(robotId);
+    this.allocator.release(robotId);
+    this.changedPaths.delete(robotId);
+  }
+
+  // Advance all robots by one step
+  update(deltaTime) {
+    // Clone robots first to avoid mutation errors if a robot is deleted during update
+    const robotIds = Object.keys(this.robots);
+
+    // Move the task queues on, then hand out targets before the behaviors drive to them
+    this.taskQueue.update(deltaTime);
+    this.allocator.update();
+
+    for (let id of robotIds) {
+      const robot = this.robots[id];
+      if (!robot) continue; // Skip if robot was removed
+
+      // Update battery according to activity
+      this.updateRobotBattery(robot, deltaTime);
+
+      // Skip behavior updates if battery is critically low
+      if (robot.capabilities.batteryLevel <= 0) {
+        // Battery dead - robot can't move
+        robot.targetSpeed = 0;
+        robot.speed = 0;
+        continue;
+      }
+
+      const previousX = robot.position.x;
+      const previousZ = robot.position.z;
+      this.behaviors.applyRobotBehavior(robot, deltaTime);
+      this._keepSeparation(robot);
+
+      this._settleOnTerrain(robot, previousX, previousZ);
+      this.robotIndex.update(id, robot.position.x, robot.position.z);
+      this.world.exploration.markFootprint(robot.position.x, robot.position.z, robot.capabilities.sensorRange);
+    }
+  }
+
+  // Keep a robot on the terrain and at its height, and count the distance it covered
+  _settleOnTerrain(robot, previousX, previousZ) {
+    const x = Math.max(-HALF_TERRAIN_SIZE, Math.min(HALF_TERRAIN_SIZE, robot.position.x));
+    const z = Math.max(-HALF_TERRAIN_SIZE, Math.min(HALF_TERRAIN_SIZE, robot.position.z));
+    const heightData = this._getTerrainPositionY(x, z);
+
+    robot.distanceTraveled += Math.hypot(x - previousX, z - previousZ);
+    robot.position = { x, y: heightData.y, z };
+    robot.terrainHeight = heightData.terrainHeight;
+  }
+
+  // Update robot battery based on activities
+  updateRobotBattery(robot, deltaTime) {
+    // Base drain rate from capabilities
+    let drainAmount = robot.capabilities.batteryDrainRate * deltaTime / 1000;
+
+    // Moving costs more energy
+    if (robot.speed > 0) {
+      // Higher speeds drain battery faster (quadratic relationship)
+      drainAmount += (robot.speed * robot.speed) * 0.01 * deltaTime / 1000;
+    }
+
+    // Climbing costs energy in proportion to the height gained
+    if (robot.speed > 0 && robot.terrainGrade > 0) {
+      const climb = Math.sin(robot.terrainGrade * Math.PI / 180);
+      drainAmount += climb * robot.speed * 0.1 * deltaTime / 1000;
+    }
+
+    // Turning costs energy
+    if (robot.targetDirection &&
+        (robot.direction.x !== robot.targetDirection.x ||
+         robot.direction.z !== robot.targetDirection.z)) {
+      drainAmount += 0.005 * deltaTime / 1000;
+    }
+
+    // Different behaviors may have different energy costs
+    switch (robot.behaviorGoal) {
+      case 'patrol':
+        // Patrol uses sensors too
+        drainAmount += 0.01 * deltaTime / 1000;
+        break;
+      case 'standby':
+        // Standby uses minimal energy
+        drainAmount *= 0.5;
+        break;
+      case 'findRocks':
+        // Find rocks uses minimal energy
+        drainAmount += 0.02 * deltaTime / 1000;
+        break;
+      case 'findWater':
+        // Find water uses minimal energy
+        drainAmount *= 0.5;
+        break;
+      case 'findFlatSurface':
+        // Find flat surface uses minimal energy
+        drainAmount *= 0.5;
+        break;
+      case 'findGoodWeather':
+        // Find good weather uses minimal energy
+        drainAmount *= 0.5;
+        break;
+      case 'findGoodSoil':
+        // Find good soil uses minimal energy
+        drainAmount *= 0.5;
+        break;
+      case 'explore':
+        // Exploring surveys with the sensors
+        drainAmount += 0.01 * deltaTime / 1000;
+        break;
+
+    }
+    // Apply drain
+    robot.capabilities.batteryLevel = Math.max(0, robot.capabilities.batteryLevel - drainAmount);
+
+    // If battery is getting low, reduce max speed to conserve energy
+    if (robot.capabilities.batteryLevel < robot.capabilities.batteryCapacity * 0.2) {
+      const energyFactor = robot.capabilities.batteryLevel / (robot.capabilities.batteryCapacity * 0.2);
+      // Reduce speed more as battery gets lower
+      const maxPossibleSpeed = robot.capabilities.maxSpeed * (0.3 + (energyFactor * 0.7));
+
+      // If current target speed is higher than what's possible, adjust it
+      if (robot.targetSpeed > maxPossibleSpeed) {
+        robot.targetSpeed = maxPossibleSpeed;
+      }
+    }
+  }
+
+  // Robots within radius of (x, z)
+  getRobotsNear(x, z, radius) {
+    return this.robotIndex.query(x, z, radius)
+      .map(id => this.robots[id])
+      .filter(Boolean);
+  }
+
+  // Robot closest to (x, z), null if none
+  // Options: maxDistance, and filter: (robot) => boolean to skip robots
+  getNearestRobot(x, z, { maxDistance = Infinity, filter = null } = {}) {
+    const id = this.robotIndex.nearest(x, z, {
+      maxDistance,
+      filter: id => !!this.robots[id] && (!filter || filter(this.robots[id]))
+    });
+    return id === null ? null : this.robots[id];
+  }
+
+  // Robots inside the rectangle (minX, minZ)-(maxX, maxZ)
+  getRobotsInRect(minX, minZ, maxX, maxZ) {
+    return this.robotIndex.queryRect(minX, minZ, maxX, maxZ)
+      .map(id => this.robots[id])
+      .filter(Boolean);
+  }
+
+  // Whether robot keeps its way when meeting other: robots drive around stopped ones,
+  // otherwise the older robot goes first
+  hasRightOfWay(robot, other) {
+    if (this._isStopped(other)) return false;
+    if (this._isStopped(robot)) return true;
+    return robot.id < other.id;
+  }
+
+  _isStopped(robot) {
+    return robot.behaviorGoal === 'standby' ||
+           robot.capabilities.batteryLevel <= 0 ||
+           robot.speed < STOPPED_SPEED;
+  }
+
+  // Push a robot out of the minimum separation of the robots it has to give way to,
+  // so two robots never end up in the same place (e.g. when added on top of each other)
+  _keepSeparation(robot) {
+    this.getRobotsNear(robot.position.x, robot.position.z, MIN_ROBOT_SEPARATION).forEach(other => {
+      if (other === robot || this.hasRightOfWay(robot, other)) return;
+
+      let dx = robot.position.x - other.position.x;
+      let dz = robot.position.z - other.position.z;
+      let distance = Math.hypot(dx, dz);
+      if (distance < 0.001) {
+        // Same place: back off against the robot's heading
+        dx = -robot.direction.x;
+        dz = -robot.direction.z;
+        distance = Math.hypot(dx, dz) || 1;
+      }
+
+      const push = MIN_ROBOT_SEPARATION - distance;
+      if (push <= 0) return;
+      robot.position.x += dx / distance * push;
+      robot.position.z += dz / distance * push;
+    });
+  }
+
+  // The robot's planned route changed, it goes out with the next snapshot
+  markPathChanged(robot) {
+    this.changedPaths.add(robot.id);
+  }
+
+  // Remaining waypoints of a robot's planned route, null without one
+  getRemainingPath(robot) {
+    const { path, pathIndex } = robot.behaviorState;
+    return path ? path.slice(pathIndex).map(point => ({ x: point.x, z: point.z })) : null;
+  }
+
+  // Get formatted robot data for UI
+  getRobotData(robotId) {
+    if (!robotId || !this.robots[robotId]) return null;
+
+    const robot = this.robots[robotId];
+    const world = this.world;
+    const { width: terrainWidth, height: terrainHeight } = world.getTerrainDimensions();
+    return {
+      id: robot.id,
+      position: {
+        x: Math.round(robot.position.x * 100) / 100, // Round to 2 decimal places
+        y: Math.round(robot.position.y * 100) / 100,
+        z: Math.round(robot.position.z * 100) / 100
+      },
+      direction: {
+        x: robot.direction.x,
+        y: robot.direction.y,
+        z: robot.direction.z
+      },
+      task: robot.task,
+      speed: robot.speed,
+      coordinates: {
+        // Meters from the map's corner, using the map's real-world scale
+        x: Math.round(world.toMeters(robot.position.x + terrainWidth / 2)),
+        z: Math.round(world.toMeters(robot.position.z + terrainHeight / 2))
+      },
+      height: Math.round(robot.terrainHeight), // Use the actual terrain height
+      elevation: Math.round(world.getElevationAtPosition(robot.position.x, robot.position.z)), // Meters
+      distanceTraveled: Math.round(world.toMeters(robot.distanceTraveled || 0)), // Meters
+      terrainGrade: Math.round((robot.terrainGrade || 0) * 10) / 10, // Degrees, uphill positive
+      // Remaining waypoints of the planned route
+      path: this.getRemainingPath(robot),
+      // Obstacles within sensor range, distances in meters
+      detectedObstacles: (robot.behaviorState.detectedObstacles || []).map(obstacle => ({
+        x: obstacle.x,
+        z: obstacle.z,
+        radius: obstacle.radius,
+        distance: Math.round(world.toMeters(obstacle.distance)),
+        avoided: obstacle.avoided
+      })),
+      avoidingObstacle: !!robot.behaviorState.avoidingObstacle,
+      yieldingTo: robot.behaviorState.yieldingTo || null,
+      // Value (0-1) of the resource searched for, under the robot
+      resourceReading: this._getResourceReading(robot),
+      // Target handed to the robot by the task allocator, distance in meters
+      claim: this._getClaim(robot),
+      // Task being run (elapsed in simulated seconds) and the tasks waiting after it
+      taskQueue: {
+        current: robot.taskQueue.current && {
+          ...robot.taskQueue.current,
+          elapsed: Math.round(robot.taskQueue.elapsed / 100) / 10
+        },
+        tasks: robot.taskQueue.tasks.map(task => ({ ...task }))
+      },
+      // Include capabilities and behavior information
+      capabilities: { ...robot.capabilities },
+      route: {
+        waypoints: robot.route.waypoints.map(point => ({ x: point.x, z: point.z })),
+        loop: robot.route.loop,
+        index: robot.route.index
+      },
+      patrolRouteId: robot.patrolRouteId,
+      behaviorGoal: robot.behaviorGoal
+    };
+  }
+
+  _getResourceReading(robot) {
+    const type = RESOURCE_TASKS[robot.behaviorGoal];
+    if (!type) return null;
+    return {
+      type,
+      value: Math.round(this.world.sampleResource(type, robot.position.x, robot.position.z) * 100) / 100,
+      found: robot.behaviorState.resourceFound
+    };
+  }
+
+  _getClaim(robot) {
+    const claim = this.allocator.getClaim(robot.id);
+    if (!claim) return null;
+    const distance = Math.hypot(claim.target.x - robot.position.x, claim.target.z - robot.position.z);
+    return {
+      kind: claim.kind,
+      x: claim.target.x,
+      z: claim.target.z,
+      distance: Math.round(this.world.toMeters(distance))
+    };
+  }
+
+  // Set robot task (now combines both concepts of task and behavior), replacing the robot's task queue
+  setRobotTask(robotId, task) {
+    if (robotId && this.robots[robotId]) {
+      this.taskQueue.clear(this.robots[robotId]);
+      this.robots[robotId].task = task;
+      this._setRobotBehaviorGoal(robotId, task);
+    }
+  }
+
+  // Replace the tasks waiting in a robot's queue [{ behavior, x, z, duration, battery }] (see TaskQueue)
+  setRobotTaskQueue(robotId, tasks) {
+    if (robotId && this.robots[robotId]) {
+      this.taskQueue.setTasks(this.robots[robotId], tasks);
+    }
+  }
+
+  // End a robot's current task and go on with the next one
+  skipRobotTask(robotId) {
+    if (robotId && this.robots[robotId]) {
+      this.taskQueue.skip(this.robots[robotId]);
+    }
+  }
+
+  // Drop a robot's task queue, current task included
+  cancelRobotTasks(robotId) {
+    if (robotId && this.robots[robotId]) {
+      this.taskQueue.cancel(this.robots[robotId]);
+    }
+  }
+
+  // Set the waypoint route a robot drives with the 'followPath' behavior
+  setRobotRoute(robotId, route) {
+    if (robotId && this.robots[robotId]) {
+      const robot = this.robots[robotId];
+      const { width, height } = this.world.getTerrainDimensions();
+
+      // Keep waypoints on the terrain
+      const waypoints = (route.waypoints || []).map(point => ({
+        x: Math.max(-width / 2, Math.min(width / 2, point.x)),
+        z: Math.max(-height / 2, Math.min(height / 2, point.z))
+      }));
+
+      // Keep going toward the same waypoint when the route is only edited
+      const index = robot.route.index < waypoints.length ? robot.route.index : 0;
+      robot.route = { waypoints, loop: !!route.loop, index };
+      this.movement.clearPath(robot);
+    }
+  }
+
+  // Get the patrol routes for UI
+  getPatrolRoutes() {
+    return Object.values(this.patrolRoutes).map(route => ({
+      ...route,
+      points: route.points.map(point => ({ x: point.x, z: point.z }))
+    }));
+  }
+
+  // Create or update a named patrol route (the id is chosen by the caller)
+  savePatrolRoute(route) {
+    const { width, height } = this.world.getTerrainDimensions();
+    const id = route.id;
+
+    this.patrolRoutes[id] = {
+      id,
+      name: route.name || 'Patrol route',
+      // Keep points on the terrain
+      points: (route.points || []).map(point => ({
+        x: Math.max(-width / 2, Math.min(width / 2, point.x)),
+        z: Math.max(-height / 2, Math.min(height / 2, point.z))
+      })),
+      shape: PATROL_SHAPES.includes(route.shape) ? route.shape : 'polygon',
+      mode: PATROL_MODES.includes(route.mode) ? route.mode : 'loop',
+      dwellTime: Math.max(0, Math.min(60, Number(route.dwellTime) || 0)) // Seconds at each point
+    };
+
+    // Robots on this route pick up the changes from their nearest point
+    Object.values(this.robots)
+      .filter(robot => robot.patrolRouteId === id)
+      .forEach(robot => this._resetPatrol(robot));
+  }
+
+  // Delete a patrol route, robots on it fall back to patrolling around themselves
+  deletePatrolRoute(routeId) {
+    if (!this.patrolRoutes[routeId]) return;
+
+    delete this.patrolRoutes[routeId];
+    Object.values(this.robots)
+      .filter(robot => robot.patrolRouteId === routeId)
+      .forEach(robot => this.assignPatrolRoute([robot.id], null));
+  }
+
+  // Assign a patrol route to one or several robots (null to unassign)
+  assignPatrolRoute(robotIds, routeId) {
+    if (routeId && !this.patrolRoutes[routeId]) return;
+
+    robotIds.forEach(robotId => {
+      const robot = this.robots[robotId];
+      if (!robot) return;
+
+      robot.patrolRouteId = routeId || null;
+      this._resetPatrol(robot);
+    });
+  }
+
+  // Restart patrolling, the behavior picks its points again on the next update
+  _resetPatrol(robot) {
+    robot.behaviorState.patrolPoints = [];
+    robot.behaviorState.patrolIndex = 0;
+    robot.behaviorState.patrolDirection = 1;
+    robot.behaviorState.patrolDwell = 0;
+    robot.behaviorState.pauseTime = 0;
+    if (robot.behaviorGoal === 'patrol') {
+      this.movement.clearPath(robot);
+    }
+  }
+
+  // Forget every robot's route (after the terrain changes)
+  clearAllPaths() {
+    Object.values(this.robots).forEach(robot => this.movement.clearPath(robot));
+  }
+
+  // Set the commands driven by the 'external' behavior: { throttle: 0-1, steer: -1 (left) to 1 (right) }
+  setRobotControl(robotId, control) {
+    if (robotId && this.robots[robotId]) {
+      const robot = this.robots[robotId];
+      const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+      robot.control = {
+        throttle: clamp(control.throttle ?? robot.control.throttle, 0, 1),
+        steer: clamp(control.steer ?? robot.control.steer, -1, 1)
+      };
+    }
+  }
+
+  // Set robot capabilities - simplified to just handle the UI-exposed capabilities
+  setRobotCapabilities(robotId, capabilities) {
+    if (robotId && this.robots[robotId]) {
+      const robot = this.robots[robotId];
+
+      // Just update the capabilities directly
+      Object.assign(robot.capabilities, capabilities);
+
+      // If setting battery capacity, adjust current level proportionally
+      if (capabilities.batteryCapacity !== undefined &&
+          capabilities.batteryLevel === undefined) {
+        const currentPercentage = robot.capabilities.batteryLevel / robot.capabilities.batteryCapacity;
+        robot.capabilities.batteryLevel = capabilities.batteryCapacity * currentPercentage;
+      }
+
+      // Simple validation - keep values in reasonable ranges
+      this.validateCapabilities(robot);
+    }
+  }
+
+  // Validate and normalize robot capabilities
+  validateCapabilities(robot) {
+    // Ensure all capabilities are within reasonable ranges
+    // Updated ranges based on user request (adjusted for simulation context)
+    robot.capabilities.maxSpeed = Math.max(0.1, Math.min(10.0, robot.capabilities.maxSpeed)); // Range: 0.1 - 10.0 m/s
+    robot.capabilities.turnRate = Math.max(0.01, Math.min(1.0, robot.capabilities.turnRate)); // Range: 0.01 - 1.0 rad/s
+    robot.capabilities.sensorRange = Math.max(10, Math.min(500, robot.capabilities.sensorRange)); // Range: 10 - 500 m
+    robot.capabilities.batteryCapacity = Math.max(50, Math.min(500, robot.capabilities.batteryCapacity)); // Range: 50 - 500 units
+    robot.capabilities.batteryLevel = Math.max(0, Math.min(robot.capabilities.batteryCapacity,
+                                                           robot.capabilities.batteryLevel));
+    robot.capabilities.batteryDrainRate = Math.max(0.001, Math.min(0.1, robot.capabilities.batteryDrainRate)); // Increased max drain rate
+    robot.capabilities.maxSlope = Math.max(5, Math.min(60, robot.capabilities.maxSlope ?? DEFAULT_MAX_SLOPE)); // Range: 5 - 60 degrees
+  }
+
+  // Set robot behavior goal directly (internal use)
+  _setRobotBehaviorGoal(robotId, goal) {
+    if (robotId && this.robots[robotId]) {
+      const robot = this.robots[robotId];
+
+      // Normalize behavior names - simplify this to just basic behaviors we need for UI
+      let normalizedGoal = goal;
+      // We only need to support the behaviors that have UI buttons:
+      // 'random', 'patrol', 'findRocks', and 'standby'
+      if (goal === 'find_rocks') normalizedGoal = 'findRocks';
+
+      robot.behaviorGoal = normalizedGoal;
+
+      // Reset behavior state for new goal - keep only essential state
+      robot.behaviorState = {
+        ...robot.behaviorState,
+        targetPosition: null,
+        patrolPoints: [],
+        patrolIndex: 0,
+        patrolDirection: 1,
+        patrolDwell: 0,
+        pauseTime: 0,
+        resourceFound: false,
+        arrival: null,
+        thinkTime: 0,
+        slopeDetour: null,
+        slopeBlocked: false,
+      };
+      this.movement.clearPath(robot);
+      this.allocator.release(robotId);
+
+      // Set target speed based on behavior - simple default values
+      switch (normalizedGoal) {
+        case 'patrol':
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+          break;
+        case 'standby':
+          robot.targetSpeed = 0;
+          break;
+        case 'random':
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.3; // Lower target speed for random behavior
+          break;
+        case 'findRocks':
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.8;
+          break;
+        case 'goTo':
+        case 'returnToBase':
+        case 'findFlatSurface':
+        case 'findWater':
+        case 'findGoodSoil':
+        case 'findGoodWeather':
+        case 'explore':
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+          break;
+        case 'external':
+          // Wait for the controller's first commands
+          robot.control = { throttle: 0, steer: 0 };
+          robot.targetSpeed = 0;
+          break;
+        case 'followPath':
+          // Start the route from the first waypoint
+          robot.route.index = 0;
+          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
+          break;
+      }
+    }
+  }
+}
+
+export default RobotSimulation;
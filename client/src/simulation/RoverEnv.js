@@ -0,0 +1,264 @@
+import SimulationWorld from './SimulationWorld.js';
+import SeededRandom from './SeededRandom.js';
+import { CENTRAL_PLATFORM, placeRocks } from './ObstacleMap.js';
+import { createReward } from './RoverRewards.js';
+
+export const DEFAULT_ENV_CONFIG = {
+  robots: 1, // Rovers driven by the actions
+  rocks: 5, // Rocks scattered from the seed on maps without obstacles, like in the browser
+  actionDuration: 250, // Simulated ms each action is held for
+  maxSteps: 1000, // Steps before an episode is truncated
+  capabilities: {}, // Applied to every rover (see RobotSimulation.setRobotCapabilities)
+  observation: {
+    pose: true, // { x, z, heading (radians, 0 = +X), speed }
+    battery: true, // Battery level, 0-1
+    heightmap: { size: 9, spacing: 20 }, // Heights around the rover, false to leave out
+    rocks: { max: 5 } // Nearest rocks within the rover's sensorRange, false to leave out
+  },
+  reward: 'rocksVisited' // See RoverRewards.createReward
+};
+
+/**
+ * RoverEnv - Reinforcement learning environment over the headless simulation (Gym style)
+ * reset(seed, map) starts an episode, step(actions) drives the rovers for actionDuration and
+ * returns what they observe, their rewards and whether the episode is over. The rovers use the
+ * 'external' behavior, so actions are { throttle: 0-1, steer: -1 (left) to 1 (right) }.
+ *
+ * Maps are { heightmap, metadata, obstacles, resourceLayers } (images decoded with HeightmapDecoder), or names
+ * resolved by the loadMap option.
+ */
+class RoverEnv {
+  constructor(config = {}, { loadMap = null } = {}) {
+    this.loadMap = loadMap;
+    this.world = null;
+    this.map = null;
+    this.configure(config);
+  }
+
+  /**
+   * Change the configuration (see DEFAULT_ENV_CONFIG), used from the next reset. null or nothing
+   * goes back to the defaults. Throws without changing anything when the configuration isn't an
+   * object or the reward can't be created.
+   */
+  configure(config = {}) {
+    if (config === null) {
+      config = {};
+    } else if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('RoverEnv config must be an object');
+    }
+    // Options of an observation part default one by one, e.g. { heightmap: { size: 5 } } keeps the spacing
+    const observation = { ...DEFAULT_ENV_CONFIG.observation };
+    Object.entries(config.observation || {}).forEach(([part, value]) => {
+      const defaults = DEFAULT_ENV_CONFIG.observation[part];
+      observation[part] = value && typeof value === 'object' && typeof defaults === 'object'
+        ? { ...defaults, ...value }
+        : value;
+    });
+    const merged = { ...DEFAULT_ENV_CONFIG, ...config, observation };
+    // A rejected reward leaves the current configuration in place
+    const reward = createReward(merged.reward);
+    this.config = merged;
+    this.reward = reward;
+  }
+
+  /**
+   * Start an episode on a map (the last one if none is given), returns { observations, info }
+   */
+  reset(seed = SeededRandom.randomSeed(), map = null) {
+    if (map) {
+      this.map = typeof map === 'string' ? this._loadMap(map) : map;
+    }
+    if (!this.map) {
+      throw new Error('No map to reset on');
+    }
+
+    const { heightmap, metadata, resourceLayers } = this.map;
+    this.world = SimulationWorld.fromHeightmap(heightmap, { seed, metadata, resourceLayers });
+    this.world.handleCommand({ type: 'setObstacles', obstacles: this.map.obstacles || this._scatterObstacles() });
+
+    this.robotIds = [];
+    for (let i = 0; i < this.config.robots; i++) {
+      const id = `rover-${i + 1}`;
+      this.world.handleCommand({ type: 'addRobot', id, position: null });
+      this.world.handleCommand({ type: 'setRobotCapabilities', id, capabilities: this.config.capabilities });
+      this.world.handleCommand({ type: 'setRobotTask', id, task: 'external' });
+      this.robotIds.push(id);
+    }
+
+    this.steps = 0;
+    this.reward.reset(this.world);
+    return { observations: this.observe(), info: this._info() };
+  }
+
+  /**
+   * Drive the rovers with one action each ({ throttle, steer } or [throttle, steer]), a rover
+   * without an action keeps its last one
+   * Returns { observations, rewards (per rover), reward (total), done, terminated, truncated, info }
+   */
+  step(actions = []) {
+    if (!this.world) {
+      throw new Error('Call reset before step');
+    }
+
+    const robots = this._robots();
+    robots.forEach((robot, i) => {
+      const action = actions[i];
+      if (!action) return;
+      const control = Array.isArray(action) ? { throttle: action[0], steer: action[1] } : action;
+      this.world.handleCommand({ type: 'setRobotControl', id: robot.id, control });
+    });
+
+    // Rewards are counted every simulation step, so nothing is missed between actions
+    const rewards = robots.map(() => 0);
+    const steps = Math.max(1, Math.round(this.config.actionDuration / this.world.simulationClock.step));
+    for (let i = 0; i < steps; i++) {
+      const before = robots.map(robot => ({
+        x: robot.position.x,
+        z: robot.position.z,
+        batteryLevel: robot.capabilities.batteryLevel
+      }));
+      this.world.step();
+      robots.forEach((robot, index) => {
+        rewards[index] += this.reward.step(this.world, robot, before[index]);
+      });
+    }
+    this.steps++;
+
+    const terminated = robots.every(robot => robot.capabilities.batteryLevel <= 0);
+    const truncated = !terminated && this.steps >= this.config.maxSteps;
+    return {
+      observations: this.observe(),
+      rewards,
+      reward: rewards.reduce((total, reward) => total + reward, 0),
+      done: terminated || truncated,
+      terminated,
+      truncated,
+      info: this._info()
+    };
+  }
+
+  /**
+   * What each rover observes, with the parts enabled in config.observation
+   */
+  observe() {
+    const options = this.config.observation;
+    return this._robots().map(robot => {
+      const observation = {};
+      if (options.pose) {
+        observation.pose = {
+          x: robot.position.x,
+          z: robot.position.z,
+          heading: Math.atan2(robot.direction.z, robot.direction.x),
+          speed: robot.speed
+        };
+      }
+      if (options.battery) {
+        observation.battery = robot.capabilities.batteryLevel / robot.capabilities.batteryCapacity;
+      }
+      if (options.heightmap) {
+        observation.heightmap = this._heightmapPatch(robot, options.heightmap);
+      }
+      if (options.rocks) {
+        observation.rocks = this._nearbyRocks(robot, options.rocks);
+      }
+      return observation;
+    });
+  }
+
+  /**
+   * Shapes and ranges of the actions and observations
+   */
+  getSpaces() {
+    const { observation } = this.config;
+    const spaces = {
+      robots: this.config.robots,
+      action: { throttle: [0, 1], steer: [-1, 1] },
+      observation: {}
+    };
+    if (observation.pose) spaces.observation.pose = { x: 'world units', z: 'world units', heading: [-Math.PI, Math.PI], speed: '>= 0' };
+    if (observation.battery) spaces.observation.battery = [0, 1];
+    if (observation.heightmap) {
+      spaces.observation.heightmap = {
+        shape: [observation.heightmap.size, observation.heightmap.size],
+        spacing: observation.heightmap.spacing,
+        description: 'Heights relative to the rover, rows from ahead to behind, columns from left to right'
+      };
+    }
+    if (observation.rocks) {
+      spaces.observation.rocks = {
+        max: observation.rocks.max,
+        fields: ['forward', 'right', 'distance', 'radius'],
+        description: 'Rocks within sensorRange, nearest first, relative to the rover'
+      };
+    }
+    return spaces;
+  }
+
+  // The rovers of the episode, in the order of the actions
+  _robots() {
+    return this.robotIds.map(id => this.world.robotSimulation.robots[id]);
+  }
+
+  _loadMap(name) {
+    if (!this.loadMap) {
+      throw new Error(`Can't load map ${name} without a loadMap option`);
+    }
+    return this.loadMap(name);
+  }
+
+  // The central platform and rocks placed from the seed, where the browser places them
+  _scatterObstacles() {
+    const rocks = placeRocks(this.world.random.derive('objects'), this.config.rocks);
+    return [
+      CENTRAL_PLATFORM,
+      ...rocks.map(({ x, z, size }) => ({ x, z, radius: size, type: 'rock' }))
+    ];
+  }
+
+  // Grid of size x size heights around a rover, spacing apart, turned with the rover
+  _heightmapPatch(robot, { size, spacing }) {
+    const { x, z } = robot.position;
+    const forward = robot.direction;
+    const half = (size - 1) / 2;
+    const base = this.world.getHeightAtPosition(x, z);
+    const patch = [];
+    for (let row = 0; row < size; row++) {
+      const ahead = (half - row) * spacing;
+      for (let column = 0; column < size; column++) {
+        const right = (column - half) * spacing;
+        // The rover's right is its heading turned a quarter toward +Z
+        const sampleX = x + forward.x * ahead - forward.z * right;
+        const sampleZ = z + forward.z * ahead + forward.x * right;
+        patch.push(this.world.getHeightAtPosition(sampleX, sampleZ) - base);
+      }
+    }
+    return patch;
+  }
+
+  // Rocks within a rover's sensorRange, nearest first, in the rover's frame
+  _nearbyRocks(robot, { max }) {
+    const { x, z } = robot.position;
+    const forward = robot.direction;
+    return this.world.obstacles.getObstaclesWithin(x, z, robot.capabilities.sensorRange)
+      .filter(obstacle => obstacle.type === 'rock')
+      .map(rock => {
+        const dx = rock.x - x;
+        const dz = rock.z - z;
+        return {
+          forward: dx * forward.x + dz * forward.z,
+          right: dz * forward.x - dx * forward.z,
+          distance: Math.max(0, Math.hypot(dx, dz) - rock.radius),
+          radius: rock.radius
+        };
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, max);
+  }
+
+  _info() {
+    const { time, tick, seed } = this.world.getSimulationState();
+    return { seed, time, tick, steps: this.steps };
+  }
+}
+
+export default RoverEnv;
@@ -0,0 +1,106 @@
+/**
+ * RoverRewards - Reward functions for RoverEnv
+ * A reward is an object { reset(world), step(world, robot, before) } where step returns the
+ * reward a robot earned in one simulation step and before is { x, z, batteryLevel } of the
+ * robot at the start of that step. Rewards are built from a spec (see createReward).
+ */
+
+// Distance (world units) from a rock's footprint at which a robot has visited it
+const ROCK_VISIT_DISTANCE = 20;
+// Size (world units) of the cells counted by areaCovered
+const COVERAGE_CELL_SIZE = 50;
+
+/**
+ * +1 for each rock a robot gets close to, every rock counts once for the fleet
+ */
+export const rocksVisited = ({ distance = ROCK_VISIT_DISTANCE } = {}) => {
+  let visited = new Set();
+  return {
+    reset() {
+      visited = new Set();
+    },
+    step(world, robot) {
+      const rocks = world.obstacles.getObstaclesWithin(robot.position.x, robot.position.z, distance)
+        .filter(obstacle => obstacle.type === 'rock' && !visited.has(obstacle));
+      rocks.forEach(rock => visited.add(rock));
+      return rocks.length;
+    }
+  };
+};
+
+/**
+ * Percent of the map a robot drove over for the first time (in cells of cellSize, shared by the fleet)
+ */
+export const areaCovered = ({ cellSize = COVERAGE_CELL_SIZE } = {}) => {
+  let covered = new Set();
+  return {
+    reset() {
+      covered = new Set();
+    },
+    step(world, robot) {
+      const key = `${Math.floor(robot.position.x / cellSize)},${Math.floor(robot.position.z / cellSize)}`;
+      if (covered.has(key)) return 0;
+      covered.add(key);
+      const { width, height } = world.getTerrainDimensions();
+      return (100 * cellSize * cellSize) / (width * height);
+    }
+  };
+};
+
+/**
+ * Minus the battery a robot used (in battery units, percent with the default capacity)
+ */
+export const energyUsed = () => ({
+  reset() {},
+  step(world, robot, before) {
+    return robot.capabilities.batteryLevel - before.batteryLevel;
+  }
+});
+
+// Built-in rewards by name, more can be added with registerReward
+const REWARDS = { rocksVisited, areaCovered, energyUsed };
+
+/**
+ * Make a reward available by name to reward specs, factory: (options) => reward
+ */
+export const registerReward = (name, factory) => {
+  REWARDS[name] = factory;
+};
+
+const isReward = (spec) => spec && typeof spec.step === 'function';
+
+const fromName = (name, options) => {
+  if (!REWARDS[name]) {
+    throw new Error(`Unknown reward: ${name} (known: ${Object.keys(REWARDS).join(', ')})`);
+  }
+  return REWARDS[name](options);
+};
+
+/**
+ * Build a reward from a spec:
+ * - a name: 'rocksVisited'
+ * - weights by name, with options for the reward: { rocksVisited: 1, energyUsed: { weight: 0.1 } }
+ * - a function (world, robot, before) => number
+ * - a reward object { reset, step }
+ */
+export const createReward = (spec) => {
+  if (typeof spec === 'string') return fromName(spec);
+  if (typeof spec === 'function') return { reset() {}, step: spec };
+  if (isReward(spec)) return { reset() {}, ...spec };
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('A reward must be a name, weights by name, a function or { reset, step }');
+  }
+
+  const terms = Object.entries(spec).map(([name, value]) => {
+    const { weight = 1, ...options } = typeof value === 'number' ? { weight: value } : value;
+    return { weight, reward: fromName(name, options) };
+  });
+  return {
+    reset(world) {
+      terms.forEach(({ reward }) => reward.reset(world));
+    },
+    step(world, robot, before) {
+      return terms.reduce((total, { weight, reward }) => total + weight * reward.step(world, robot, before), 0);
+    }
+  };
+};
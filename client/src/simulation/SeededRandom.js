@@ -0,0 +1,55 @@
+/**
+ * SeededRandom - Seedable pseudo-random number generator (mulberry32)
+ * The same seed always gives the same sequence, so a simulation run can be played again.
+ */
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.reset(seed);
+  }
+
+  /**
+   * Start the sequence over from a seed (an unsigned 32-bit integer)
+   */
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in [0, 1), like Math.random
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next number in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Separate generator for one part of the simulation (e.g. 'objects'), seeded from this
+   * generator's seed and the label, so its numbers don't depend on how many were drawn here
+   */
+  derive(label) {
+    // FNV-1a hash of the label, mixed with the seed
+    let hash = 0x811C9DC5 ^ this.seed;
+    for (let i = 0; i < label.length; i++) {
+      hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193);
+    }
+    return new SeededRandom(hash >>> 0);
+  }
+
+  // Seed for a new mission
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+export default SeededRandom;
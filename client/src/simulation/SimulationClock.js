@@ -0,0 +1,73 @@
+// Length (ms of simulated time) of one simulation step
+export const SIMULATION_STEP = 1000 / 60;
+// Steps taken at most per frame at 1x speed; after a long frame (e.g. a background tab) the rest is dropped
+const MAX_STEPS_PER_FRAME = 10;
+// Slowest and fastest simulation speeds, as multiples of real time
+export const MIN_TIME_SCALE = 0.5;
+export const MAX_TIME_SCALE = 50;
+
+/**
+ * SimulationClock - Fixed-timestep clock for the simulation
+ * Real frame time is accumulated and spent in steps of the same length, so the simulation
+ * plays out the same way at any frame rate. The clock can be paused, stepped by hand and
+ * run slower or faster than real time (more or fewer steps per frame, never longer ones).
+ */
+class SimulationClock {
+  constructor(step = SIMULATION_STEP) {
+    this.step = step;
+    this.paused = false;
+    this.timeScale = 1;
+    this.reset();
+  }
+
+  reset() {
+    this.accumulator = 0; // Time (ms, scaled by timeScale) not yet spent on steps
+    this.time = 0; // Simulated time (ms) since the start of the run
+    this.tick = 0; // Steps taken since the start of the run
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Set the simulation speed as a multiple of real time, clamped to MIN_TIME_SCALE-MAX_TIME_SCALE
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = Math.max(MIN_TIME_SCALE, Math.min(MAX_TIME_SCALE, timeScale));
+  }
+
+  /**
+   * Spend elapsed real time (ms) on fixed steps, calling onStep(step) for each
+   * Returns the number of steps taken, none while paused.
+   */
+  advance(elapsed, onStep) {
+    if (this.paused) return 0;
+    this.accumulator += elapsed * this.timeScale;
+
+    const maxSteps = Math.ceil(MAX_STEPS_PER_FRAME * Math.max(1, this.timeScale));
+    let steps = 0;
+    while (this.accumulator >= this.step && steps < maxSteps) {
+      this.stepOnce(onStep);
+      this.accumulator -= this.step;
+      steps++;
+    }
+
+    if (steps === maxSteps) {
+      this.accumulator = Math.min(this.accumulator, this.step);
+    }
+    return steps;
+  }
+
+  /**
+   * Take a single step, also while paused
+   */
+  stepOnce(onStep) {
+    onStep(this.step);
+    this.time += this.step;
+    this.tick++;
+  }
+}
+
+export default SimulationClock;
@@ -0,0 +1,310 @@
+import TerrainSampler from './TerrainSampler.js';
+import ObstacleMap from './ObstacleMap.js';
+import ExplorationMap from './ExplorationMap.js';
+import PathPlanner from './PathPlanner.js';
+import ResourceFields, { generateResourceFields } from './ResourceFields.js';
+import RobotSimulation from './RobotSimulation.js';
+import SeededRandom from './SeededRandom.js';
+import SimulationClock from './SimulationClock.js';
+
+// Values per robot in a snapshot's transforms: x, y, z, direction x, direction z
+export const TRANSFORM_STRIDE = 5;
+
+/**
+ * SimulationWorld - Everything the simulation needs, apart from rendering
+ * Owns the terrain sampling, the obstacles, the seeded random numbers, the fixed-step clock,
+ * route planning and the robots. Nothing in it depends on three.js or the DOM: in the browser
+ * it runs in the simulation worker, which feeds it the commands posted by the page
+ * (handleCommand) and sends back its snapshots, and in Node it is driven with step() directly.
+ */
+class SimulationWorld {
+  /**
+   * World on a decoded heightmap { width, height, heights } (see HeightmapDecoder), scaled by the
+   * map's metadata, with obstacle footprints [{ x, z, radius, type }] and the resource layers loaded
+   * for the map ({ ice, soil, weather } decoded like the heightmap, generated when missing)
+   */
+  static fromHeightmap(heightmap, { seed, metadata = null, obstacles = [], resourceLayers = {} } = {}) {
+    const world = new SimulationWorld(seed);
+    const terrain = TerrainSampler.fromHeightmap(heightmap, metadata).getData();
+    world.handleCommand({ type: 'setTerrain', terrain, resourceLayers });
+    world.handleCommand({ type: 'setObstacles', obstacles });
+    return world;
+  }
+
+  constructor(seed) {
+    this.terrain = new TerrainSampler();
+    this.obstacles = new ObstacleMap();
+    this.random = new SeededRandom(seed);
+    this.simulationClock = new SimulationClock();
+    // Resource fields robots search (ice, soil, weather), from the map's layers or generated from the seed
+    this.resources = new ResourceFields(this);
+    this.resourceLayers = {};
+    // Cells surveyed by the fleet, for the 'explore' behavior and the coverage shown in the UI
+    this.exploration = new ExplorationMap(this);
+    this.stepRemainder = 0; // Time (ms) passed to step() not yet spent on a step
+    this.pathPlanner = new PathPlanner(this);
+    this.robotSimulation = new RobotSimulation(this);
+
+    // What changed since the last snapshot: robots whose UI data must go out, and the patrol routes
+    this.changedRobots = new Set();
+    this.patrolRoutesChanged = false;
+    this.resourceFieldsChanged = false;
+    this.stateChanged = true;
+  }
+
+  // Terrain queries used by the robots and the path planner
+  getHeightAtPosition(x, z) {
+    return this.terrain.getHeightAtPosition(x, z);
+  }
+
+  getSlopeAtPosition(x, z) {
+    return this.terrain.getSlopeAtPosition(x, z);
+  }
+
+  getGradeAlong(x, z, dirX, dirZ) {
+    return this.terrain.getGradeAlong(x, z, dirX, dirZ);
+  }
+
+  getElevationAtPosition(x, z) {
+    return this.terrain.getElevationAtPosition(x, z);
+  }
+
+  toMeters(distance) {
+    return this.terrain.toMeters(distance);
+  }
+
+  getTerrainDimensions() {
+    return this.terrain.getTerrainDimensions();
+  }
+
+  // Value (0-1) of a resource field ('ice', 'soil' or 'weather') at a position
+  sampleResource(type, x, z) {
+    return this.resources.sample(type, x, z);
+  }
+
+  /**
+   * Apply a command posted by the page: { type, ...data }
+   */
+  handleCommand(command) {
+    const simulation = this.robotSimulation;
+
+    switch (command.type) {
+      case 'setTerrain':
+        // The map's resource layers come with its terrain
+        this.terrain.setData(command.terrain);
+        this.resourceLayers = command.resourceLayers || {};
+        this._invalidateRoutes();
+        this._updateResourceFields();
+        this.exploration.resize();
+        break;
+      case 'restoreExploration':
+        this.exploration.restore(command.exploration);
+        break;
+      case 'setObstacles':
+        this.obstacles.setObstacles(command.obstacles);
+        this._invalidateRoutes();
+        this.exploration.changed = true; // Discovered obstacles go out again
+        break;
+      case 'setSeed':
+        // Start over from the seed, the page sends the obstacles placed from it next
+        this.random = new SeededRandom(command.seed);
+        this.simulationClock.reset();
+        this.stepRemainder = 0;
+        this._updateResourceFields();
+        this.exploration.reset();
+        this.stateChanged = true;
+        break;
+      case 'setPaused':
+        this.simulationClock.setPaused(command.paused);
+        this.stateChanged = true;
+        break;
+      case 'setSpeed':
+        this.simulationClock.setTimeScale(command.timeScale);
+        this.stateChanged = true;
+        break;
+      case 'step':
+        this.step();
+        this.stateChanged = true;
+        break;
+      case 'addRobot':
+        simulation.createRobot(command.id, command.position);
+        this.changedRobots.add(command.id);
+        break;
+      case 'removeRobot':
+        simulation.removeRobot(command.id);
+        this.changedRobots.delete(command.id);
+        break;
+      case 'setRobotTask':
+        simulation.setRobotTask(command.id, command.task);
+        this.changedRobots.add(command.id);
+        break;
+      case 'setRobotTaskQueue':
+        simulation.setRobotTaskQueue(command.id, command.tasks);
+        this.changedRobots.add(command.id);
+        break;
+      case 'skipRobotTask':
+        simulation.skipRobotTask(command.id);
+        this.changedRobots.add(command.id);
+        break;
+      case 'cancelRobotTasks':
+        simulation.cancelRobotTasks(command.id);
+        this.changedRobots.add(command.id);
+        break;
+      case 'setRobotCapabilities':
+        simulation.setRobotCapabilities(command.id, command.capabilities);
+        this.changedRobots.add(command.id);
+        break;
+      case 'setRobotControl':
+        simulation.setRobotControl(command.id, command.control);
+        break;
+      case 'setRobotRoute':
+        simulation.setRobotRoute(command.id, command.route);
+        this.changedRobots.add(command.id);
+        break;
+      case 'savePatrolRoute':
+        simulation.savePatrolRoute(command.route);
+        this._patrolRoutesChanged();
+        break;
+      case 'deletePatrolRoute':
+        simulation.deletePatrolRoute(command.routeId);
+        this._patrolRoutesChanged();
+        break;
+      case 'assignPatrolRoute':
+        simulation.assignPatrolRoute(command.robotIds, command.routeId);
+        command.robotIds.forEach(id => this.changedRobots.add(id));
+        break;
+      default:
+        console.warn(`Unknown simulation command: ${command.type}`);
+    }
+  }
+
+  // Routes have to be planned again, and targets handed out again, on new terrain or around new obstacles
+  _invalidateRoutes() {
+    this.pathPlanner.invalidate();
+    this.robotSimulation.clearAllPaths();
+    this.robotSimulation.allocator.reset();
+  }
+
+  // Fields missing from the map's layers depend on the terrain and the seed, they go out with the next snapshot
+  _updateResourceFields() {
+    if (!this.terrain.heights) return;
+    this.resources.setFields(generateResourceFields(this.terrain, this.random.derive('resources'), this.resourceLayers));
+    this.resourceFieldsChanged = true;
+  }
+
+  // Patrol routes go out with the next snapshot, with the robots driving them
+  _patrolRoutesChanged() {
+    this.patrolRoutesChanged = true;
+    Object.values(this.robotSimulation.robots).forEach(robot => {
+      if (robot.patrolRouteId) this.changedRobots.add(robot.id);
+    });
+  }
+
+  /**
+   * Spend elapsed real time (ms) on fixed simulation steps, returns the number of steps taken
+   */
+  advance(elapsed) {
+    return this.simulationClock.advance(elapsed, step => this.robotSimulation.update(step));
+  }
+
+  /**
+   * Run dt ms of simulated time (one step by default) in fixed steps, also while paused and
+   * whatever the speed: headless runs drive the clock themselves. Time shorter than a step is
+   * kept for the next call. Returns the number of steps taken.
+   */
+  step(dt = this.simulationClock.step) {
+    const clock = this.simulationClock;
+    this.stepRemainder += dt;
+    let steps = 0;
+    // Tolerate rounding so step(n * SIMULATION_STEP) takes exactly n steps
+    while (this.stepRemainder >= clock.step - 1e-6) {
+      clock.stepOnce(step => this.robotSimulation.update(step));
+      this.stepRemainder = Math.max(0, this.stepRemainder - clock.step);
+      steps++;
+    }
+    return steps;
+  }
+
+  getSimulationState() {
+    return {
+      seed: this.random.seed,
+      paused: this.simulationClock.paused,
+      timeScale: this.simulationClock.timeScale,
+      time: this.simulationClock.time,
+      tick: this.simulationClock.tick
+    };
+  }
+
+  /**
+   * Compact picture of the simulation for the renderer (or a headless caller, which usually wants includeAllData)
+   * {
+   *   simulation: { seed, paused, timeScale, time, tick },
+   *   ids: robot ids, in the order of transforms,
+   *   transforms: Float32Array of TRANSFORM_STRIDE values per robot (x, y, z, direction x, direction z),
+   *   robots: UI data (see RobotSimulation.getRobotData) of every robot with includeAllData,
+   *           otherwise only of the robots changed by commands,
+   *   paths: [[id, remaining waypoints or null]] of the robots whose planned route changed,
+   *   patrolRoutes: the patrol routes, only when they changed,
+   *   resourceFields: { ice, soil, weather } (see ResourceFields), only when they changed,
+   *   exploration: only when it changed, {
+   *     coverage: percent of the map explored,
+   *     columns, rows, cells: explored cells (see ExplorationMap),
+   *     discoveredObstacles: obstacles [{ x, z, radius, type }] in explored cells
+   *   }
+   * }
+   */
+  snapshot({ includeAllData = false } = {}) {
+    const robots = this.robotSimulation.robots;
+    const ids = Object.keys(robots);
+    const transforms = new Float32Array(ids.length * TRANSFORM_STRIDE);
+    ids.forEach((id, i) => {
+      const { position, direction } = robots[id];
+      transforms.set([position.x, position.y, position.z, direction.x, direction.z], i * TRANSFORM_STRIDE);
+    });
+
+    const dataIds = includeAllData ? ids : [...this.changedRobots].filter(id => robots[id]);
+    const snapshot = {
+      simulation: this.getSimulationState(),
+      ids,
+      transforms,
+      robots: dataIds.map(id => this.robotSimulation.getRobotData(id)),
+      paths: [...this.robotSimulation.changedPaths]
+        .filter(id => robots[id])
+        .map(id => [id, this.robotSimulation.getRemainingPath(robots[id])])
+    };
+    if (this.patrolRoutesChanged) {
+      snapshot.patrolRoutes = this.robotSimulation.getPatrolRoutes();
+    }
+    if (this.resourceFieldsChanged) {
+      snapshot.resourceFields = this.resources.getFields();
+    }
+    if (this.exploration.changed) {
+      const exploration = this.exploration;
+      snapshot.exploration = {
+        coverage: exploration.getCoverage(),
+        columns: exploration.columns,
+        rows: exploration.rows,
+        cells: exploration.cells.slice(),
+        discoveredObstacles: this.obstacles.getObstacles()
+          .filter(obstacle => exploration.isExplored(obstacle.x, obstacle.z))
+          .map(({ x, z, radius, type }) => ({ x, z, radius, type }))
+      };
+    }
+
+    this.changedRobots.clear();
+    this.robotSimulation.changedPaths.clear();
+    this.patrolRoutesChanged = false;
+    this.resourceFieldsChanged = false;
+    this.exploration.changed = false;
+    this.stateChanged = false;
+    return snapshot;
+  }
+
+  // Whether a command changed something the renderer hasn't seen yet
+  hasChanges() {
+    return this.stateChanged || this.patrolRoutesChanged || this.resourceFieldsChanged || this.exploration.changed ||
+           this.changedRobots.size > 0 || this.robotSimulation.changedPaths.size > 0;
+  }
+}
+
+export default SimulationWorld;
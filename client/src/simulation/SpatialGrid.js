@@ -0,0 +1,189 @@
+/**
+ * SpatialGrid - Uniform grid over the XZ plane for finding nearby items without checking every pair
+ * Items are stored by id as circles (a point when the radius is 0) and kept in every cell they overlap.
+ * Distances are measured to the edge of an item's circle.
+ */
+class SpatialGrid {
+  constructor(cellSize = 50) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> Set of item ids
+    this.items = new Map(); // Item id -> { x, z, radius, bounds: { minColumn, maxColumn, minRow, maxRow } }
+  }
+
+  _key(column, row) {
+    return `${column},${row}`;
+  }
+
+  // Range of cells covered by the rectangle (minX, minZ)-(maxX, maxZ)
+  _cellBounds(minX, minZ, maxX, maxZ) {
+    return {
+      minColumn: Math.floor(minX / this.cellSize),
+      maxColumn: Math.floor(maxX / this.cellSize),
+      minRow: Math.floor(minZ / this.cellSize),
+      maxRow: Math.floor(maxZ / this.cellSize)
+    };
+  }
+
+  _sameBounds(a, b) {
+    return a.minColumn === b.minColumn && a.maxColumn === b.maxColumn &&
+           a.minRow === b.minRow && a.maxRow === b.maxRow;
+  }
+
+  _forEachCell(bounds, callback) {
+    for (let column = bounds.minColumn; column <= bounds.maxColumn; column++) {
+      for (let row = bounds.minRow; row <= bounds.maxRow; row++) {
+        callback(this._key(column, row));
+      }
+    }
+  }
+
+  /**
+   * Add an item, or move it if it's already in the grid
+   */
+  insert(id, x, z, radius = 0) {
+    const bounds = this._cellBounds(x - radius, z - radius, x + radius, z + radius);
+    const item = this.items.get(id);
+
+    if (item) {
+      item.x = x;
+      item.z = z;
+      item.radius = radius;
+      if (this._sameBounds(item.bounds, bounds)) return;
+      this._forEachCell(item.bounds, key => this._removeFromCell(id, key));
+      item.bounds = bounds;
+    } else {
+      this.items.set(id, { x, z, radius, bounds });
+    }
+
+    this._forEachCell(bounds, key => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, new Set());
+      }
+      this.cells.get(key).add(id);
+    });
+  }
+
+  /**
+   * Move an item (same as insert, for readability at call sites)
+   */
+  update(id, x, z, radius = 0) {
+    this.insert(id, x, z, radius);
+  }
+
+  remove(id) {
+    const item = this.items.get(id);
+    if (!item) return;
+    this._forEachCell(item.bounds, key => this._removeFromCell(id, key));
+    this.items.delete(id);
+  }
+
+  _removeFromCell(id, key) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+
+  // Ids of the items in the cells of bounds, each once; scans the items directly
+  // when there are fewer of them than cells to look at
+  _candidates(bounds) {
+    const cellCount = (bounds.maxColumn - bounds.minColumn + 1) * (bounds.maxRow - bounds.minRow + 1);
+    if (cellCount > this.cells.size) {
+      return new Set(this.items.keys());
+    }
+
+    const candidates = new Set();
+    this._forEachCell(bounds, key => {
+      const cell = this.cells.get(key);
+      if (cell) cell.forEach(id => candidates.add(id));
+    });
+    return candidates;
+  }
+
+  _distanceTo(item, x, z) {
+    return Math.max(0, Math.hypot(item.x - x, item.z - z) - item.radius);
+  }
+
+  /**
+   * Ids of the items within radius of (x, z)
+   */
+  query(x, z, radius) {
+    const found = [];
+    const bounds = this._cellBounds(x - radius, z - radius, x + radius, z + radius);
+
+    this._candidates(bounds).forEach(id => {
+      if (this._distanceTo(this.items.get(id), x, z) <= radius) {
+        found.push(id);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Ids of the items overlapping the rectangle (minX, minZ)-(maxX, maxZ)
+   */
+  queryRect(minX, minZ, maxX, maxZ) {
+    const found = [];
+    const bounds = this._cellBounds(minX, minZ, maxX, maxZ);
+
+    this._candidates(bounds).forEach(id => {
+      const item = this.items.get(id);
+      // Distance from the item's center to the closest point of the rectangle
+      const dx = Math.max(minX - item.x, 0, item.x - maxX);
+      const dz = Math.max(minZ - item.z, 0, item.z - maxZ);
+      if (Math.hypot(dx, dz) <= item.radius) {
+        found.push(id);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Id of the item closest to (x, z), searching rings of cells outward from (x, z)
+   * maxDistance: ignore items farther than this; filter: (id) => boolean to skip items
+   * Returns null when there is none.
+   */
+  nearest(x, z, { maxDistance = Infinity, filter = null } = {}) {
+    const column = Math.floor(x / this.cellSize);
+    const row = Math.floor(z / this.cellSize);
+    const seen = new Set();
+    let nearestId = null;
+    let nearestDistance = maxDistance;
+
+    const visit = id => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      if (filter && !filter(id)) return;
+      const distance = this._distanceTo(this.items.get(id), x, z);
+      if (distance <= nearestDistance) {
+        nearestId = id;
+        nearestDistance = distance;
+      }
+    };
+
+    for (let ring = 0; seen.size < this.items.size; ring++) {
+      // Everything in this ring is at least this far away
+      const ringDistance = Math.max(0, ring - 1) * this.cellSize;
+      if (ringDistance > nearestDistance) break;
+
+      for (let c = column - ring; c <= column + ring; c++) {
+        for (let r = row - ring; r <= row + ring; r++) {
+          // Only the cells on the ring's edge, the inside was visited already
+          if (ring > 0 && c !== column - ring && c !== column + ring && r !== row - ring && r !== row + ring) continue;
+          const cell = this.cells.get(this._key(c, r));
+          if (cell) cell.forEach(visit);
+        }
+      }
+    }
+    return nearestId;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.items.clear();
+  }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,163 @@
+// Added to the cost of a target within another robot's spacing, so robots only crowd together
+// when nothing else is left
+const CROWDED_COST = 1e6;
+
+/**
+ * TaskAllocator - Hands the fleet's targets out to the robots, one robot per target
+ * Every step, robots whose behavior needs a target of some kind ('rock' for findRocks, 'frontier'
+ * for explore) and that have none are given one by greedy assignment: the cheapest robot-target
+ * pair is assigned first, then the next cheapest among what is left. A claim is released when the
+ * robot is done with it, can't reach it, runs out of battery, changes behavior or is removed,
+ * and its target goes back to the other robots.
+ */
+class TaskAllocator {
+  constructor(simulation) {
+    this.simulation = simulation;
+
+    // Kinds of targets: the behavior that needs them, the available targets, the cost of a
+    // robot driving to one, how far apart robots' targets should be, and when a claim is done
+    this.kinds = {
+      rock: {
+        behavior: 'findRocks',
+        targets: () => this._unvisitedRocks(),
+        cost: (robot, target) => Math.hypot(target.x - robot.position.x, target.z - robot.position.z),
+        spacing: () => 0,
+        isDone: () => false
+      },
+      frontier: {
+        behavior: 'explore',
+        targets: () => this.simulation.world.exploration.getFrontiers(),
+        cost: (robot, target) => this._headingWeightedDistance(robot, target),
+        spacing: robot => robot.capabilities.sensorRange * 2,
+        isDone: claim => this.simulation.world.exploration.isExplored(claim.target.x, claim.target.z)
+      }
+    };
+    this.reset();
+  }
+
+  /**
+   * Drop every claim and what the fleet has visited (new terrain or obstacles)
+   */
+  reset() {
+    this.claims = {}; // robotId -> { kind, target: { x, z }, source }, source being the rock for rocks
+    this.visitedRocks = new Set(); // Rocks examined this round, a round ends when all are examined
+    this.rejected = {}; // robotId -> targets (sources) the robot couldn't reach
+  }
+
+  getClaim(robotId) {
+    return this.claims[robotId] || null;
+  }
+
+  /**
+   * Forget a robot's claim and the targets it couldn't reach (behavior changed, robot removed)
+   */
+  release(robotId) {
+    delete this.claims[robotId];
+    delete this.rejected[robotId];
+  }
+
+  /**
+   * The robot is done with its target: a rock counts as examined, a frontier as reached
+   */
+  complete(robotId) {
+    const claim = this.claims[robotId];
+    if (!claim) return;
+    if (claim.kind === 'rock') {
+      this.visitedRocks.add(claim.source);
+    }
+    delete this.claims[robotId];
+  }
+
+  /**
+   * The robot can't reach its target: it won't get it again (no robot will get a frontier again)
+   */
+  reject(robotId) {
+    const claim = this.claims[robotId];
+    if (!claim) return;
+    if (claim.kind === 'frontier') {
+      this.simulation.world.exploration.markUnreachable(claim.target.x, claim.target.z);
+    } else {
+      if (!this.rejected[robotId]) this.rejected[robotId] = new Set();
+      this.rejected[robotId].add(claim.source);
+    }
+    delete this.claims[robotId];
+  }
+
+  /**
+   * Release claims that no longer hold and assign targets to the robots waiting for one
+   */
+  update() {
+    const robots = this.simulation.robots;
+    Object.entries(this.claims).forEach(([robotId, claim]) => {
+      const robot = robots[robotId];
+      const kind = this.kinds[claim.kind];
+      if (!robot || robot.behaviorGoal !== kind.behavior || robot.capabilities.batteryLevel <= 0 || kind.isDone(claim)) {
+        delete this.claims[robotId];
+      }
+    });
+
+    Object.entries(this.kinds).forEach(([name, kind]) => {
+      const waiting = Object.values(robots).filter(robot =>
+        robot.behaviorGoal === kind.behavior && robot.capabilities.batteryLevel > 0 && !this.claims[robot.id]
+      );
+      if (waiting.length > 0) {
+        this._assign(name, kind, waiting);
+      }
+    });
+  }
+
+  // Greedy assignment of the unclaimed targets of a kind to the waiting robots
+  _assign(name, kind, waiting) {
+    const claimed = Object.values(this.claims).filter(claim => claim.kind === name);
+    const claimedSources = new Set(claimed.map(claim => claim.source));
+    let candidates = kind.targets().filter(target => !claimedSources.has(target.source));
+
+    while (waiting.length > 0 && candidates.length > 0) {
+      let best = null;
+      waiting.forEach(robot => {
+        const spacing = kind.spacing(robot);
+        const rejected = this.rejected[robot.id];
+        candidates.forEach(target => {
+          if (rejected && rejected.has(target.source)) return;
+          const crowded = spacing > 0 && claimed.some(claim =>
+            Math.hypot(claim.target.x - target.x, claim.target.z - target.z) < spacing
+          );
+          const cost = kind.cost(robot, target) + (crowded ? CROWDED_COST : 0);
+          if (!best || cost < best.cost) {
+            best = { robot, target, cost };
+          }
+        });
+      });
+      if (!best) break;
+
+      const claim = { kind: name, target: { x: best.target.x, z: best.target.z }, source: best.target.source };
+      this.claims[best.robot.id] = claim;
+      claimed.push(claim);
+      waiting = waiting.filter(robot => robot !== best.robot);
+      candidates = candidates.filter(target => target !== best.target);
+    }
+  }
+
+  // Rocks not examined yet this round, a new round starts once all have been
+  _unvisitedRocks() {
+    const rocks = this.simulation.world.obstacles.getObstacles().filter(obstacle => obstacle.type === 'rock');
+    let unvisited = rocks.filter(rock => !this.visitedRocks.has(rock));
+    if (unvisited.length === 0 && rocks.length > 0) {
+      this.visitedRocks.clear();
+      unvisited = rocks;
+    }
+    return unvisited.map(rock => ({ x: rock.x, z: rock.z, source: rock }));
+  }
+
+  // Targets behind the robot count as up to five times further, so it doesn't keep turning back and forth
+  _headingWeightedDistance(robot, target) {
+    const dx = target.x - robot.position.x;
+    const dz = target.z - robot.position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance === 0) return 0;
+    const alignment = (dx * robot.direction.x + dz * robot.direction.z) / distance;
+    return distance * (3 - 2 * alignment);
+  }
+}
+
+export default TaskAllocator;
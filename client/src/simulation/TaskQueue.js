@@ -0,0 +1,150 @@
+// Behaviors a queued task can run: goTo drives to the task's { x, z }, returnToBase to where the robot was placed
+export const QUEUE_BEHAVIORS = [
+  'goTo', 'returnToBase', 'random', 'patrol', 'explore', 'findRocks', 'findFlatSurface',
+  'findWater', 'findGoodSoil', 'findGoodWeather', 'followPath', 'standby'
+];
+// Behaviors whose tasks complete on arrival
+const ARRIVAL_BEHAVIORS = ['goTo', 'returnToBase'];
+
+/**
+ * Tasks still to do in a robot's queue (see RobotSimulation.getRobotData), the current one first
+ * with what is left of its duration. Used to save the queue with the robot's progress.
+ */
+export const getRemainingTasks = (taskQueue) => {
+  if (!taskQueue) return [];
+  const { current, tasks } = taskQueue;
+  if (!current) return tasks;
+  const { elapsed, ...task } = current;
+  if (task.duration !== undefined) {
+    task.duration = Math.max(0, task.duration - elapsed);
+  }
+  return [task, ...tasks];
+};
+
+/**
+ * TaskQueue - Runs each robot's queue of tasks one after the other
+ * A task is { behavior, x, z, duration, battery }: the robot runs the behavior (driving to x, z for
+ * goTo) until it arrives (goTo, returnToBase), duration simulated seconds have passed, or its
+ * battery is down to battery percent, whichever comes first. Tasks without any of these run until
+ * skipped. The robot stands by once its queue is done. Queues are kept on the robots
+ * (robot.taskQueue), setting a robot's task directly replaces its queue.
+ */
+class TaskQueue {
+  constructor(simulation) {
+    this.simulation = simulation;
+  }
+
+  /**
+   * A task checked and kept on the terrain, null when it isn't valid
+   */
+  normalizeTask(task) {
+    if (!task || !QUEUE_BEHAVIORS.includes(task.behavior)) return null;
+    const normalized = { behavior: task.behavior };
+
+    if (task.behavior === 'goTo') {
+      if (!Number.isFinite(task.x) || !Number.isFinite(task.z)) return null;
+      const { width, height } = this.simulation.world.getTerrainDimensions();
+      normalized.x = Math.max(-width / 2, Math.min(width / 2, task.x));
+      normalized.z = Math.max(-height / 2, Math.min(height / 2, task.z));
+    }
+    if (task.duration !== undefined && task.duration !== null) {
+      if (!Number.isFinite(task.duration) || task.duration < 0) return null;
+      normalized.duration = task.duration;
+    }
+    if (task.battery !== undefined && task.battery !== null) {
+      if (!Number.isFinite(task.battery)) return null;
+      normalized.battery = Math.max(0, Math.min(100, task.battery));
+    }
+    return normalized;
+  }
+
+  /**
+   * Replace the tasks waiting in a robot's queue (to add, remove or reorder them), the current task
+   * keeps running. Invalid tasks are left out.
+   */
+  setTasks(robot, tasks) {
+    robot.taskQueue.tasks = (tasks || []).map(task => this.normalizeTask(task)).filter(Boolean);
+  }
+
+  /**
+   * End the current task, the next one starts on the next step
+   */
+  skip(robot) {
+    if (robot.taskQueue.current) {
+      this._finishTask(robot);
+    }
+  }
+
+  /**
+   * Drop the robot's queue, the current task included. The robot stands by if it was running a task.
+   */
+  cancel(robot) {
+    const wasRunning = !!robot.taskQueue.current;
+    this.clear(robot);
+    if (wasRunning) {
+      this._startBehavior(robot, 'standby');
+    }
+  }
+
+  // Drop the queue, leaving the robot's behavior alone (its task is being set directly)
+  clear(robot) {
+    robot.taskQueue = { current: null, tasks: [], elapsed: 0 };
+  }
+
+  /**
+   * End the tasks whose condition is met and start the next ones
+   */
+  update(deltaTime) {
+    Object.values(this.simulation.robots).forEach(robot => {
+      const queue = robot.taskQueue;
+      if (queue.current) {
+        queue.elapsed += deltaTime;
+        if (this._isTaskDone(robot)) {
+          this._finishTask(robot);
+        }
+      }
+      if (!queue.current && queue.tasks.length > 0) {
+        this._startTask(robot, queue.tasks.shift());
+      }
+    });
+  }
+
+  _isTaskDone(robot) {
+    const { current, elapsed } = robot.taskQueue;
+    const { batteryLevel, batteryCapacity } = robot.capabilities;
+    if (ARRIVAL_BEHAVIORS.includes(current.behavior) && robot.behaviorState.arrival) return true;
+    if (current.duration !== undefined && elapsed >= current.duration * 1000) return true;
+    if (current.battery !== undefined && (100 * batteryLevel) / batteryCapacity <= current.battery) return true;
+    return false;
+  }
+
+  _finishTask(robot) {
+    const queue = robot.taskQueue;
+    queue.current = null;
+    queue.elapsed = 0;
+    if (queue.tasks.length === 0) {
+      this._startBehavior(robot, 'standby');
+    }
+  }
+
+  _startTask(robot, task) {
+    robot.taskQueue.current = task;
+    robot.taskQueue.elapsed = 0;
+    this._startBehavior(robot, task.behavior);
+
+    // Destination of the drive, also what the robot doesn't steer around
+    if (task.behavior === 'goTo') {
+      robot.behaviorState.targetPosition = { x: task.x, z: task.z };
+    } else if (task.behavior === 'returnToBase') {
+      robot.behaviorState.targetPosition = { ...robot.base };
+    }
+  }
+
+  _startBehavior(robot, behavior) {
+    robot.task = behavior;
+    this.simulation._setRobotBehaviorGoal(robot.id, behavior);
+    this.simulation.world.changedRobots.add(robot.id);
+  }
+}
+
+export default TaskQueue;
@@ -0,0 +1,262 @@
+// World-space size of the longer terrain side, every map is scaled to fit it
+export const MAX_DIMENSION_SIZE = 2000;
+// Vertical displacement used for maps without an elevation range
+export const DEFAULT_DISPLACEMENT_SCALE = 300;
+
+/**
+ * World scale of a heightmap of imageWidth x imageHeight pixels with the map's metadata
+ * The longer side spans MAX_DIMENSION_SIZE units. Maps without metersPerPixel use 1 world unit = 1 meter,
+ * and maps without an elevation range keep the default displacement scale.
+ * Returns { terrainWidth, terrainHeight, metersPerUnit, displacementScale, elevationOffset, verticalExaggeration }
+ */
+export const getTerrainScale = (imageWidth, imageHeight, metadata) => {
+  let terrainWidth = MAX_DIMENSION_SIZE;
+  let terrainHeight = MAX_DIMENSION_SIZE;
+  if (imageWidth > 0 && imageHeight > 0) {
+    if (imageWidth >= imageHeight) {
+      terrainHeight = MAX_DIMENSION_SIZE * (imageHeight / imageWidth);
+    } else {
+      terrainWidth = MAX_DIMENSION_SIZE * (imageWidth / imageHeight);
+    }
+  }
+
+  const maxImageSize = Math.max(imageWidth, imageHeight);
+  const metersPerUnit = metadata && metadata.metersPerPixel && maxImageSize > 0
+    ? (maxImageSize * metadata.metersPerPixel) / MAX_DIMENSION_SIZE
+    : 1;
+
+  const verticalExaggeration = (metadata && metadata.verticalExaggeration) || 1;
+  let displacementScale = DEFAULT_DISPLACEMENT_SCALE;
+  let elevationOffset = 0;
+  if (metadata && metadata.elevationMin !== null && metadata.elevationMax !== null &&
+      metadata.elevationMin !== undefined && metadata.elevationMax !== undefined) {
+    displacementScale = ((metadata.elevationMax - metadata.elevationMin) / metersPerUnit) * verticalExaggeration;
+    elevationOffset = metadata.elevationMin;
+  }
+
+  return { terrainWidth, terrainHeight, metersPerUnit, displacementScale, elevationOffset, verticalExaggeration };
+};
+
+/**
+ * TerrainSampler - Height, slope and scale queries over a decoded heightmap
+ * Holds plain data only (typed arrays and numbers), so the same terrain can be sampled by the
+ * renderer, by the simulation worker and by Node: getData() is what is posted to the worker.
+ */
+class TerrainSampler {
+  /**
+   * Terrain of a decoded heightmap { width, height, heights } at the scale given by the map's metadata
+   */
+  static fromHeightmap(heightmap, metadata) {
+    return new TerrainSampler({
+      ...getTerrainScale(heightmap.width, heightmap.height, metadata),
+      heights: heightmap.heights,
+      heightmapWidth: heightmap.width,
+      heightmapHeight: heightmap.height
+    });
+  }
+
+
+  constructor(data = {}) {
+    this.setData(data);
+  }
+
+  /**
+   * Replace the terrain being sampled
+   * data: { terrainWidth, terrainHeight, heights, heightmapWidth, heightmapHeight,
+   *         displacementScale, vertexHeights, metersPerUnit, elevationOffset, verticalExaggeration }
+   */
+  setData(data) {
+    this.terrainWidth = data.terrainWidth || 0;
+    this.terrainHeight = data.terrainHeight || 0;
+    // Normalized (0-1) height data, one value per pixel
+    this.heights = data.heights || null;
+    this.heightmapWidth = data.heightmapWidth || 0;
+    this.heightmapHeight = data.heightmapHeight || 0;
+    this.displacementScale = data.displacementScale || 0;
+    // Displaced vertex heights of the terrain mesh { heights, columns, rows }, null with GPU displacement
+    this.vertexHeights = data.vertexHeights || null;
+    this.metersPerUnit = data.metersPerUnit || 1;
+    this.elevationOffset = data.elevationOffset || 0;
+    this.verticalExaggeration = data.verticalExaggeration || 1;
+  }
+
+  getData() {
+    return {
+      terrainWidth: this.terrainWidth,
+      terrainHeight: this.terrainHeight,
+      heights: this.heights,
+      heightmapWidth: this.heightmapWidth,
+      heightmapHeight: this.heightmapHeight,
+      displacementScale: this.displacementScale,
+      vertexHeights: this.vertexHeights,
+      metersPerUnit: this.metersPerUnit,
+      elevationOffset: this.elevationOffset,
+      verticalExaggeration: this.verticalExaggeration
+    };
+  }
+
+  /**
+   * Sample the normalized (0-1) heightmap bilinearly between pixel centers,
+   * like the linearly filtered displacement texture
+   */
+  sampleHeightmap(normalizedX, normalizedZ) {
+    // Continuous pixel coordinates, pixel centers sit at whole numbers
+    const maxX = this.heightmapWidth - 1;
+    const maxZ = this.heightmapHeight - 1;
+    const pixelX = Math.min(maxX, Math.max(0, normalizedX * this.heightmapWidth - 0.5));
+    const pixelZ = Math.min(maxZ, Math.max(0, normalizedZ * this.heightmapHeight - 0.5));
+
+    const x0 = Math.floor(pixelX);
+    const z0 = Math.floor(pixelZ);
+    const x1 = Math.min(maxX, x0 + 1);
+    const z1 = Math.min(maxZ, z0 + 1);
+    const tx = pixelX - x0;
+    const tz = pixelZ - z0;
+
+    // Normalized height values (0-1, 8 or 16-bit source)
+    const data = this.heights;
+    const row0 = z0 * this.heightmapWidth;
+    const row1 = z1 * this.heightmapWidth;
+    const top = data[row0 + x0] + (data[row0 + x1] - data[row0 + x0]) * tx;
+    const bottom = data[row1 + x0] + (data[row1 + x1] - data[row1 + x0]) * tx;
+    return top + (bottom - top) * tz;
+  }
+
+  /**
+   * Interpolate the displaced vertex heights over the mesh triangles
+   * (PlaneGeometry splits each cell along the diagonal from its +X/-Z corner to its -X/+Z corner)
+   */
+  _sampleVertexHeights(normalizedX, normalizedZ) {
+    const { heights, columns, rows } = this.vertexHeights;
+    const cellX = Math.min(columns - 1, Math.max(0, normalizedX * (columns - 1)));
+    const cellZ = Math.min(rows - 1, Math.max(0, normalizedZ * (rows - 1)));
+    const x0 = Math.min(columns - 2, Math.floor(cellX));
+    const z0 = Math.min(rows - 2, Math.floor(cellZ));
+    const tx = cellX - x0;
+    const tz = cellZ - z0;
+
+    const a = heights[z0 * columns + x0];           // -X, -Z corner
+    const b = heights[(z0 + 1) * columns + x0];     // -X, +Z corner
+    const c = heights[(z0 + 1) * columns + x0 + 1]; // +X, +Z corner
+    const d = heights[z0 * columns + x0 + 1];       // +X, -Z corner
+
+    if (tx + tz <= 1) {
+      return a + (d - a) * tx + (b - a) * tz;
+    }
+    return c + (b - c) * (1 - tx) + (d - c) * (1 - tz);
+  }
+
+  /**
+   * Get height at a specific position on the terrain
+   * Matches the rendered surface: the mesh triangles with CPU displacement,
+   * bilinear heightmap sampling (like the displacement texture) otherwise
+   */
+  getHeightAtPosition(x, z) {
+    // If we don't have heightmap data yet, return a default height
+    if (!this.heights || !this.heightmapWidth || !this.heightmapHeight) {
+      return 0;
+    }
+
+    // Normalize x and z to 0-1 range based on dynamic dimensions
+    const normalizedX = (x + this.terrainWidth / 2) / this.terrainWidth;
+    const normalizedZ = (z + this.terrainHeight / 2) / this.terrainHeight; // Use terrainHeight for Z
+
+    // Outside the terrain
+    if (!(normalizedX >= 0 && normalizedX <= 1 && normalizedZ >= 0 && normalizedZ <= 1)) {
+      return 0;
+    }
+
+    if (this.vertexHeights && this.vertexHeights.columns > 1 && this.vertexHeights.rows > 1) {
+      return this._sampleVertexHeights(normalizedX, normalizedZ);
+    }
+
+    // Scale height value to terrain height
+    return this.sampleHeightmap(normalizedX, normalizedZ) * this.displacementScale;
+  }
+
+  /**
+   * Height gradient (world units of height per world unit) using central differences
+   * one heightmap pixel (or mesh cell) apart. Samples are kept on the terrain, so the difference is
+   * one-sided at the border instead of measuring a drop to the 0 height outside.
+   */
+  getHeightGradient(x, z) {
+    let stepX = this.heightmapWidth ? this.terrainWidth / this.heightmapWidth : 1;
+    let stepZ = this.heightmapHeight ? this.terrainHeight / this.heightmapHeight : 1;
+    // With CPU displacement, measure across a whole mesh cell so the result isn't a single facet
+    if (this.vertexHeights) {
+      stepX = Math.max(stepX, this.terrainWidth / Math.max(1, this.vertexHeights.columns - 1));
+      stepZ = Math.max(stepZ, this.terrainHeight / Math.max(1, this.vertexHeights.rows - 1));
+    }
+
+    const halfWidth = this.terrainWidth / 2;
+    const halfHeight = this.terrainHeight / 2;
+    const clampX = value => Math.max(-halfWidth, Math.min(halfWidth, value));
+    const clampZ = value => Math.max(-halfHeight, Math.min(halfHeight, value));
+    const sampleZ = clampZ(z);
+    const sampleX = clampX(x);
+    const left = clampX(x - stepX);
+    const right = clampX(x + stepX);
+    const top = clampZ(z - stepZ);
+    const bottom = clampZ(z + stepZ);
+
+    return {
+      dx: right > left
+        ? (this.getHeightAtPosition(right, sampleZ) - this.getHeightAtPosition(left, sampleZ)) / (right - left)
+        : 0,
+      dz: bottom > top
+        ? (this.getHeightAtPosition(sampleX, bottom) - this.getHeightAtPosition(sampleX, top)) / (bottom - top)
+        : 0
+    };
+  }
+
+  /**
+   * Get the unit surface normal { x, y, z } of the rendered terrain at a position
+   */
+  getNormalAtPosition(x, z) {
+    const { dx, dz } = this.getHeightGradient(x, z);
+    const length = Math.sqrt(dx * dx + 1 + dz * dz);
+    return { x: -dx / length, y: 1 / length, z: -dz / length };
+  }
+
+  /**
+   * Get the real terrain slope in degrees at a position
+   * (vertical exaggeration is removed, so this is the slope a rover would climb)
+   */
+  getSlopeAtPosition(x, z) {
+    const { dx, dz } = this.getHeightGradient(x, z);
+    const gradient = Math.sqrt(dx * dx + dz * dz) / this.verticalExaggeration;
+    return Math.atan(gradient) * 180 / Math.PI;
+  }
+
+  /**
+   * Get the real grade in degrees when heading in direction (dirX, dirZ) from a position
+   * Positive when climbing, negative when descending
+   */
+  getGradeAlong(x, z, dirX, dirZ) {
+    const length = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+    const { dx, dz } = this.getHeightGradient(x, z);
+    const rise = (dx * dirX + dz * dirZ) / length / this.verticalExaggeration;
+    return Math.atan(rise) * 180 / Math.PI;
+  }
+
+  /**
+   * Get the real elevation in meters at a position (uses the map's elevation range)
+   */
+  getElevationAtPosition(x, z) {
+    const height = this.getHeightAtPosition(x, z);
+    return this.elevationOffset + (height * this.metersPerUnit) / this.verticalExaggeration;
+  }
+
+  /**
+   * Convert a horizontal world-space distance to meters
+   */
+  toMeters(distance) {
+    return distance * this.metersPerUnit;
+  }
+
+  getTerrainDimensions() {
+    return { width: this.terrainWidth, height: this.terrainHeight };
+  }
+}
+
+export default TerrainSampler;
@@ -0,0 +1,45 @@
+import { decodePngHeightmap } from '../simulation/HeightmapDecoder';
+
+/**
+ * HeightmapLoader - Decodes heightmap images into normalized height values
+ * PNGs are decoded in JS (see HeightmapDecoder) so 16-bit grayscale keeps its full precision.
+ * Other formats go through a canvas.
+ */
+
+/**
+ * Decode with the browser through a canvas (8-bit, red channel)
+ */
+const decodeWithCanvas = async (buffer) => {
+  const bitmap = await createImageBitmap(new Blob([buffer]));
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+  bitmap.close();
+
+  const heights = new Float32Array(canvas.width * canvas.height);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = pixels[i * 4] / 255;
+  }
+  return { width: canvas.width, height: canvas.height, heights, bitDepth: 8 };
+};
+
+/**
+ * Decode heightmap bytes into { width, height, heights: Float32Array (0-1, row-major, top row first), bitDepth }
+ */
+export const decodeHeightmap = async (buffer) => {
+  return decodePngHeightmap(buffer) || decodeWithCanvas(buffer);
+};
+
+/**
+ * Fetch and decode a heightmap image
+ */
+export const loadHeightmap = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch heightmap ${url}: HTTP ${response.status}`);
+  }
+  return decodeHeightmap(await response.arrayBuffer());
+};
@@ -1,41 +1,62 @@
 import * as THREE from 'three';
 import bridgeService from '../context/BridgeService';
-import RobotBehaviors from './RobotBehaviors';
-import RobotMovement from './RobotMovement';
+import SpatialGrid from '../simulation/SpatialGrid';
+import { SIMULATION_STEP } from '../simulation/SimulationClock';
+import { TRANSFORM_STRIDE } from '../simulation/SimulationWorld';
 
+const UP_AXIS = new THREE.Vector3(0, 1, 0);
+// How far (world units) a robot's body reaches around its position, for picking
+const ROBOT_PICK_RADIUS = 15;
+// Longest time (ms) a robot takes to reach the position of a new snapshot, so robots don't
+// crawl after a single step while the simulation is paused
+const MAX_INTERPOLATION_TIME = 100;
+
+/**
+ * RobotManager - Draws the robots of the simulation worker and forwards commands to it
+ * The robots' state and behavior live in the worker (see SimulationWorld). Each snapshot it
+ * sends gives the robots a new transform, and the meshes are moved between the last two
+ * snapshots every frame. Selection, picking, path lines and the robot camera are handled here.
+ */
 class RobotManager {
   constructor(scene, terrainRenderer) {
     this.scene = scene;
     this.terrainRenderer = terrainRenderer;
+    this.simulation = terrainRenderer.simulation;
+    // Drawn robots: id -> { id, mesh, position, direction, terrainHeight, from, to, data, path, pathLine, selected }
     this.robots = {};
     this.selectedRobotId = null;
-    this.lastUpdateTime = {};
-    
-    // Initialize the behavior and movement managers
-    this.behaviors = new RobotBehaviors(this);
-    this.movement = new RobotMovement(this);
-    
+    // Named patrol routes shared by the fleet, as last sent by the simulation: routeId -> route
+    this.patrolRoutes = {};
+    // Drawn robot positions by grid cell, for picking
+    this.robotIndex = new SpatialGrid(50);
+
+    // When the last snapshot came and how long the one before took, robots take that long to reach it
+    this.lastSnapshotTime = null;
+    this.snapshotInterval = SIMULATION_STEP;
+    this._unsubscribeSimulation = this.simulation.subscribe(this.applySnapshot.bind(this));
+
     // Materials for robots
     this.robotMaterial = new THREE.MeshLambertMaterial({ color: 0x3399FF });
     this.selectedMaterial = new THREE.MeshLambertMaterial({ color: 0x22CC44 });
     this.lowBatteryMaterial = new THREE.MeshLambertMaterial({ color: 0xFF3300 });
-    
+    this.pathMaterial = new THREE.LineBasicMaterial({ color: 0xFFDE03 });
+
     // For robot camera views
     this.robotCamera = new THREE.PerspectiveCamera(75, 1, 0.1, 2000);
     this.robotCamera.fov = 75; // Wide FOV for better visibility
     this.robotCamera.updateProjectionMatrix();
-    
+
     // Create a raycaster for robot selection
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
   }
-  
+
   // Update the view helper positions - simplify by removing helper objects
   updateViewHelpers() {
     // This method is kept empty but we keep it to avoid breaking existing code
     // that might call this method
   }
-  
+
   // Calculate terrain height and position - extracted to avoid duplication
   _getTerrainPositionY(x, z) {
     const terrainHeight = this.terrainRenderer.getHeightAtPosition(x, z);
@@ -46,201 +67,143 @@ class RobotManager {
       terrainHeight: actualHeight
     };
   }
-  
-  // Create a new robot
+
+  // Create a new robot, at a random position (picked by the simulation) if none is given
   createRobot(position) {
-    const id = Date.now().toString();
-    
-    // If no position is provided, generate a random one
-    if (!position) {
-      const x = (Math.random() - 0.5) * 1600; // -800 to 800
-      const z = (Math.random() - 0.5) * 1600; // -800 to 800
-      const heightData = this._getTerrainPositionY(x, z);
-      position = { x, y: heightData.y, z };
-      console.log(`Creating robot at position (${x}, ${heightData.y}) with terrain height ${heightData.terrainHeight}`);
-    } else {
-      const heightData = this._getTerrainPositionY(position.x, position.z);
-      position.y = heightData.y; // Ensure robot is above terrain
-      console.log(`Creating robot at provided position (${position.x}, ${position.y}) with terrain height ${heightData.terrainHeight}`);
-    }
-    
+    let id = Date.now().toString();
+    while (this.robots[id]) id += '1';
+
     // Create robot mesh - use a combined geometry for better visibility
     const robotGroup = new THREE.Group();
-    
+
     // Main body - larger sphere
     const bodyGeometry = new THREE.SphereGeometry(10, 20, 20);
     const bodyMesh = new THREE.Mesh(bodyGeometry, this.robotMaterial);
     bodyMesh.castShadow = true;
     robotGroup.add(bodyMesh);
-    
-    // Position the entire group
-    robotGroup.position.set(position.x, position.y, position.z);
     robotGroup.userData.robotId = id; // Store ID for picking
-    
+
+    const drawnPosition = { x: 0, y: 0, z: 0 };
+    if (position) {
+      const heightData = this._getTerrainPositionY(position.x, position.z);
+      drawnPosition.x = position.x;
+      drawnPosition.y = heightData.y; // Ensure robot is above terrain
+      drawnPosition.z = position.z;
+      robotGroup.position.set(drawnPosition.x, drawnPosition.y, drawnPosition.z);
+    } else {
+      // Shown once the simulation has placed it
+      robotGroup.visible = false;
+    }
+
     // Add to scene
     this.scene.add(robotGroup);
-    
-    // Generate initial direction (random angle)
-    const initialAngle = Math.random() * Math.PI * 2;
-    const directionVector = new THREE.Vector3(Math.cos(initialAngle), 0, Math.sin(initialAngle));
-    
-    // Update the rotation of the group to match the initial direction
-    robotGroup.rotation.y = initialAngle;
-    
-    // Store robot data with explicit terrain height
+
     this.robots[id] = {
       id,
-      mesh: robotGroup, // Store the group instead of a single mesh
-      position: { ...position },
-      terrainHeight: position.y - 5, // Store the actual terrain height
-      task: '',
-      coordinates: {
-        x: position.x,
-        z: position.z
-      },
-      // Add missing properties for robot movement/direction
-      direction: directionVector, // Initial direction vector
-      speed: 0.2, // Lower initial speed
-      targetSpeed: 0.5, // Lower initial target speed
-      targetDirection: { x: directionVector.x, z: directionVector.z }, // For smooth turning
-      moveTimer: 0,
-      moveInterval: Math.random() * 1500 + 800, // Even shorter intervals for more frequent direction changes
+      mesh: robotGroup,
+      position: drawnPosition, // Where the robot is drawn
+      direction: { x: 1, y: 0, z: 0 },
+      terrainHeight: drawnPosition.y - 5,
+      from: null, // Transforms { x, y, z, angle } moved between
+      to: null,
+      data: null, // Latest UI data from the simulation
+      path: null, // Planned route, drawn as pathLine
+      pathLine: null,
       selected: false,
-      // Add this flag to ensure the robot is always visible in views
-      forceVisible: true,
-      // New properties for enhanced capabilities and behavior
-      capabilities: {
-        maxSpeed: 5.0, // Set a higher default speed within the new range (0.1-10.0)
-        turnRate: 0.08, // Higher turn rate for more responsive turning (from 0.06)
-        sensorRange: 120, // Slightly increased sensor range
-        batteryLevel: 100,
-        batteryCapacity: 100,
-        batteryDrainRate: 0.5 // Increased drain rate
-      },
-      behaviorGoal: 'random', // Default goal: random movement
-      behaviorState: {
-        targetPosition: null,
-        patrolPoints: [],
-        patrolIndex: 0,
-        searchRadius: 200,
-        lastDetection: null,
-        thinkTime: 0
-      }
+      selectWhenAdded: false
     };
-    
-    // Dispatch an event to notify about the new robot
-    const robotData = this.getRobotData(id);
-    bridgeService.notifyRobotAdded(robotData);
-    
+    this.robotIndex.insert(id, drawnPosition.x, drawnPosition.z);
+
+    this.simulation.send('addRobot', { id, position: position ? { x: position.x, z: position.z } : null });
     return id;
   }
-  
+
   // Public method to add a robot
+  // Returns { id, position }, the full robot data reaches the UI once the simulation has the robot
   addRobot(position) {
     const id = this.createRobot(position);
-    const robotData = this.getRobotData(id);
-    
-    // Select the newly added robot
-    this.selectRobot(id);
-    
-    return robotData;
-  }
-  
+
+    // Select the newly added robot as soon as the simulation knows it
+    this.robots[id].selectWhenAdded = true;
+
+    return { id, position: { ...this.robots[id].position } };
+  }
+
   // Select a robot
   selectRobot(robotId) {
     console.log(`SelectRobot called with ID: ${robotId}`);
-    
+
     // If attempting to select a robot that doesn't exist, log an error
     if (robotId && !this.robots[robotId]) {
       console.error(`Attempted to select non-existent robot with ID: ${robotId}`);
       return;
     }
-    
+
     // Deselect previous robot
     if (this.selectedRobotId && this.robots[this.selectedRobotId]) {
       const prevRobot = this.robots[this.selectedRobotId];
-      
-      // Since we're using a simpler model now, just change the material of the children
-      prevRobot.mesh.children.forEach(child => {
-        if (child instanceof THREE.Mesh) {
-          child.material = this.robotMaterial;
-        }
-      });
-      
       prevRobot.selected = false;
+      this._updateRobotMaterial(prevRobot);
       console.log(`Deselected previous robot: ${this.selectedRobotId}`);
     }
-    
+
     this.selectedRobotId = robotId;
-    
+
     // Select new robot
     if (robotId && this.robots[robotId]) {
       const robot = this.robots[robotId];
-      
-      // Since we're using a simpler model now, just change the material of the children
-      robot.mesh.children.forEach(child => {
-        if (child instanceof THREE.Mesh) {
-          child.material = this.selectedMaterial;
-        }
-      });
-      
       robot.selected = true;
-      
+      this._updateRobotMaterial(robot);
+
       // Position the robot camera
-      const pos = robot.position;
-      this.robotCamera.position.set(pos.x, pos.y + 3, pos.z); // Slightly above robot
-      this.robotCamera.lookAt(
-        pos.x + robot.direction.x * 10,
-        pos.y + 2,
-        pos.z + robot.direction.z * 10
-      );
-      
-      console.log(`Selected robot ${robotId.substring(0, 8)} at position:`, pos);
-      
+      this.updateCameraForSelectedRobot();
+
+      console.log(`Selected robot ${robotId.substring(0, 8)} at position:`, robot.position);
+
       // Dispatch event for UI using BridgeService
-      bridgeService.notifyRobotSelected(this.getRobotData(robotId));
+      bridgeService.notifyRobotSelected(this.getRobotData(robotId) || { id: robotId });
     } else {
       // No robot selected
       console.log('No robot selected');
-      
+
       // Dispatch event for UI using BridgeService
       bridgeService.notifyRobotSelected(null);
     }
   }
-  
+
   // Handle click for robot selection
   handleClick(event, camera, renderer) {
     // Calculate mouse position in normalized device coordinates
     const rect = renderer.domElement.getBoundingClientRect();
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    
+
     // Set raycaster
     this.raycaster.setFromCamera(this.mouse, camera);
-    
-    // Get all robot meshes
-    const robotGroups = Object.values(this.robots).map(robot => robot.mesh);
-    
+
+    // Only the robots under the ray can be hit
+    const robotGroups = this._robotsAlongRay(this.raycaster.ray).map(robot => robot.mesh);
+
     // Debug log robots
     console.log(`Checking for robot clicks among ${robotGroups.length} robots`);
-    
+
     // Check for intersections
     const intersects = this.raycaster.intersectObjects(robotGroups, true); // Use recursive search
-    
+
     if (intersects.length > 0) {
       console.log(`Found ${intersects.length} intersections`);
-      
+
       // Find the parent group that has the robotId
       let currentObject = intersects[0].object;
       while (currentObject && !currentObject.userData.robotId) {
         currentObject = currentObject.parent;
       }
-      
+
       // If we found a robot group, select it
       if (currentObject && currentObject.userData.robotId) {
         const robotId = currentObject.userData.robotId;
         console.log(`Found robot with ID: ${robotId}`);
-        
+
         // Verify robot exists
         if (this.robots[robotId]) {
           console.log(`Selecting robot ${robotId}`);
@@ -251,247 +214,356 @@ class RobotManager {
         }
       }
     }
-    
-    // Deselect if clicking empty space
-    this.selectRobot(null);
+
+    // No robot hit, the caller decides what a click on empty space does
     return false;
   }
-  
-  // Update all robots
-  update(deltaTime) {
-    // Clone robots first to avoid mutation errors if a robot is deleted during update
-    const robotIds = Object.keys(this.robots);
-    
-    for (let id of robotIds) {
+
+  /**
+   * Take in a snapshot from the simulation worker (see SimulationWorld.snapshot): new transforms
+   * to move the robots to, changed routes, robot data for the UI and the patrol routes
+   */
+  applySnapshot(snapshot) {
+    const now = performance.now();
+    if (this.lastSnapshotTime !== null) {
+      this.snapshotInterval = Math.max(1, Math.min(MAX_INTERPOLATION_TIME, now - this.lastSnapshotTime));
+    }
+    this.lastSnapshotTime = now;
+
+    const { ids, transforms } = snapshot;
+    ids.forEach((id, i) => {
       const robot = this.robots[id];
-      if (!robot) continue; // Skip if robot was removed
-      
-      // Update battery according to activity
-      this.updateRobotBattery(robot, deltaTime);
-      
-      // Skip behavior updates if battery is critically low
-      if (robot.capabilities.batteryLevel <= 0) {
-        // Battery dead - robot can't move
-        robot.targetSpeed = 0;
-        robot.speed = 0;
-        continue;
-      }
-      
-      // Apply the behavior using the behavior manager instead of duplicating switch logic
-      this.behaviors.applyRobotBehavior(robot, deltaTime);
-      
-      // Ensure appropriate mesh updates
-      this.updateRobotMesh(robot);
-      
-      // If this is the selected robot, update the camera to follow it
-      if (id === this.selectedRobotId) {
-        this.updateCameraForSelectedRobot();
+      if (!robot) return; // Removed here, the simulation hasn't heard yet
+
+      const offset = i * TRANSFORM_STRIDE;
+      const to = {
+        x: transforms[offset],
+        y: transforms[offset + 1],
+        z: transforms[offset + 2],
+        angle: Math.atan2(transforms[offset + 4], transforms[offset + 3])
+      };
+      // Carry on from where the robot is drawn, a new robot starts at its first transform
+      robot.from = robot.to
+        ? { ...robot.position, angle: Math.atan2(robot.direction.z, robot.direction.x) }
+        : to;
+      robot.to = to;
+      robot.mesh.visible = true;
+    });
+
+    snapshot.paths.forEach(([id, path]) => {
+      const robot = this.robots[id];
+      if (!robot) return;
+      robot.path = path;
+      this.updatePathLine(robot);
+    });
+
+    snapshot.robots.forEach(data => {
+      const robot = this.robots[data.id];
+      if (!robot) return;
+
+      const isNew = !robot.data;
+      robot.data = data;
+      if (!isNew) {
+        bridgeService.notifyRobotUpdated(this.getRobotData(data.id));
+        return;
       }
-      
-      // Update UI with current robot data for ALL robots
-      // Check if enough time has passed since the last update for this robot
-      const now = Date.now();
-      if (!this.lastUpdateTime[id] || now - this.lastUpdateTime[id] > 100) { // Update UI every 100ms
-        bridgeService.notifyRobotUpdated(this.getRobotData(id));
-        this.lastUpdateTime[id] = now;
+
+      // Dispatch an event to notify about the new robot
+      bridgeService.notifyRobotAdded(this.getRobotData(data.id));
+      if (robot.selectWhenAdded) {
+        robot.selectWhenAdded = false;
+        this.selectRobot(data.id);
       }
+    });
+
+    if (snapshot.patrolRoutes) {
+      this.patrolRoutes = {};
+      snapshot.patrolRoutes.forEach(route => {
+        this.patrolRoutes[route.id] = route;
+      });
+      bridgeService.notifyPatrolRoutesUpdated(this.getPatrolRoutes());
     }
   }
-  
-  // New method to update robot battery based on activities
-  updateRobotBattery(robot, deltaTime) {
-    // Base drain rate from capabilities
-    let drainAmount = robot.capabilities.batteryDrainRate * deltaTime / 1000;
-    
-    // Moving costs more energy
-    if (robot.speed > 0) {
-      // Higher speeds drain battery faster (quadratic relationship)
-      drainAmount += (robot.speed * robot.speed) * 0.01 * deltaTime / 1000;
-    }
-    
-    // Turning costs energy
-    if (robot.targetDirection && 
-        (robot.direction.x !== robot.targetDirection.x || 
-         robot.direction.z !== robot.targetDirection.z)) {
-      drainAmount += 0.005 * deltaTime / 1000;
-    }
-    
-    // Different behaviors may have different energy costs
-    switch (robot.behaviorGoal) {
-      case 'patrol':
-        // Patrol uses sensors too
-        drainAmount += 0.01 * deltaTime / 1000;
-        break;
-      case 'standby':
-        // Standby uses minimal energy
-        drainAmount *= 0.5;
-        break;
-      case 'findRocks':
-        // Find rocks uses minimal energy
-        drainAmount += 0.02 * deltaTime / 1000;
-        break;
-      case 'findWater':
-        // Find water uses minimal energy
-        drainAmount *= 0.5;
-        break;
-      case 'findFlatSurface':
-        // Find flat surface uses minimal energy
-        drainAmount *= 0.5;
-        break;
-      case 'findGoodWeather':
-        // Find good weather uses minimal energy
-        drainAmount *= 0.5;
-        break;
-      case 'findGoodSoil':
-        // Find good soil uses minimal energy
-        drainAmount *= 0.5;
-        break;
-      
-    }
-    // Apply drain
-    robot.capabilities.batteryLevel = Math.max(0, robot.capabilities.batteryLevel - drainAmount);
-    
-    // If battery is getting low, reduce max speed to conserve energy
-    if (robot.capabilities.batteryLevel < robot.capabilities.batteryCapacity * 0.2) {
-      const energyFactor = robot.capabilities.batteryLevel / (robot.capabilities.batteryCapacity * 0.2);
-      // Reduce speed more as battery gets lower
-      const maxPossibleSpeed = robot.capabilities.maxSpeed * (0.3 + (energyFactor * 0.7));
-      
-      // If current target speed is higher than what's possible, adjust it
-      if (robot.targetSpeed > maxPossibleSpeed) {
-        robot.targetSpeed = maxPossibleSpeed;
-      }
-      
-      // For very low battery, start flashing the robot to indicate distress
-      if (robot.capabilities.batteryLevel < robot.capabilities.batteryCapacity * 0.05) {
-        // Flash the robot material between normal and red
-        const flashRate = 500; // ms
-        const timeMs = Date.now();
-        if ((timeMs % flashRate) < flashRate / 2) {
-          robot.mesh.children[0].material = this.lowBatteryMaterial;
-        } else {
-          robot.mesh.children[0].material = this.robotMaterial;
-        }
+
+  /**
+   * Move the robots toward their latest transforms (called every frame)
+   */
+  update(now = performance.now()) {
+    const progress = this.lastSnapshotTime === null
+      ? 1
+      : Math.min(1, (now - this.lastSnapshotTime) / this.snapshotInterval);
+
+    Object.values(this.robots).forEach(robot => {
+      if (!robot.to) return;
+      this._interpolate(robot, progress);
+      this.updateRobotMesh(robot);
+      this._updateRobotMaterial(robot);
+      this.robotIndex.update(robot.id, robot.position.x, robot.position.z);
+    });
+
+    // The robot camera follows the selected robot
+    this.updateCameraForSelectedRobot();
+  }
+
+  // Put a robot progress (0-1) of the way from its previous to its latest transform
+  _interpolate(robot, progress) {
+    const { from, to } = robot;
+    let turn = to.angle - from.angle;
+    while (turn > Math.PI) turn -= Math.PI * 2;
+    while (turn < -Math.PI) turn += Math.PI * 2;
+    const angle = from.angle + turn * progress;
+
+    robot.position = {
+      x: THREE.MathUtils.lerp(from.x, to.x, progress),
+      y: THREE.MathUtils.lerp(from.y, to.y, progress),
+      z: THREE.MathUtils.lerp(from.z, to.z, progress)
+    };
+    robot.direction = { x: Math.cos(angle), y: 0, z: Math.sin(angle) };
+    robot.terrainHeight = robot.position.y - 5;
+  }
+
+  // Selected robots are green, robots with an almost empty battery flash red
+  _updateRobotMaterial(robot) {
+    let material = robot.selected ? this.selectedMaterial : this.robotMaterial;
+
+    const capabilities = robot.data && robot.data.capabilities;
+    if (capabilities && capabilities.batteryLevel < capabilities.batteryCapacity * 0.05) {
+      // Flash the robot material between normal and red
+      const flashRate = 500; // ms
+      if ((Date.now() % flashRate) < flashRate / 2) {
+        material = this.lowBatteryMaterial;
       }
-    } else {
-      // Normal operation - ensure robot has normal material
-      robot.mesh.children[0].material = this.robotMaterial;
     }
+    robot.mesh.children[0].material = material;
+  }
+
+  // Robots within radius of (x, z), where they are drawn
+  getRobotsNear(x, z, radius) {
+    return this.robotIndex.query(x, z, radius)
+      .map(id => this.robots[id])
+      .filter(Boolean);
+  }
+
+  // Robot closest to (x, z), null if none
+  // Options: maxDistance, and filter: (robot) => boolean to skip robots
+  getNearestRobot(x, z, { maxDistance = Infinity, filter = null } = {}) {
+    const id = this.robotIndex.nearest(x, z, {
+      maxDistance,
+      filter: id => !!this.robots[id] && (!filter || filter(this.robots[id]))
+    });
+    return id === null ? null : this.robots[id];
+  }
+
+  // Robots inside the rectangle (minX, minZ)-(maxX, maxZ)
+  getRobotsInRect(minX, minZ, maxX, maxZ) {
+    return this.robotIndex.queryRect(minX, minZ, maxX, maxZ)
+      .map(id => this.robots[id])
+      .filter(Boolean);
+  }
+
+  // Robots whose body a ray can pass through: the ones under the stretch of the ray between
+  // the lowest and the highest a robot can be (robots ride on the terrain, from 0 to displacementScale)
+  _robotsAlongRay(ray) {
+    const bottom = -ROBOT_PICK_RADIUS;
+    const top = Math.max(this.terrainRenderer.displacementScale || 0, 20) + ROBOT_PICK_RADIUS;
+    if (Math.abs(ray.direction.y) < 1e-6) {
+      return ray.origin.y >= bottom && ray.origin.y <= top ? Object.values(this.robots) : [];
+    }
+
+    const tBottom = (bottom - ray.origin.y) / ray.direction.y;
+    const tTop = (top - ray.origin.y) / ray.direction.y;
+    const tFar = Math.max(tBottom, tTop);
+    if (tFar < 0) return [];
+
+    const near = ray.at(Math.max(0, Math.min(tBottom, tTop)), new THREE.Vector3());
+    const far = ray.at(tFar, new THREE.Vector3());
+    return this.getRobotsInRect(
+      Math.min(near.x, far.x) - ROBOT_PICK_RADIUS,
+      Math.min(near.z, far.z) - ROBOT_PICK_RADIUS,
+      Math.max(near.x, far.x) + ROBOT_PICK_RADIUS,
+      Math.max(near.z, far.z) + ROBOT_PICK_RADIUS
+    );
   }
-  
-  // Get formatted robot data for UI
+
+  // Get formatted robot data for UI, null until the simulation has sent it
   getRobotData(robotId) {
-    if (!robotId || !this.robots[robotId]) return null;
-    
-    const robot = this.robots[robotId];
-    return {
-      id: robot.id,
-      position: {
-        x: Math.round(robot.position.x * 100) / 100, // Round to 2 decimal places
-        y: Math.round(robot.position.y * 100) / 100,
-        z: Math.round(robot.position.z * 100) / 100
-      },
-      direction: {
-        x: robot.direction.x,
-        y: robot.direction.y,
-        z: robot.direction.z
-      },
-      task: robot.task,
-      speed: robot.speed,
-      coordinates: {
-        x: Math.round(robot.position.x + 1000), // Convert to 0-2000 range for UI
-        z: Math.round(robot.position.z + 1000)
-      },
-      height: Math.round(robot.terrainHeight), // Use the actual terrain height
-      selected: robot.id === this.selectedRobotId,
-      // Include capabilities and behavior information
-      capabilities: { ...robot.capabilities },
-      behaviorGoal: robot.behaviorGoal
-    };
+    if (!robotId || !this.robots[robotId] || !this.robots[robotId].data) return null;
+    return { ...this.robots[robotId].data, selected: robotId === this.selectedRobotId };
   }
-  
+
   // Set robot task (now combines both concepts of task and behavior)
   setRobotTask(robotId, task) {
     if (robotId && this.robots[robotId]) {
-      const robot = this.robots[robotId];
-      
-      // Set the task string
-      robot.task = task;
-      
-      // Directly set the behavior goal (no parsing needed)
-      this._setRobotBehaviorGoal(robotId, task);
-      
-      // If selected, update UI
-      if (robotId === this.selectedRobotId) {
-        bridgeService.notifyRobotUpdated(this.getRobotData(robotId));
-      }
+      this.simulation.send('setRobotTask', { id: robotId, task });
     }
   }
-  
+
+  // Replace the tasks waiting in a robot's queue: [{ behavior, x, z, duration, battery }] (see TaskQueue)
+  setRobotTaskQueue(robotId, tasks) {
+    if (robotId && this.robots[robotId]) {
+      this.simulation.send('setRobotTaskQueue', {
+        id: robotId,
+        tasks: (tasks || []).map(task => ({ ...task }))
+      });
+    }
+  }
+
+  // End a robot's current task, the next one in its queue starts
+  skipRobotTask(robotId) {
+    if (robotId && this.robots[robotId]) {
+      this.simulation.send('skipRobotTask', { id: robotId });
+    }
+  }
+
+  // Drop a robot's task queue, the robot stands by
+  cancelRobotTasks(robotId) {
+    if (robotId && this.robots[robotId]) {
+      this.simulation.send('cancelRobotTasks', { id: robotId });
+    }
+  }
+
+  // Set the waypoint route a robot drives with the 'followPath' behavior
+  setRobotRoute(robotId, route) {
+    if (robotId && this.robots[robotId]) {
+      this.simulation.send('setRobotRoute', {
+        id: robotId,
+        route: {
+          waypoints: (route.waypoints || []).map(point => ({ x: point.x, z: point.z })),
+          loop: !!route.loop
+        }
+      });
+    }
+  }
+
+  // Get the patrol routes for UI
+  getPatrolRoutes() {
+    return Object.values(this.patrolRoutes).map(route => ({
+      ...route,
+      points: route.points.map(point => ({ x: point.x, z: point.z }))
+    }));
+  }
+
+  // Create or update a named patrol route, returns its id
+  savePatrolRoute(route) {
+    let id = route.id;
+    if (!id) {
+      id = `patrol-${Date.now()}`;
+      while (this.patrolRoutes[id]) id += '1';
+    }
+
+    this.simulation.send('savePatrolRoute', {
+      route: {
+        id,
+        name: route.name,
+        points: (route.points || []).map(point => ({ x: point.x, z: point.z })),
+        shape: route.shape,
+        mode: route.mode,
+        dwellTime: route.dwellTime
+      }
+    });
+    return id;
+  }
+
+  // Delete a patrol route, robots on it fall back to patrolling around themselves
+  deletePatrolRoute(routeId) {
+    this.simulation.send('deletePatrolRoute', { routeId });
+  }
+
+  // Assign a patrol route to one or several robots (null to unassign)
+  assignPatrolRoute(robotIds, routeId) {
+    this.simulation.send('assignPatrolRoute', { robotIds: [...robotIds], routeId: routeId || null });
+  }
+
   // For external calls, redirect to setRobotTask to avoid duplication
   setRobotBehaviorGoal(robotId, goal, params = {}) {
     this.setRobotTask(robotId, goal);
   }
-  
+
   // Remove a robot
   removeRobot(robotId) {
     if (robotId && this.robots[robotId]) {
       // Remove from scene
       this.scene.remove(this.robots[robotId].mesh);
-      
+      this.robots[robotId].mesh.children.forEach(child => child.geometry && child.geometry.dispose());
+      this._removePathLine(this.robots[robotId]);
+
       // If selected, deselect
       if (robotId === this.selectedRobotId) {
         this.selectRobot(null);
       }
-      
+
       // Remove from collection
       delete this.robots[robotId];
+      this.robotIndex.remove(robotId);
+      this.simulation.send('removeRobot', { id: robotId });
     }
   }
-  
+
   // Get all robots for UI
   getAllRobots() {
-    return Object.values(this.robots).map(robot => this.getRobotData(robot.id));
+    return Object.keys(this.robots)
+      .map(id => this.getRobotData(id))
+      .filter(Boolean);
   }
-  
+
   // Update robot mesh position and rotation
   updateRobotMesh(robot) {
-    // Clamp to terrain bounds
-    const halfTerrainSize = 950; // Slightly smaller than terrain to prevent falling off
-    const clampedX = Math.max(-halfTerrainSize, Math.min(halfTerrainSize, robot.position.x));
-    const clampedZ = Math.max(-halfTerrainSize, Math.min(halfTerrainSize, robot.position.z));
-    
-    // Get terrain height at new position using our helper method
-    const heightData = this._getTerrainPositionY(clampedX, clampedZ);
-    
-    // Update position
-    robot.position = {
-      x: clampedX,
-      y: heightData.y,
-      z: clampedZ
-    };
-    robot.terrainHeight = heightData.terrainHeight; // Update the terrain height
-    
-    // Update mesh position
-    robot.mesh.position.set(clampedX, heightData.y, clampedZ);
-    
-    // Calculate and apply rotation based on direction
+    const { x, y, z } = robot.position;
+    robot.mesh.position.set(x, y, z);
+
+    // Face the direction of travel, then tilt the group to sit flush with the terrain surface
     const rotationAngle = Math.atan2(robot.direction.z, robot.direction.x);
-    robot.rotationAngle = rotationAngle;
-    
-    // Rotate the entire group to face the direction of travel
-    robot.mesh.rotation.y = rotationAngle;
+    const heading = new THREE.Quaternion().setFromAxisAngle(UP_AXIS, rotationAngle);
+    const normal = this.terrainRenderer.getNormalAtPosition(x, z);
+    const tilt = new THREE.Quaternion().setFromUnitVectors(UP_AXIS, normal);
+    const targetOrientation = tilt.multiply(heading);
+    // Ease into the new orientation so small terrain bumps don't make the mesh jitter
+    robot.mesh.quaternion.slerp(targetOrientation, 0.2);
+  }
+
+  // Draw the robot's planned route in the scene, following the terrain surface
+  updatePathLine(robot) {
+    this._removePathLine(robot);
+
+    const path = robot.path;
+    if (!path || path.length === 0) return;
+
+    const points = [];
+    let previous = robot.position;
+    for (const waypoint of path) {
+      // Subdivide long segments so the line doesn't cut through hills
+      const length = Math.hypot(waypoint.x - previous.x, waypoint.z - previous.z);
+      const steps = Math.max(1, Math.ceil(length / 10));
+      for (let i = 1; i <= steps; i++) {
+        const x = previous.x + (waypoint.x - previous.x) * (i / steps);
+        const z = previous.z + (waypoint.z - previous.z) * (i / steps);
+        points.push(new THREE.Vector3(x, this.terrainRenderer.getHeightAtPosition(x, z) + 3, z));
+      }
+      previous = waypoint;
+    }
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    robot.pathLine = new THREE.Line(geometry, this.pathMaterial);
+    this.scene.add(robot.pathLine);
+  }
+
+  _removePathLine(robot) {
+    if (robot.pathLine) {
+      this.scene.remove(robot.pathLine);
+      robot.pathLine.geometry.dispose();
+      robot.pathLine = null;
+    }
   }
-  
+
   // Update camera for selected robot
   updateCameraForSelectedRobot() {
     if (this.selectedRobotId && this.robots[this.selectedRobotId]) {
       const robot = this.robots[this.selectedRobotId];
       const pos = robot.position;
-      
+
       // Position the camera at the robot's eye level
       this.robotCamera.position.set(pos.x, pos.y + 3, pos.z);
-      
+
       // Look in the direction the robot is facing
       this.robotCamera.lookAt(
         pos.x + robot.direction.x * 10,
@@ -500,93 +572,25 @@ class RobotManager {
       );
     }
   }
-  
+
   // Set robot capabilities - simplified to just handle the UI-exposed capabilities
+  // (the simulation keeps them in range and sends the robot's data back)
   setRobotCapabilities(robotId, capabilities) {
     if (robotId && this.robots[robotId]) {
-      const robot = this.robots[robotId];
-      
-      // Just update the capabilities directly
-      Object.assign(robot.capabilities, capabilities);
-      
-      // Handle special cases
-      
-      // If setting battery capacity, adjust current level proportionally
-      if (capabilities.batteryCapacity !== undefined && 
-          capabilities.batteryLevel === undefined) {
-        const currentPercentage = robot.capabilities.batteryLevel / robot.capabilities.batteryCapacity;
-        robot.capabilities.batteryLevel = capabilities.batteryCapacity * currentPercentage;
-      }
-      
-      // Simple validation - keep values in reasonable ranges
-      this.validateCapabilities(robot);
-      
-      // Update UI if selected
-      if (robotId === this.selectedRobotId) {
-        bridgeService.notifyRobotUpdated(this.getRobotData(robotId));
-      }
+      this.simulation.send('setRobotCapabilities', { id: robotId, capabilities: { ...capabilities } });
     }
   }
-  
-  // Validate and normalize robot capabilities
-  validateCapabilities(robot) {
-    // Ensure all capabilities are within reasonable ranges
-    // Updated ranges based on user request (adjusted for simulation context)
-    robot.capabilities.maxSpeed = Math.max(0.1, Math.min(10.0, robot.capabilities.maxSpeed)); // Range: 0.1 - 10.0 m/s
-    robot.capabilities.turnRate = Math.max(0.01, Math.min(1.0, robot.capabilities.turnRate)); // Range: 0.01 - 1.0 rad/s
-    robot.capabilities.sensorRange = Math.max(10, Math.min(500, robot.capabilities.sensorRange)); // Range: 10 - 500 m
-    robot.capabilities.batteryCapacity = Math.max(50, Math.min(500, robot.capabilities.batteryCapacity)); // Range: 50 - 500 units
-    robot.capabilities.batteryLevel = Math.max(0, Math.min(robot.capabilities.batteryCapacity, 
-                                                           robot.capabilities.batteryLevel));
-    robot.capabilities.batteryDrainRate = Math.max(0.001, Math.min(0.1, robot.capabilities.batteryDrainRate)); // Increased max drain rate
-  }
-  
-  // Set robot behavior goal directly (internal use)
-  _setRobotBehaviorGoal(robotId, goal, params = {}) {
-    if (robotId && this.robots[robotId]) {
-      const robot = this.robots[robotId];
-      
-      // Normalize behavior names - simplify this to just basic behaviors we need for UI
-      let normalizedGoal = goal;
-      // We only need to support the behaviors that have UI buttons:
-      // 'random', 'patrol', 'findRocks', and 'standby'
-      if (goal === 'find_rocks') normalizedGoal = 'findRocks';
-      
-      robot.behaviorGoal = normalizedGoal;
-      
-      // Reset behavior state for new goal - keep only essential state
-      robot.behaviorState = {
-        ...robot.behaviorState,
-        targetPosition: null,
-        patrolPoints: [],
-        patrolIndex: 0,
-        thinkTime: 0,
-      };
-      
-      // Set target speed based on behavior - simple default values
-      switch (normalizedGoal) {
-        case 'patrol':
-          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
-          break;
-        case 'standby':
-          robot.targetSpeed = 0;
-          break;
-        case 'random':
-          robot.targetSpeed = robot.capabilities.maxSpeed * 0.3; // Lower target speed for random behavior
-          break;
-        case 'findRocks':
-          robot.targetSpeed = robot.capabilities.maxSpeed * 0.8;
-          break;
-        case 'findFlatSurface':
-          robot.targetSpeed = robot.capabilities.maxSpeed * 0.9;
-          break;
-      }
-      
-      // Update UI if this is the selected robot
-      if (robotId === this.selectedRobotId) {
-        bridgeService.notifyRobotUpdated(this.getRobotData(robotId));
-      }
+
+  // Remove every robot from the scene and stop listening to the simulation
+  dispose() {
+    if (this._unsubscribeSimulation) {
+      this._unsubscribeSimulation();
+      this._unsubscribeSimulation = null;
     }
+    Object.keys(this.robots).forEach(robotId => this.removeRobot(robotId));
+    this.robotIndex.clear();
+    [this.robotMaterial, this.selectedMaterial, this.lowBatteryMaterial, this.pathMaterial]
+      .forEach(material => material.dispose());
   }
 }
 
@@ -81,6 +81,7 @@ class RobotViewManager {
       // Add to container
       this.clearAndAppendRenderer(container, this.robotViewRenderer);
       this.robotViewContainer = container;
+      this.enableTerrainPicking(this.robotViewRenderer, () => this.robotManager.robotCamera, 'firstPerson');
       
       // Update camera aspect ratio
       if (this.robotManager && this.robotManager.robotCamera) {
@@ -117,6 +118,7 @@ class RobotViewManager {
       // Add to container
       this.clearAndAppendRenderer(container, this.radarRenderer);
       this.radarContainer = container;
+      this.enableTerrainPicking(this.radarRenderer, () => this.radarCamera, 'radar');
       
       console.log('Radar renderer ready');
     } catch (error) {
@@ -124,6 +126,24 @@ class RobotViewManager {
     }
   }
   
+  /**
+   * Pick terrain points by clicking a view (see TerrainRenderer.pickTerrainPoint)
+   */
+  enableTerrainPicking(renderer, getCamera, view) {
+    renderer.domElement.addEventListener('click', (event) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const ndc = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      
+      const point = this.mainRenderer.raycastTerrain(ndc, getCamera());
+      if (point) {
+        this.mainRenderer.pickTerrainPoint(point, event, view);
+      }
+    });
+  }
+  
   /**
    * Helper method to clean up a renderer
    */
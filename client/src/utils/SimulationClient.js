@@ -0,0 +1,50 @@
+/**
+ * SimulationClient - Main-thread end of the simulation worker
+ * Commands are posted to the worker as { type, ...data } messages (see SimulationWorld.handleCommand),
+ * and the snapshots it sends back are handed to the subscribers.
+ */
+class SimulationClient {
+  constructor() {
+    this._subscribers = new Set();
+    this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this._handleSnapshot(event.data);
+    this.worker.onerror = (error) => console.error('Simulation worker error:', error);
+  }
+
+  /**
+   * Post a command to the worker
+   */
+  send(type, data = {}) {
+    if (this.worker) {
+      this.worker.postMessage({ type, ...data });
+    }
+  }
+
+  /**
+   * Call back with each snapshot the worker sends, returns a function to unsubscribe
+   */
+  subscribe(callback) {
+    this._subscribers.add(callback);
+    return () => this._subscribers.delete(callback);
+  }
+
+  _handleSnapshot(snapshot) {
+    this._subscribers.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error handling simulation snapshot:', error);
+      }
+    });
+  }
+
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this._subscribers.clear();
+  }
+}
+
+export default SimulationClient;
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { placeRocks } from '../simulation/ObstacleMap';
 
 /**
  * TerrainObjectManager - Manages objects placed on the terrain
@@ -9,6 +10,8 @@ class TerrainObjectManager {
     this.scene = scene;
     this.terrainRenderer = terrainRenderer;
     this.objects = [];
+    this.obstacles = null; // Footprints of the solid objects, built on demand
+    this.random = terrainRenderer.random.derive('objects'); // Placement follows the simulation seed
   }
   
   /**
@@ -17,6 +20,9 @@ class TerrainObjectManager {
   addAmbientObjects() {
     console.log('Adding simplified ambient objects to terrain...');
     
+    // Same seed, same objects
+    this.random = this.terrainRenderer.random.derive('objects');
+    
     // Add a large platform at the center for reference
     this.addCentralPlatform();
     
@@ -38,14 +44,12 @@ class TerrainObjectManager {
     platform.receiveShadow = true;
     this.scene.add(platform);
     this.objects.push(platform);
+    this.obstacles = null;
     console.log('Added central platform at (0, 5, 0)');
   }
   
   addRocks(count) {
-    for (let i = 0; i < count; i++) {
-      const size = Math.random() * 30 + 10;
-      const x = (Math.random() - 0.5) * 1800;
-      const z = (Math.random() - 0.5) * 1800;
+    placeRocks(this.random, count).forEach(({ x, z, size, rotation }) => {
       const y = this.terrainRenderer.getHeightAtPosition(x, z);
       
       const rockGeometry = new THREE.SphereGeometry(size, 6, 4);
@@ -58,12 +62,14 @@ class TerrainObjectManager {
       
       const rock = new THREE.Mesh(rockGeometry, rockMaterial);
       rock.position.set(x, y + size / 2, z);
-      rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+      rock.rotation.set(rotation.x, rotation.y, rotation.z);
       rock.castShadow = true;
       rock.receiveShadow = true;
+      rock.userData.type = 'rock';
       this.scene.add(rock);
       this.objects.push(rock);
-    }
+    });
+    this.obstacles = null;
   }
   
   addDirectionalBeacons() {
@@ -126,6 +132,30 @@ class TerrainObjectManager {
     return gridHelper;
   }
   
+  /**
+   * Footprints of the solid objects (rocks, the platform) robots can't drive through
+   * Returns [{ x, z, radius, type, object }] with the radius of the object's extent on the ground
+   * and the type from the object's userData ('rock', or 'structure' for the rest)
+   */
+  getObstacles() {
+    if (!this.obstacles) {
+      const box = new THREE.Box3();
+      this.obstacles = this.objects
+        .filter(object => object.isMesh)
+        .map(object => {
+          box.setFromObject(object);
+          return {
+            x: (box.min.x + box.max.x) / 2,
+            z: (box.min.z + box.max.z) / 2,
+            radius: Math.max(box.max.x - box.min.x, box.max.z - box.min.z) / 2,
+            type: object.userData.type || 'structure',
+            object
+          };
+        });
+    }
+    return this.obstacles;
+  }
+  
   /**
    * Clean up all objects managed by this class
    */
@@ -142,6 +172,7 @@ class TerrainObjectManager {
       this.scene.remove(object);
     });
     this.objects = [];
+    this.obstacles = null;
   }
 }
 
@@ -3,7 +3,23 @@ import RobotManager from './RobotManager';
 import CameraController from './CameraController';
 import TerrainObjectManager from './TerrainObjectManager';
 import RobotViewManager from './RobotViewManager';
+import SeededRandom from '../simulation/SeededRandom';
+import SimulationClient from './SimulationClient';
+import TerrainSampler, { DEFAULT_DISPLACEMENT_SCALE, getTerrainScale } from '../simulation/TerrainSampler';
 import bridgeService from '../context/BridgeService'; // Import BridgeService
+import { loadHeightmap } from './HeightmapLoader';
+
+// Where terrain vertices are displaced: 'cpu' builds real geometry (raycasts and bounding
+// boxes see the rendered surface), 'gpu' displaces a flat plane in the vertex shader
+const DEFAULT_TERRAIN_DISPLACEMENT = 'cpu';
+// How often (ms) the simulation time is sent to the UI
+const SIMULATION_NOTIFY_INTERVAL = 250;
+// Colors of the resource field overlays on the map, more opaque where the value is higher
+const RESOURCE_OVERLAY_COLORS = {
+  ice: [80, 170, 255],
+  soil: [90, 200, 70],
+  weather: [255, 200, 40]
+};
 
 /**
  * TerrainRenderer - Core 3D rendering class for the Mars terrain simulation
@@ -28,8 +44,17 @@ class TerrainRenderer {
     // Store container reference
     this.container = container;
     
-    // Animation timing
-    this.clock = new THREE.Clock();
+    // The simulation runs in a worker, in fixed steps; frames are rendered as they come and
+    // robots are drawn between the last two snapshots it sent
+    this.simulation = new SimulationClient();
+    this.simulationState = { seed: null, paused: false, timeScale: 1, time: 0, tick: 0 };
+    this._unsubscribeSimulation = this.simulation.subscribe(this._handleSimulationSnapshot.bind(this));
+    
+    // Random numbers for the simulation, seeded so a mission can be played again
+    // (the worker draws the robots' numbers from the same seed, terrain objects are placed here)
+    this.random = new SeededRandom();
+    this.simulation.send('setSeed', { seed: this.random.seed });
+    this.simulationState.seed = this.random.seed;
     
     // Set up specialized managers
     this.initializeManagers();
@@ -124,12 +149,25 @@ class TerrainRenderer {
     // View manager for robot-specific views (first-person and radar)
     this.viewManager = new RobotViewManager(this.scene, this, this.robotManager);
     
-    // Define terrain vertical displacement scale
-    this.displacementScale = 300;
+    // Define terrain vertical displacement scale (replaced by the map's metadata on load)
+    this.displacementScale = DEFAULT_DISPLACEMENT_SCALE;
+    
+    // Real-world scale of the current map: meters per world unit and elevation of height 0
+    this.metersPerUnit = 1;
+    this.elevationOffset = 0;
+    this.mapMetadata = null;
     
     // Terrain dimensions will be set dynamically after loading the heightmap
     this.terrainWidth = 0;
     this.terrainHeight = 0;
+    
+    // Terrain displacement mode and, in 'cpu' mode, the displaced vertex heights of the mesh
+    this.terrainDisplacement = DEFAULT_TERRAIN_DISPLACEMENT;
+    this.terrainRaycaster = new THREE.Raycaster();
+    this.vertexHeights = null;
+    
+    // Height queries over the decoded heightmap, shared with the simulation worker
+    this.terrainSampler = new TerrainSampler();
   }
   
   /**
@@ -174,26 +212,58 @@ class TerrainRenderer {
   }
   
   /**
-   * Handle click events for robot selection
+   * Handle clicks on the main view: a robot under the pointer is selected, otherwise the
+   * clicked terrain point is picked (see pickTerrainPoint)
    */
   handleClick(event) {
-    if (this.robotManager) {
-      this.robotManager.handleClick(event, this.camera, this.renderer);
+    if (!this.robotManager) return;
+    if (this.robotManager.handleClick(event, this.camera, this.renderer)) return;
+    
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const point = this.raycastTerrain(ndc, this.camera);
+    if (point) {
+      this.pickTerrainPoint(point, event, 'main');
+    } else {
+      // Clicking past the terrain deselects
+      this.robotManager.selectRobot(null);
+    }
+  }
+  
+  /**
+   * A terrain point clicked in one of the 3D views ('main', 'firstPerson' or 'radar'):
+   * Shift+click places a robot there, a plain click announces the point through BridgeService
+   * (MapView adds it to the route being edited, or deselects for the main view)
+   */
+  pickTerrainPoint(point, event, view) {
+    if (event.shiftKey) {
+      this.addRobotAtPosition(point.x, point.z);
+    } else {
+      bridgeService.notifyTerrainPointPicked({ x: point.x, y: point.y, z: point.z, view });
     }
   }
   
   /**
    * Load the terrain and initialize objects
-   * @param {string} [heightMapPath='/out.png'] - Path to the heightmap image.
+   * @param {string|Object} [map='/out.png'] - Path to the heightmap image, or a map catalog entry
+   *   ({ path, url, source }) for bundled or server-stored maps.
    */
-  loadTerrain(heightMapPath = '/out.png') {
+  loadTerrain(map = '/out.png') {
+    const mapSource = typeof map === 'string' ? { path: map, url: map, source: 'bundled' } : map;
+    const heightMapPath = mapSource.url;
     const fileName = heightMapPath.split('/').pop(); // Extract filename
     console.log(`Loading terrain heightmap file: ${fileName} (from path: ${heightMapPath})`);
     this.currentHeightMapPath = heightMapPath;
+    this.currentMap = mapSource;
 
     // Early return if scene is disposed
     if (!this.scene) return;
 
+    bridgeService.notifyTerrainLoadStatus({ status: 'loading', mapPath: mapSource.path });
+
     // --- Clean up existing terrain if present ---
     if (this.terrain) {
       console.log('Removing existing terrain mesh...');
@@ -208,6 +278,8 @@ class TerrainRenderer {
       }
       this.terrain = null;
       this.heightmapData = null; // Clear cached height data
+      this.vertexHeights = null;
+      this._updateTerrainSampler();
       console.log('Existing terrain removed and disposed.');
     }
     // --- End cleanup ---
@@ -219,17 +291,18 @@ class TerrainRenderer {
     Promise.all([
       textureLoader.loadAsync('/rock01.jpg').catch(err => { console.error("Failed to load color texture:", err); throw err; }),  // Color texture
       textureLoader.loadAsync('/rock02.jpg').catch(err => { console.error("Failed to load normal texture:", err); throw err; }),  // Normal map
-      textureLoader.loadAsync(heightMapPath).catch(err => { console.error(`Failed to load heightmap texture: ${heightMapPath}`, err); throw err; })  // Height map (dynamic path)
-    ]).then(([colorTexture, normalTexture, heightMap]) => {
+      loadHeightmap(heightMapPath).catch(err => { console.error(`Failed to load heightmap: ${heightMapPath}`, err); throw err; }),  // Height map (dynamic path, 8 or 16-bit)
+      this._loadResourceLayers(mapSource.metadata)  // Resource fields shipped with the map
+    ]).then(([colorTexture, normalTexture, heightmap, resourceLayers]) => {
       // Check if component is still mounted or if the map changed again during loading
       if (!this.scene || this.currentHeightMapPath !== heightMapPath) {
          console.log('Scene disposed or map changed during load, aborting terrain creation.');
          // Dispose newly loaded textures if we are aborting
          colorTexture.dispose();
          normalTexture.dispose();
-         heightMap.dispose();
          return;
       }
+      console.log(`Decoded ${heightmap.bitDepth}-bit heightmap`);
       
       // Configure texture wrapping
       colorTexture.wrapS = colorTexture.wrapT = THREE.RepeatWrapping;
@@ -245,21 +318,13 @@ class TerrainRenderer {
       normalTexture.repeat.set(50, 50);
 
       // --- Calculate dynamic terrain dimensions ---
-      const imgWidth = heightMap.image.width;
-      const imgHeight = heightMap.image.height;
-      const maxDimensionSize = 2000; // Set the size for the larger dimension
-
+      // Size and scale come from the map's real-world metadata, like in the headless simulation
+      const imgWidth = heightmap.width;
+      const imgHeight = heightmap.height;
       if (imgWidth === 0 || imgHeight === 0) {
         console.warn("Heightmap image has zero dimensions. Falling back to default size.");
-        this.terrainWidth = maxDimensionSize;
-        this.terrainHeight = maxDimensionSize;
-      } else if (imgWidth >= imgHeight) {
-        this.terrainWidth = maxDimensionSize;
-        this.terrainHeight = maxDimensionSize * (imgHeight / imgWidth);
-      } else {
-        this.terrainHeight = maxDimensionSize;
-        this.terrainWidth = maxDimensionSize * (imgWidth / imgHeight);
       }
+      this.applyMapMetadata(mapSource.metadata, imgWidth, imgHeight);
       console.log(`Heightmap: ${imgWidth}x${imgHeight}, Terrain Dimensions: ${this.terrainWidth.toFixed(2)}x${this.terrainHeight.toFixed(2)}`);
 
       // --- Notify context about new dimensions ---
@@ -300,12 +365,24 @@ class TerrainRenderer {
       );
       geometry.rotateX(-Math.PI / 2); // Make it horizontal
 
+      // Process heightmap for height sampling
+      this.processHeightmap(heightmap);
+
+      // Displace the vertices here, or leave it to the GPU with a displacement texture.
+      // Both sample the same decoded heights.
+      let displacementMap = null;
+      if (this.terrainDisplacement === 'cpu') {
+        this.displaceGeometry(geometry, widthSegments, heightSegments);
+      } else {
+        displacementMap = this.createDisplacementTexture(heightmap);
+      }
+
       // Create terrain material - add some emissive for better visibility
       const material = new THREE.MeshStandardMaterial({
         map: colorTexture,
         normalMap: normalTexture,
-        displacementMap: heightMap,
-        displacementScale: this.displacementScale,
+        displacementMap,
+        displacementScale: displacementMap ? this.displacementScale : 1,
         roughness: 0.8,
         metalness: 0.2,
         emissive: 0x111111, // Very subtle emissive
@@ -317,94 +394,215 @@ class TerrainRenderer {
         this.terrain = new THREE.Mesh(geometry, material);
         this.terrain.receiveShadow = true;
         this.scene.add(this.terrain);
-
-        // Process heightmap for height sampling
-        this.processHeightmap(heightMap);
+        
+        // The simulation samples the same heights (and plans routes on the new terrain)
+        this.simulation.send('setTerrain', { terrain: this.terrainSampler.getData(), resourceLayers });
 
         if (this.objectManager) {
           this.objectManager.dispose(); // Clear old objects
           this.objectManager.addGridHelper();
           this.objectManager.addAmbientObjects();
+          this._sendObstacles();
         }
 
         console.log(`Terrain loaded successfully with map: ${heightMapPath}`);
+        bridgeService.notifyTerrainLoadStatus({ status: 'loaded', mapPath: mapSource.path });
 
       } else {
         // Clean up newly loaded resources if scene is gone
         geometry.dispose();
+        if (displacementMap) displacementMap.dispose();
         material.dispose();
       }
     }).catch(error => {
       console.error('Error loading terrain textures:', error);
+      // Ignore failures of a map that has since been replaced by another one
+      if (this.currentHeightMapPath === heightMapPath) {
+        bridgeService.notifyTerrainLoadStatus({
+          status: 'error',
+          mapPath: mapSource.path,
+          error: `Failed to load terrain map "${mapSource.name || fileName}".`
+        });
+      }
     });
   }
   
   /**
-   * Process heightmap for height sampling
+   * Decode the map's resource layers (see mapCatalog.normalizeMapMetadata), a layer that fails to
+   * load is generated by the simulation like a missing one
    */
-  processHeightmap(heightMap) {
-    // Create a canvas to read height data
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
+  async _loadResourceLayers(metadata) {
+    const layers = {};
+    await Promise.all(Object.entries((metadata && metadata.resourceLayers) || {}).map(async ([type, url]) => {
+      try {
+        layers[type] = await loadHeightmap(url);
+      } catch (error) {
+        console.warn(`Failed to load ${type} layer ${url}, generating it instead:`, error);
+      }
+    }));
+    return layers;
+  }
+
+  /**
+   * Set the terrain size and the world scale from a heightmap's size and the map's metadata
+   * (see getTerrainScale)
+   */
+  applyMapMetadata(metadata, imgWidth, imgHeight) {
+    this.mapMetadata = metadata || null;
+    const scale = getTerrainScale(imgWidth, imgHeight, metadata);
+    this.terrainWidth = scale.terrainWidth;
+    this.terrainHeight = scale.terrainHeight;
+    this.metersPerUnit = scale.metersPerUnit;
+    this.displacementScale = scale.displacementScale;
+    this.elevationOffset = scale.elevationOffset;
+    
+    console.log(`Map scale: ${this.metersPerUnit.toFixed(3)} m/unit, displacement scale: ${this.displacementScale.toFixed(2)}`);
+  }
+  
+  /**
+   * Build a float displacement texture from decoded heights (full 16-bit precision)
+   */
+  createDisplacementTexture(heightmap) {
+    const { width, height, heights } = heightmap;
+    
+    // DataTextures are not flipped on upload like images, so store the rows bottom-up
+    // to keep the same orientation an image texture would have
+    const data = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+      const sourceRow = heights.subarray(row * width, (row + 1) * width);
+      data.set(sourceRow, (height - 1 - row) * width);
+    }
     
-    // Set canvas size to match the heightmap
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
+    const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.FloatType);
+    // Linear filtering of float textures needs an extension, fall back to nearest sampling
+    const canFilterFloat = this.renderer && this.renderer.extensions.has('OES_texture_float_linear');
+    texture.magFilter = canFilterFloat ? THREE.LinearFilter : THREE.NearestFilter;
+    texture.minFilter = canFilterFloat ? THREE.LinearFilter : THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+  }
+  
+  /**
+   * Process heightmap for height sampling
+   */
+  processHeightmap(heightmap) {
+    // Store normalized (0-1) height data, one value per pixel
+    this.heightmapData = heightmap.heights;
+    this.heightmapWidth = heightmap.width;
+    this.heightmapHeight = heightmap.height;
+    this._updateTerrainSampler();
+  }
+  
+  /**
+   * Point the terrain sampler at the current heightmap, scale and vertex heights
+   */
+  _updateTerrainSampler() {
+    this.terrainSampler.setData({
+      terrainWidth: this.terrainWidth,
+      terrainHeight: this.terrainHeight,
+      heights: this.heightmapData,
+      heightmapWidth: this.heightmapWidth,
+      heightmapHeight: this.heightmapHeight,
+      displacementScale: this.displacementScale,
+      vertexHeights: this.vertexHeights,
+      metersPerUnit: this.metersPerUnit,
+      elevationOffset: this.elevationOffset,
+      verticalExaggeration: this.mapMetadata && this.mapMetadata.verticalExaggeration
+    });
+  }
+  
+  /**
+   * Send the footprints of the terrain objects to the simulation
+   */
+  _sendObstacles() {
+    const obstacles = this.objectManager.getObstacles().map(({ x, z, radius, type }) => ({ x, z, radius, type }));
+    this.simulation.send('setObstacles', { obstacles });
+  }
+  
+  /**
+   * Displace the flat terrain plane on the CPU, keeping the vertex heights for
+   * height queries so they agree exactly with the rendered triangles
+   */
+  displaceGeometry(geometry, widthSegments, heightSegments) {
+    const positions = geometry.attributes.position;
+    const heights = new Float32Array(positions.count);
+    
+    for (let i = 0; i < positions.count; i++) {
+      const normalizedX = (positions.getX(i) + this.terrainWidth / 2) / this.terrainWidth;
+      const normalizedZ = (positions.getZ(i) + this.terrainHeight / 2) / this.terrainHeight;
+      heights[i] = this.terrainSampler.sampleHeightmap(normalizedX, normalizedZ) * this.displacementScale;
+      positions.setY(i, heights[i]);
+    }
     
-    // Draw the heightmap to the canvas
-    context.drawImage(heightMap.image, 0, 0);
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
     
-    // Store height data
-    this.heightmapData = context.getImageData(0, 0, canvas.width, canvas.height).data;
-    this.heightmapWidth = canvas.width;
-    this.heightmapHeight = canvas.height;
+    // Vertices are laid out row by row from -Z to +Z, columns from -X to +X
+    this.vertexHeights = { heights, columns: widthSegments, rows: heightSegments };
+    this._updateTerrainSampler();
   }
   
   /**
-   * Get height at a specific position on the terrain
+   * Switch between 'cpu' and 'gpu' terrain displacement, reloading the current map
    */
-  getHeightAtPosition(x, z) {
-    // If we don't have heightmap data yet, return a default height
-    if (!this.heightmapData || !this.heightmapWidth || !this.heightmapHeight) {
-      return 0;
+  setTerrainDisplacement(mode) {
+    if (mode !== 'cpu' && mode !== 'gpu') {
+      console.warn(`Unknown terrain displacement mode: ${mode}`);
+      return;
     }
+    if (mode === this.terrainDisplacement) return;
     
-    try {
-      // Convert world coordinates to terrain grid coordinates
-      // Use separate width and height
-      const gridWidth = this.terrainWidth / 2;
-      const gridHeight = this.terrainHeight / 2; // Corresponds to Z dimension in world space
-
-      // Normalize x and z to 0-1 range based on dynamic dimensions
-      const normalizedX = (x + gridWidth) / this.terrainWidth;
-      const normalizedZ = (z + gridHeight) / this.terrainHeight; // Use terrainHeight for Z
-
-      // Calculate pixel coordinates in the heightmap
-      const pixelX = Math.floor(normalizedX * this.heightmapWidth);
-      const pixelZ = Math.floor(normalizedZ * this.heightmapHeight);
-      
-      // Validate pixel coordinates
-      if (pixelX < 0 || pixelX >= this.heightmapWidth || pixelZ < 0 || pixelZ >= this.heightmapHeight) {
-        return 0;
-      }
-      
-      // Get pixel index in the heightmap data array
-      const pixelIndex = (pixelZ * this.heightmapWidth + pixelX) * 4;
-      
-      // Get red channel value (0-255)
-      const heightValue = this.heightmapData[pixelIndex];
-      
-      // Scale height value (0-255) to terrain height
-      // Use the defined displacement scale
-      const terrainHeight = (heightValue / 255) * this.displacementScale;
-      
-      return terrainHeight;
-    } catch (error) {
-      console.error('Error calculating height from heightmap:', error);
-      return 0;
+    this.terrainDisplacement = mode;
+    if (this.currentMap) {
+      this.loadTerrain(this.currentMap);
     }
   }
+  
+  /**
+   * Get height at a specific position on the terrain (see TerrainSampler.getHeightAtPosition)
+   */
+  getHeightAtPosition(x, z) {
+    return this.terrainSampler.getHeightAtPosition(x, z);
+  }
+  
+  /**
+   * Get the surface normal of the rendered terrain at a position
+   */
+  getNormalAtPosition(x, z) {
+    const normal = this.terrainSampler.getNormalAtPosition(x, z);
+    return new THREE.Vector3(normal.x, normal.y, normal.z);
+  }
+  
+  /**
+   * Get the real terrain slope in degrees at a position
+   */
+  getSlopeAtPosition(x, z) {
+    return this.terrainSampler.getSlopeAtPosition(x, z);
+  }
+  
+  /**
+   * Get the real grade in degrees when heading in direction (dirX, dirZ) from a position
+   */
+  getGradeAlong(x, z, dirX, dirZ) {
+    return this.terrainSampler.getGradeAlong(x, z, dirX, dirZ);
+  }
 
+  /**
+   * Get the real elevation in meters at a position (uses the map's elevation range)
+   */
+  getElevationAtPosition(x, z) {
+    return this.terrainSampler.getElevationAtPosition(x, z);
+  }
+  
+  /**
+   * Convert a horizontal world-space distance to meters
+   */
+  toMeters(distance) {
+    return this.terrainSampler.toMeters(distance);
+  }
+  
   /**
    * Get the dynamic terrain dimensions
    */
@@ -412,6 +610,24 @@ class TerrainRenderer {
     return { width: this.terrainWidth, height: this.terrainHeight };
   }
   
+  /**
+   * Find where a ray from the camera through normalized device coordinates hits the terrain
+   * Returns the world-space point or null. Exact with CPU displacement; with GPU displacement
+   * the raycaster only sees the flat plane, so the hit is lifted onto the sampled height.
+   */
+  raycastTerrain(ndc, camera) {
+    if (!this.terrain || !camera) return null;
+    
+    this.terrainRaycaster.setFromCamera(ndc, camera);
+    const [hit] = this.terrainRaycaster.intersectObject(this.terrain, false);
+    if (!hit) return null;
+    
+    if (!this.vertexHeights) {
+      hit.point.y = this.getHeightAtPosition(hit.point.x, hit.point.z);
+    }
+    return hit.point;
+  }
+  
   /**
    * Add a robot at a specific position
    */
@@ -486,6 +702,112 @@ class TerrainRenderer {
     }
   }
   
+  /**
+   * Start the simulation over from a seed. Robots, rocks and behaviors draw their random
+   * numbers from it, so the same seed and inputs give the same run.
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+    this.simulation.send('setSeed', { seed: this.random.seed });
+    
+    // Rocks are placed from the seed
+    if (this.terrain && this.objectManager) {
+      this.objectManager.dispose();
+      this.objectManager.addGridHelper();
+      this.objectManager.addAmbientObjects();
+      this._sendObstacles();
+    }
+    
+    this._updateSimulationState({ seed: this.random.seed, time: 0, tick: 0 });
+  }
+  
+  /**
+   * Explore the cells saved with the mission { columns, rows, cells } (see ExplorationMap.restore)
+   */
+  restoreExploration(exploration) {
+    this.simulation.send('restoreExploration', { exploration });
+  }
+  
+  /**
+   * Pause or resume the simulation, the scene keeps rendering while paused
+   */
+  setSimulationPaused(paused) {
+    this.simulation.send('setPaused', { paused });
+    this._updateSimulationState({ paused });
+  }
+  
+  /**
+   * Advance the simulation by a single step (meant for while it's paused)
+   */
+  stepSimulation() {
+    this.simulation.send('step');
+  }
+  
+  /**
+   * Run the simulation at a multiple of real time (0.5x-50x)
+   */
+  setSimulationSpeed(timeScale) {
+    this.simulation.send('setSpeed', { timeScale });
+    this._updateSimulationState({ timeScale });
+  }
+  
+  /**
+   * Seed and clock of the simulation, for the UI and saving the mission
+   */
+  getSimulationState() {
+    return { ...this.simulationState };
+  }
+  
+  // Show a change right away, the worker's next snapshot confirms it
+  _updateSimulationState(changes) {
+    this.simulationState = { ...this.simulationState, ...changes };
+    bridgeService.notifySimulationUpdated(this.getSimulationState());
+  }
+  
+  // Keep the simulation time shown in the UI current
+  _handleSimulationSnapshot(snapshot) {
+    this.simulationState = snapshot.simulation;
+
+    // New terrain or seed: redraw the resource overlays of the map
+    if (snapshot.resourceFields) {
+      const images = {};
+      Object.entries(snapshot.resourceFields).forEach(([type, field]) => {
+        images[type] = this._resourceFieldImage(field, RESOURCE_OVERLAY_COLORS[type]);
+      });
+      bridgeService.notifyResourceFieldsChanged(images);
+    }
+    
+    // Coverage goes to the UI with the simulation time, not with every snapshot
+    if (snapshot.exploration) {
+      this._pendingExploration = snapshot.exploration;
+    }
+    
+    // While paused, snapshots only come after a step or a command
+    const now = performance.now();
+    if (snapshot.simulation.paused || !this._lastSimulationNotify || now - this._lastSimulationNotify > SIMULATION_NOTIFY_INTERVAL) {
+      bridgeService.notifySimulationUpdated(this.getSimulationState());
+      this._lastSimulationNotify = now;
+      if (this._pendingExploration) {
+        bridgeService.notifyExplorationUpdated(this._pendingExploration);
+        this._pendingExploration = null;
+      }
+    }
+  }
+  
+  // Image (data URL) of a resource field for the map overlay, one pixel per cell
+  _resourceFieldImage({ width, height, values }, [red, green, blue]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    values.forEach((value, i) => {
+      image.data.set([red, green, blue, Math.round(value * 220)], i * 4);
+    });
+    context.putImageData(image, 0, 0);
+    return canvas.toDataURL();
+  }
+  
   /**
    * Animation loop
    */
@@ -496,17 +818,14 @@ class TerrainRenderer {
     // Skip animation if we're in cleanup process
     if (!this.renderer || !this.scene || !this.camera) return;
     
-    // Get delta time
-    const delta = this.clock.getDelta();
-    
     // Update camera controls via controller
     if (this.cameraController) {
       this.cameraController.update();
     }
     
-    // Update robots
+    // Move the robots between the simulation's last two snapshots
     if (this.robotManager) {
-      this.robotManager.update(delta * 1000); // Convert to milliseconds
+      this.robotManager.update(performance.now());
     }
     
     // Render main view
@@ -560,6 +879,8 @@ class TerrainRenderer {
       if (this.robotManager) this.robotManager.dispose();
       if (this.objectManager) this.objectManager.dispose();
       if (this.viewManager) this.viewManager.dispose();
+      if (this._unsubscribeSimulation) this._unsubscribeSimulation();
+      if (this.simulation) this.simulation.dispose();
       
       // Clean up terrain
       if (this.terrain) {
@@ -596,6 +917,7 @@ class TerrainRenderer {
       this.robotManager = null;
       this.objectManager = null;
       this.viewManager = null;
+      this.simulation = null;
       
       console.log('TerrainRenderer dispose completed');
     }
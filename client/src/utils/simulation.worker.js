@@ -0,0 +1,27 @@
+import SimulationWorld from '../simulation/SimulationWorld';
+import { SIMULATION_STEP } from '../simulation/SimulationClock';
+
+// How often (ms) the UI data of every robot is sent, transforms go out with every snapshot
+const ROBOT_DATA_INTERVAL = 100;
+
+// Simulation worker: runs the SimulationWorld on its own timer, so the simulation neither
+// competes with rendering nor stops when the page is in a background tab
+const world = new SimulationWorld();
+let lastTime = performance.now();
+let lastDataTime = 0;
+
+self.onmessage = (event) => world.handleCommand(event.data);
+
+setInterval(() => {
+  const now = performance.now();
+  const steps = world.advance(now - lastTime);
+  lastTime = now;
+  if (steps === 0 && !world.hasChanges()) return;
+
+  const includeAllData = now - lastDataTime >= ROBOT_DATA_INTERVAL;
+  if (includeAllData) lastDataTime = now;
+
+  // The transforms buffer is handed over rather than copied
+  const snapshot = world.snapshot({ includeAllData });
+  self.postMessage(snapshot, [snapshot.transforms.buffer]);
+}, SIMULATION_STEP);
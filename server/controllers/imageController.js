@@ -1,4 +1,39 @@
+const path = require("path");
+const mongoose = require("mongoose");
 const MarsPicture = require("../models/MarsPicture");
+const { detectImageType } = require("../utils/imageFormat");
+const { createThumbnail } = require("../utils/thumbnail");
+const { parseMapMetadata, validateMapMetadata } = require("../utils/mapMetadata");
+
+// Image metadata returned by the API, the bytes themselves are only served by GET /:id
+const toImageSummary = (img, baseUrl) => ({
+  _id: img._id,
+  title: img.title,
+  description: img.description,
+  contentType: img.image ? img.image.contentType : undefined,
+  dimensions: img.dimensions && img.dimensions.width ? img.dimensions : null,
+  size: img.size ?? null,
+  metadata: img.metadata || {},
+  createdAt: img.createdAt,
+  imageUrl: `${baseUrl}/${img._id}`,
+  thumbnailUrl: `${baseUrl}/${img._id}/thumbnail`,
+});
+
+// Check the uploaded bytes, the declared mimetype alone can't be trusted
+const validateImageFile = (file) => {
+  const detectedType = detectImageType(file.buffer);
+  if (!detectedType) {
+    return "File contents are not a valid PNG or JPEG image.";
+  }
+  if (detectedType !== file.mimetype) {
+    return `File contents (${detectedType}) do not match the declared type (${file.mimetype}).`;
+  }
+  return null;
+};
+
+// Images seeded through storeImage.js have no owner and can be managed by any member
+const canModifyImage = (image, user) =>
+  !image.uploadedBy || image.uploadedBy.toString() === user.id;
 
 const getImageById = async (req, res) => {
   try {
@@ -14,25 +49,267 @@ const getImageById = async (req, res) => {
   }
 };
 
+// Listing parameters
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ["createdAt", "title", "size"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Cursors are opaque to the client: base64 of the last item's sort value and id
+const encodeCursor = (image, sortField) =>
+  Buffer.from(JSON.stringify({ v: image[sortField], id: image._id })).toString("base64url");
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return {
+      value: sortField === "createdAt" && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch {
+    return null;
+  }
+};
+
 const getAllImages = async (req, res) => {
   try {
-    const images = await MarsPicture.find();
-    if (!images || images.length === 0) {
-      return res.status(404).json({ message: "No images found" });
-    }
-
-    const imagesResponse = images.map((img) => ({
-      _id: img._id,
-      title: img.title,
-      description: img.description,
-      contentType: img.image.contentType,
-      data: img.image.data.toString("base64"),
-    }));
-    res.json(imagesResponse);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const sortField = req.query.sort || "createdAt";
+    if (!SORTABLE_FIELDS.includes(sortField)) {
+      return res.status(400).json({ message: `sort must be one of: ${SORTABLE_FIELDS.join(", ")}` });
+    }
+    const direction = req.query.order === "asc" ? 1 : -1;
+
+    const filter = {};
+    if (req.query.search) {
+      filter.title = { $regex: escapeRegex(String(req.query.search)), $options: "i" };
+    }
+
+    const pipeline = [
+      { $match: filter },
+      // Images stored before size was tracked get it computed without sending the bytes back
+      { $addFields: { size: { $ifNull: ["$size", { $binarySize: "$image.data" }] } } },
+    ];
+
+    // Cursor pagination takes precedence over page numbers when both are given
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, sortField);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      const op = direction === 1 ? "$gt" : "$lt";
+      pipeline.push({
+        $match: {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+          ],
+        },
+      });
+    }
+
+    pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+    if (!cursor) {
+      pipeline.push({ $skip: (page - 1) * limit });
+    }
+    pipeline.push(
+      // Fetch one extra item to know whether another page exists
+      { $limit: limit + 1 },
+      { $project: { title: 1, description: 1, dimensions: 1, size: 1, metadata: 1, createdAt: 1, "image.contentType": 1 } }
+    );
+
+    const [results, total] = await Promise.all([
+      MarsPicture.aggregate(pipeline),
+      MarsPicture.countDocuments(filter),
+    ]);
+
+    const hasMore = results.length > limit;
+    const images = results.slice(0, limit);
+
+    res.json({
+      images: images.map((img) => toImageSummary(img, req.baseUrl)),
+      page: cursor ? null : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor: hasMore ? encodeCursor(images[images.length - 1], sortField) : null,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const getThumbnail = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid image id" });
+    }
+
+    let image = await MarsPicture.findById(req.params.id).select("thumbnail title");
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    // Images stored before thumbnails existed get one generated on first request
+    if (!image.thumbnail || !image.thumbnail.data) {
+      image = await MarsPicture.findById(req.params.id);
+      if (!image || !image.image || !image.image.data || image.image.data.length === 0) {
+        return res.status(404).json({ message: "Image data not found" });
+      }
+
+      let thumbnail;
+      try {
+        thumbnail = createThumbnail(image.image.data);
+      } catch (error) {
+        // Stored in a format (or damaged in a way) the decoders can't read
+        console.warn(`Can't create a thumbnail for image ${req.params.id}: ${error.message}`);
+        return res.status(415).json({ message: "Image format not supported for thumbnails" });
+      }
+      image.thumbnail = { data: thumbnail, contentType: "image/png" };
+      await image.save();
+    }
+
+    res.set("Cache-Control", "public, max-age=86400");
+    res.contentType(image.thumbnail.contentType);
+    res.send(image.thumbnail.data);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const uploadImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No image file provided." });
+    }
+
+    const validationError = validateImageFile(req.file);
+    if (validationError) {
+      return res.status(415).json({ message: validationError });
+    }
+
+    // Fall back to the file name when no title is given, like storeImage.js does
+    const title = (req.body.title || path.parse(req.file.originalname).name || "").trim();
+    if (!title) {
+      return res.status(400).json({ message: "A title is required." });
+    }
+
+    const { metadata, error: metadataError } = parseMapMetadata(req.body);
+    const metadataValidationError = metadataError || validateMapMetadata(metadata);
+    if (metadataValidationError) {
+      return res.status(400).json({ message: metadataValidationError });
+    }
+
+    const newPicture = new MarsPicture({
+      title,
+      description: req.body.description,
+      image: {
+        data: req.file.buffer,
+        contentType: req.file.mimetype,
+      },
+      metadata,
+      uploadedBy: req.user.id,
+    });
+    await newPicture.save();
+
+    res.status(201).json({ message: "Image uploaded successfully", image: toImageSummary(newPicture, req.baseUrl) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const updateImage = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid image id" });
+    }
+
+    const image = await MarsPicture.findById(req.params.id);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    if (!canModifyImage(image, req.user)) {
+      return res.status(403).json({ message: "You can only modify images you uploaded." });
+    }
+
+    const { title, description } = req.body;
+    if (title !== undefined) {
+      if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ message: "Title cannot be empty." });
+      }
+      image.title = title;
+    }
+    if (description !== undefined) {
+      image.description = description;
+    }
+
+    // Metadata fields are merged into the stored values, so a single field can be changed
+    const { metadata, error: metadataError } = parseMapMetadata(req.body);
+    if (metadataError) {
+      return res.status(400).json({ message: metadataError });
+    }
+    if (Object.keys(metadata).length > 0) {
+      const current = image.toObject().metadata || {};
+      const merged = {
+        ...current,
+        ...metadata,
+        origin: { ...(current.origin || {}), ...(metadata.origin || {}) },
+      };
+      const metadataValidationError = validateMapMetadata(merged);
+      if (metadataValidationError) {
+        return res.status(400).json({ message: metadataValidationError });
+      }
+      image.metadata = merged;
+    }
+
+    // Replacing the image itself is optional on update
+    if (req.file) {
+      const validationError = validateImageFile(req.file);
+      if (validationError) {
+        return res.status(415).json({ message: validationError });
+      }
+      image.image = {
+        data: req.file.buffer,
+        contentType: req.file.mimetype,
+      };
+    }
+
+    await image.save();
+    res.json({ message: "Image updated successfully", image: toImageSummary(image, req.baseUrl) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const deleteImage = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid image id" });
+    }
+
+    const image = await MarsPicture.findById(req.params.id);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    if (!canModifyImage(image, req.user)) {
+      return res.status(403).json({ message: "You can only delete images you uploaded." });
+    }
+
+    await image.deleteOne();
+    res.json({ message: "Image deleted successfully" });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-module.exports = { getImageById, getAllImages };
\ No newline at end of file
+module.exports = { getImageById, getAllImages, getThumbnail, uploadImage, updateImage, deleteImage };
\ No newline at end of file
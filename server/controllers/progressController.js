@@ -1,4 +1,54 @@
 const Progress = require("../models/UserProgress");
+const PatrolRoute = require("../models/PatrolRoute");
+const Mission = require("../models/Mission");
+
+// Largest simulation seed (unsigned 32-bit)
+const MAX_SEED = 4294967295;
+
+// Explored cells saved with the mission: { columns, rows, cells (base64, one bit per cell) }
+const isValidExploration = (exploration) =>
+  Number.isInteger(exploration.columns) && exploration.columns > 0 &&
+  Number.isInteger(exploration.rows) && exploration.rows > 0 &&
+  typeof exploration.cells === "string" && /^[A-Za-z0-9+/]*={0,2}$/.test(exploration.cells) &&
+  Buffer.from(exploration.cells, "base64").length === Math.ceil((exploration.columns * exploration.rows) / 8);
+
+// Behaviors a queued task can run (see the client's TaskQueue)
+const QUEUE_BEHAVIORS = [
+  "goTo", "returnToBase", "random", "patrol", "explore", "findRocks", "findFlatSurface",
+  "findWater", "findGoodSoil", "findGoodWeather", "followPath", "standby",
+];
+
+const isOptionalNumber = (value, min, max) =>
+  value === undefined || value === null || (Number.isFinite(value) && value >= min && value <= max);
+
+// A robot's queued tasks: [{ behavior, x, z (goTo), duration (seconds), battery (percent) }]
+const isValidTaskQueue = (taskQueue) =>
+  Array.isArray(taskQueue) && taskQueue.every(task =>
+    task && QUEUE_BEHAVIORS.includes(task.behavior) &&
+    (task.behavior !== "goTo" || (Number.isFinite(task.x) && Number.isFinite(task.z))) &&
+    isOptionalNumber(task.duration, 0, Infinity) &&
+    isOptionalNumber(task.battery, 0, 100)
+  );
+
+// Replace the user's saved patrol routes
+const savePatrolRoutes = async (userId, routes) => {
+  await PatrolRoute.deleteMany({ user: userId });
+  const savedRoutes = [];
+  for (const route of routes) {
+    const savedRoute = await PatrolRoute.create({
+      user: userId,
+      routeId: route.id,
+      name: route.name,
+      points: route.points,
+      shape: route.shape,
+      mode: route.mode,
+      dwellTime: route.dwellTime,
+      updatedAt: new Date(),
+    });
+    savedRoutes.push(savedRoute);
+  }
+  return savedRoutes;
+};
 
 const saveProgress = async (req, res) => {
   try {
@@ -8,6 +58,22 @@ const saveProgress = async (req, res) => {
     // Check if we're receiving an array of progress objects
     if (Array.isArray(req.body.progress)) {
       const progressArray = req.body.progress;
+      const patrolRoutes = Array.isArray(req.body.patrolRoutes) ? req.body.patrolRoutes : [];
+      const mission = req.body.mission;
+
+      // Validate the patrol routes and the mission before anything is deleted
+      if (patrolRoutes.some(route => !route.id || !route.name || !Array.isArray(route.points))) {
+        return res.status(400).json({ message: "One or more patrol routes are missing required fields." });
+      }
+      if (mission && (!Number.isInteger(mission.seed) || mission.seed < 0 || mission.seed > MAX_SEED)) {
+        return res.status(400).json({ message: "Mission seed must be an integer between 0 and 4294967295." });
+      }
+      if (mission && mission.exploration && !isValidExploration(mission.exploration)) {
+        return res.status(400).json({ message: "Mission exploration must have columns, rows and base64 cells." });
+      }
+      if (progressArray.some(item => item && item.taskQueue !== undefined && !isValidTaskQueue(item.taskQueue))) {
+        return res.status(400).json({ message: "One or more task queues have unknown behaviors or invalid conditions." });
+      }
 
       // Optionally delete all previous progress first
       await Progress.deleteMany({ user: userId });
@@ -27,7 +93,23 @@ const saveProgress = async (req, res) => {
         savedProgresses.push(savedItem);
       }
 
-      return res.status(200).json({ message: "Progress saved successfully.", progress: savedProgresses });
+      const savedRoutes = await savePatrolRoutes(userId, patrolRoutes);
+
+      let savedMission = null;
+      if (mission) {
+        savedMission = await Mission.findOneAndUpdate(
+          { user: userId },
+          { seed: mission.seed, exploration: mission.exploration || null, updatedAt: new Date() },
+          { new: true, upsert: true, runValidators: true }
+        );
+      }
+
+      return res.status(200).json({
+        message: "Progress saved successfully.",
+        progress: savedProgresses,
+        patrolRoutes: savedRoutes,
+        mission: savedMission,
+      });
     } else {
       // Fallback to the object-based approach (if needed)
       const progressData = {
@@ -39,9 +121,15 @@ const saveProgress = async (req, res) => {
         behaviorGoal: req.body.behaviorGoal,
         speed: req.body.speed,
         capabilities: req.body.capabilities,
+        patrolRouteId: req.body.patrolRouteId,
+        taskQueue: req.body.taskQueue,
         updatedAt: new Date(),
       };
 
+      if (req.body.taskQueue !== undefined && !isValidTaskQueue(req.body.taskQueue)) {
+        return res.status(400).json({ message: "Task queue has unknown behaviors or invalid conditions." });
+      }
+
       // Delete all existing progress for this user
       await Progress.deleteMany({ user: userId });
       
@@ -76,10 +164,36 @@ const getProgress = async (req, res) => {
   }
 };
 
+// Patrol routes are returned even without saved robots, an empty list if there are none
+const getPatrolRoutes = async (req, res) => {
+  try {
+    const routes = await PatrolRoute.find({ user: req.user.id });
+    res.status(200).json(routes);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error while retrieving patrol routes." });
+  }
+};
+
+const getMission = async (req, res) => {
+  try {
+    const mission = await Mission.findOne({ user: req.user.id });
+    if (!mission) {
+      return res.status(404).json({ message: "No mission found." });
+    }
+    res.status(200).json(mission);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error while retrieving the mission." });
+  }
+};
+
 const deleteProgress = async (req, res) => {
   try {
     const userId = req.params.userId;
     await Progress.deleteMany({ user: userId });
+    await PatrolRoute.deleteMany({ user: userId });
+    await Mission.deleteMany({ user: userId });
     res.status(200).json({ message: "Progress deleted successfully." });
   } catch (error) {
     console.error(error);
@@ -87,4 +201,4 @@ const deleteProgress = async (req, res) => {
   }
 };
 
-module.exports = { saveProgress, getProgress, deleteProgress };
\ No newline at end of file
+module.exports = { saveProgress, getProgress, getPatrolRoutes, getMission, deleteProgress };
\ No newline at end of file
@@ -0,0 +1,42 @@
+const multer = require("multer");
+const { ALLOWED_IMAGE_TYPES } = require("../utils/imageFormat");
+
+// Terrain images are stored in Mongo as buffers, so keep them in memory
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new Error("Only PNG and JPEG images can be uploaded.");
+      error.code = "UNSUPPORTED_IMAGE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Parse a single "image" field and turn multer errors into JSON responses
+const uploadTerrainImage = (req, res, next) => {
+  upload.single("image")(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "UNSUPPORTED_IMAGE_TYPE") {
+      return res.status(415).json({ message: error.message });
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `Image is too large. Maximum size is ${MAX_IMAGE_SIZE / (1024 * 1024)} MB.`,
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  });
+};
+
+module.exports = { uploadTerrainImage, MAX_IMAGE_SIZE };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getImageDimensions } = require('../utils/imageFormat');
+const { createThumbnail } = require('../utils/thumbnail');
 
 const MarsPictureSchema = new mongoose.Schema({
   title: {
@@ -15,10 +17,56 @@ const MarsPictureSchema = new mongoose.Schema({
     data: Buffer,
     contentType: String,
   },
+  // Derived from image.data on save so listings never need to load the full image
+  dimensions: {
+    width: Number,
+    height: Number,
+  },
+  size: Number,
+  // Real-world scale of the heightmap, used by the client to size the terrain
+  metadata: {
+    elevationMin: Number, // Elevation of black pixels, in meters
+    elevationMax: Number, // Elevation of white pixels, in meters
+    metersPerPixel: Number, // Horizontal resolution
+    verticalExaggeration: Number,
+    origin: {
+      latitude: Number,
+      longitude: Number,
+    },
+  },
+  thumbnail: {
+    data: Buffer,
+    contentType: String,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-module.exports = mongoose.model('MarsPicture', MarsPictureSchema);
\ No newline at end of file
+MarsPictureSchema.index({ createdAt: -1 });
+MarsPictureSchema.index({ title: 1 });
+
+// Keep size, dimensions and thumbnail in sync whenever the image itself changes
+MarsPictureSchema.pre('save', function (next) {
+  if (!this.isModified('image.data') || !this.image || !this.image.data) {
+    return next();
+  }
+
+  this.size = this.image.data.length;
+  this.dimensions = getImageDimensions(this.image.data) || undefined;
+  try {
+    this.thumbnail = { data: createThumbnail(this.image.data), contentType: 'image/png' };
+  } catch (error) {
+    // A missing thumbnail shouldn't block storing the image, it is regenerated on request
+    console.error(`Could not create thumbnail for ${this.title}:`, error.message);
+    this.thumbnail = undefined;
+  }
+  next();
+});
+
+module.exports = mongoose.model('MarsPicture', MarsPictureSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Mission-wide state saved with the user's progress
+const MissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  // Seed of the simulation's random numbers, the same seed and inputs play out the same way
+  seed: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 4294967295,
+    validate: { validator: Number.isInteger, message: "Seed must be an integer." },
+  },
+  // Cells of the map the robots have explored (revealed in fog-of-war mode), 8 cells per byte in base64
+  exploration: {
+    columns: { type: Number, min: 1 },
+    rows: { type: Number, min: 1 },
+    cells: { type: String },
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('Mission', MissionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named patrol route drawn on the map, saved with the user's progress
+const PatrolRouteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  routeId: {
+    type: String,
+    required: true,
+  },
+  name: { type: String, required: true },
+  points: [{
+    _id: false,
+    x: { type: Number, required: true },
+    z: { type: Number, required: true },
+  }],
+  shape: { type: String, enum: ["polygon", "polyline"], default: "polygon" },
+  mode: { type: String, enum: ["loop", "pingpong"], default: "loop" },
+  dwellTime: { type: Number, default: 0 }, // Seconds at each point
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('PatrolRoute', PatrolRouteSchema);
@@ -27,7 +27,18 @@ const ProgressSchema = new mongoose.Schema({
     turnRate: { type: Number, default: 0.05 },
     batteryCapacity: { type: Number, default: 100 },
     batteryLevel: { type: Number, default: 100 },
+    maxSlope: { type: Number, default: 30 },
   },
+  patrolRouteId: { type: String, default: null }, // routeId of the PatrolRoute the robot drives
+  // Tasks the robot runs one after the other, the one it was running first
+  taskQueue: [{
+    _id: false,
+    behavior: { type: String, required: true },
+    x: { type: Number }, // goTo destination
+    z: { type: Number },
+    duration: { type: Number, min: 0 }, // Seconds of simulated time
+    battery: { type: Number, min: 0, max: 100 }, // Battery percent the task ends at
+  }],
   updatedAt: {
     type: Date,
     default: Date.now,
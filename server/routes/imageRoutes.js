@@ -1,11 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const imageController = require("../controllers/imageController");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { uploadTerrainImage } = require("../middleware/uploadMiddleware");
 
-// Route to fetch all images (rendering all at once) 
+// Route to list image metadata (paginated, supports page/limit or cursor, sort/order and search)
 router.get("/", imageController.getAllImages);
 
-// Route to fetch only one image (rendering based on position)
+// Route to fetch a small PNG preview of an image
+router.get("/:id/thumbnail", imageController.getThumbnail);
+
+// Route to fetch only one image at full resolution (rendering based on position)
 router.get("/:id", imageController.getImageById);
 
+// Route to upload a new terrain image (multipart, field name "image")
+router.post("/", authenticateToken, uploadTerrainImage, imageController.uploadImage);
+
+// Route to update an image's title/description and optionally replace the image
+router.put("/:id", authenticateToken, uploadTerrainImage, imageController.updateImage);
+
+// Route to delete an image
+router.delete("/:id", authenticateToken, imageController.deleteImage);
+
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,12 @@ router.post("/", authenticateToken, progressController.saveProgress);
 // Route to fetch progress for a specific user
 router.get("/", authenticateToken, progressController.getProgress);
 
+// Route to fetch the patrol routes saved with the user's progress
+router.get("/patrol-routes", authenticateToken, progressController.getPatrolRoutes);
+
+// Route to fetch the mission (simulation seed) saved with the user's progress
+router.get("/mission", authenticateToken, progressController.getMission);
+
 // New route to delete all progress for a specific user
 router.delete("/user/:userId", authenticateToken, progressController.deleteProgress);
 
@@ -2,8 +2,118 @@ const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
 const MarsPicture = require('./models/MarsPicture');
+const { parseMapMetadata, validateMapMetadata } = require('./utils/mapMetadata');
+const {
+  parsePds3Label,
+  extractAttachedLabel,
+  resolveImagePointer,
+  readPds3Raster,
+  readRawRaster,
+  rasterToHeightmap,
+} = require('./utils/demImport');
 require("dotenv").config();
 
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+// PDS3 images (attached label in .img, or a detached .lbl next to the data file)
+const PDS3_EXTENSIONS = ['.img', '.lbl'];
+// Headerless rasters, described by their sidecar (width, height, sampleType, ...)
+const RAW_EXTENSIONS = ['.raw', '.f32', '.bin'];
+
+// Optional sidecar file (e.g. crater.json next to crater.png) with title, description and metadata
+const readSidecar = (filePath) => {
+  const ext = path.extname(filePath);
+  const sidecarPath = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.json`);
+  if (!fs.existsSync(sidecarPath)) return {};
+  return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+};
+
+// Find a file in a directory ignoring case, PDS labels usually name their data file in upper case
+const findFile = (dir, name) => {
+  const match = fs.readdirSync(dir).find(file => file.toLowerCase() === name.toLowerCase());
+  return match ? path.join(dir, match) : null;
+};
+
+/**
+ * Read a DEM file into a raster of elevations.
+ * Returns null for .img files without an attached label, those are imported through their .lbl.
+ */
+const readDemRaster = (filePath, sidecar) => {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (RAW_EXTENSIONS.includes(ext)) {
+    return readRawRaster(fs.readFileSync(filePath), sidecar);
+  }
+
+  if (ext === '.lbl') {
+    const label = parsePds3Label(fs.readFileSync(filePath, 'latin1'));
+    const recordBytes = Number(label.RECORD_BYTES) || 1;
+    const { file } = resolveImagePointer(label['^IMAGE'], recordBytes);
+    const dataPath = file
+      ? findFile(path.dirname(filePath), file)
+      : findFile(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.img`);
+    if (!dataPath) {
+      throw new Error(`data file ${file || 'for label'} not found`);
+    }
+    return readPds3Raster(label, fs.readFileSync(dataPath));
+  }
+
+  const data = fs.readFileSync(filePath);
+  const labelText = extractAttachedLabel(data);
+  if (!labelText) {
+    const hasDetachedLabel = findFile(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.lbl`);
+    if (hasDetachedLabel) return null;
+    throw new Error('no PDS3 label found (attached or .lbl)');
+  }
+  return readPds3Raster(parsePds3Label(labelText), data);
+};
+
+/**
+ * Build the MarsPicture fields for a file, or null if the file is skipped
+ */
+const buildPicture = (filePath) => {
+  const file = path.basename(filePath);
+  const ext = path.extname(file).toLowerCase();
+  const sidecar = readSidecar(filePath);
+
+  const { metadata: sidecarMetadata, error: metadataError } = parseMapMetadata(sidecar);
+  if (metadataError) throw new Error(metadataError);
+
+  const picture = {
+    title: sidecar.title || path.basename(file, path.extname(file)),
+    description: sidecar.description || "Mars terrain image",
+  };
+
+  if (IMAGE_EXTENSIONS.includes(ext)) {
+    return {
+      ...picture,
+      image: {
+        data: fs.readFileSync(filePath),
+        contentType: ext === '.png' ? 'image/png' : 'image/jpeg'
+      },
+      metadata: sidecarMetadata,
+    };
+  }
+
+  const raster = readDemRaster(filePath, sidecar);
+  if (!raster) return null;
+
+  // The sidecar can supply what the label doesn't know (resolution before any downsampling)
+  raster.metersPerPixel = raster.metersPerPixel || sidecarMetadata.metersPerPixel;
+  raster.origin = raster.origin || sidecarMetadata.origin;
+
+  const heightmap = rasterToHeightmap(raster, { maxDimension: Number(sidecar.maxDimension) || undefined });
+  console.log(`Converted ${file}: ${raster.width}x${raster.height} -> ${heightmap.width}x${heightmap.height}, ` +
+    `elevation ${heightmap.metadata.elevationMin.toFixed(1)}..${heightmap.metadata.elevationMax.toFixed(1)} m`);
+
+  return {
+    ...picture,
+    description: sidecar.description || "Mars digital elevation model",
+    image: { data: heightmap.png, contentType: 'image/png' },
+    metadata: { ...sidecarMetadata, ...heightmap.metadata },
+  };
+};
+
+// Usage: node storeImage.js [file ...]  (defaults to everything in mars_images)
 (async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI, {
@@ -13,28 +123,35 @@ require("dotenv").config();
     console.log("Connected to MongoDB");
 
     const imagesDir = path.join(__dirname, 'mars_images');
-    const files = fs.readdirSync(imagesDir);
-
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (['.jpg', '.jpeg', '.png'].includes(ext)) {
-        const filePath = path.join(imagesDir, file);
-
-        const imageData = fs.readFileSync(filePath);
-
-        // Create new MarsPicture document 
-        const newPicture = new MarsPicture({
-          title: path.basename(file, ext),  
-          description: "Mars terrain image",
-          image: {
-            data: imageData,
-            contentType: ext === '.png' ? 'image/png' : 'image/jpeg'
-          },
-        });
-
-        await newPicture.save();
-        console.log(`Stored ${file}`);
+    const files = process.argv.length > 2
+      ? process.argv.slice(2).map(file => path.resolve(file))
+      : fs.readdirSync(imagesDir).map(file => path.join(imagesDir, file));
+    const supported = [...IMAGE_EXTENSIONS, ...PDS3_EXTENSIONS, ...RAW_EXTENSIONS];
+
+    for (const filePath of files) {
+      const file = path.basename(filePath);
+      if (!supported.includes(path.extname(file).toLowerCase())) continue;
+
+      let fields;
+      try {
+        fields = buildPicture(filePath);
+      } catch (error) {
+        console.error(`Skipping ${file}: ${error.message}`);
+        continue;
+      }
+      if (!fields) continue;
+
+      const validationError = validateMapMetadata(fields.metadata);
+      if (validationError) {
+        console.error(`Skipping ${file}: ${validationError}`);
+        continue;
       }
+
+      // Create new MarsPicture document
+      const newPicture = new MarsPicture(fields);
+
+      await newPicture.save();
+      console.log(`Stored ${file}`);
     }
 
     console.log("All images stored successfully!");
@@ -42,4 +159,4 @@ require("dotenv").config();
   } catch (error) {
     console.error("Error storing images:", error);
   }
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,448 @@
+const { PNG } = require("pngjs");
+
+// Mean radius of Mars in meters, used to convert a PIXELS/DEGREE resolution into meters
+const MARS_RADIUS_METERS = 3396190;
+// Largest side of the stored heightmap, larger rasters are averaged down to it
+const DEFAULT_MAX_DIMENSION = 2048;
+// ISIS/PDS special pixel values (NULL, LRS, LIS, HIS, HRS) all sit at the bottom of the float32 range
+const SPECIAL_PIXEL_THRESHOLD = -1e38;
+
+// ---------------------------------------------------------------------------
+// PDS3 label parsing
+// ---------------------------------------------------------------------------
+
+// Parse a single label value: strings, numbers with optional <UNIT>, based integers (16#FF#), lists
+const parseLabelValue = (raw) => {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    return value.slice(1, value.lastIndexOf('"')).replace(/\s+/g, " ").trim();
+  }
+  if (value.startsWith("(") || value.startsWith("{")) {
+    const inner = value.slice(1, -1);
+    const items = [];
+    let depth = 0;
+    let inQuotes = false;
+    let current = "";
+    for (const char of inner) {
+      if (char === '"') inQuotes = !inQuotes;
+      if (!inQuotes && (char === "(" || char === "{")) depth++;
+      if (!inQuotes && (char === ")" || char === "}")) depth--;
+      if (char === "," && depth === 0 && !inQuotes) {
+        items.push(parseLabelValue(current));
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) items.push(parseLabelValue(current));
+    return items;
+  }
+
+  const based = value.match(/^(\d+)#([0-9A-Fa-f]+)#$/);
+  if (based) {
+    return { radix: Number(based[1]), bits: parseInt(based[2], Number(based[1])) };
+  }
+
+  const withUnit = value.match(/^([-+]?[\d.]+(?:[eE][-+]?\d+)?)\s*<([^>]+)>$/);
+  if (withUnit) {
+    return { value: Number(withUnit[1]), unit: withUnit[2].trim().toUpperCase() };
+  }
+
+  if (/^[-+]?[\d.]+(?:[eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  return value.replace(/^'|'$/g, "");
+};
+
+// Multi-line values continue while a quote or a list is still open
+const isValueComplete = (value) => {
+  const quotes = (value.match(/"/g) || []).length;
+  const opens = (value.match(/[({]/g) || []).length;
+  const closes = (value.match(/[)}]/g) || []).length;
+  return quotes % 2 === 0 && opens <= closes;
+};
+
+/**
+ * Parse PDS3 label text into nested objects.
+ * OBJECT/GROUP blocks become nested objects keyed by their name (arrays when repeated).
+ */
+const parsePds3Label = (text) => {
+  const root = {};
+  const stack = [root];
+  const lines = text.replace(/\/\*[\s\S]*?\*\//g, "").split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (line === "END") break;
+
+    const eq = line.indexOf("=");
+    if (eq === -1) continue;
+
+    const key = line.slice(0, eq).trim();
+    let value = line.slice(eq + 1).trim();
+    while (!isValueComplete(value) && i + 1 < lines.length) {
+      value += " " + lines[++i].trim();
+    }
+
+    const current = stack[stack.length - 1];
+    if (key === "OBJECT" || key === "GROUP") {
+      const name = String(parseLabelValue(value));
+      const block = {};
+      if (current[name] === undefined) {
+        current[name] = block;
+      } else {
+        current[name] = [].concat(current[name], block);
+      }
+      stack.push(block);
+    } else if (key === "END_OBJECT" || key === "END_GROUP") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current[key] = parseLabelValue(value);
+    }
+  }
+
+  return root;
+};
+
+// Read a numeric label value that may carry a unit
+const labelNumber = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "number") return value;
+  if (typeof value === "object" && "value" in value) return value.value;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Find the label text at the start of a file with an attached label
+ * Returns null if the file doesn't start with a PDS3 label.
+ */
+const extractAttachedLabel = (buffer) => {
+  const head = buffer.subarray(0, Math.min(buffer.length, 1024 * 1024)).toString("latin1");
+  if (!/^\s*(PDS_VERSION_ID|ODL_VERSION_ID|CCSD)/.test(head)) return null;
+  const end = head.search(/\r?\nEND\s*(\r?\n|$)/);
+  return end === -1 ? head : head.slice(0, end + 5);
+};
+
+// Resolve the ^IMAGE pointer to a byte offset and an optional detached data file name
+const resolveImagePointer = (pointer, recordBytes) => {
+  const toOffset = (location) => {
+    if (location === undefined) return 0;
+    if (typeof location === "object" && location.unit === "BYTES") return location.value - 1;
+    return (labelNumber(location) - 1) * recordBytes;
+  };
+
+  if (Array.isArray(pointer)) {
+    return { file: pointer[0], offset: toOffset(pointer[1]) };
+  }
+  if (typeof pointer === "string") {
+    return { file: pointer, offset: 0 };
+  }
+  return { file: null, offset: toOffset(pointer) };
+};
+
+// Map a PDS3 SAMPLE_TYPE to how samples are stored
+const describeSampleType = (sampleType, bits) => {
+  const type = String(sampleType).toUpperCase();
+  const littleEndian = /^(PC_|LSB_|VAX_)/.test(type);
+
+  if (type.includes("REAL") || type.includes("FLOAT")) {
+    if (type.startsWith("VAX")) throw new Error(`Unsupported sample type ${type}`);
+    return { kind: "float", bits, littleEndian };
+  }
+  if (type.includes("UNSIGNED")) {
+    return { kind: "uint", bits, littleEndian };
+  }
+  if (type.includes("INTEGER")) {
+    return { kind: "int", bits, littleEndian };
+  }
+  throw new Error(`Unsupported sample type ${type}`);
+};
+
+// Convert a based integer constant (e.g. 16#FF7FFFFB#) to the value it encodes for this sample type
+const labelConstant = (value, sample) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "object" && "bits" in value) {
+    if (sample.kind === "float" && sample.bits === 32) {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setUint32(0, value.bits);
+      return view.getFloat32(0);
+    }
+    return value.bits;
+  }
+  return labelNumber(value);
+};
+
+// ---------------------------------------------------------------------------
+// Raster reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a band of samples into elevations in meters (NaN for missing data)
+ * layout: { offset, width, height, sample, linePrefixBytes, lineSuffixBytes,
+ *           scale, valueOffset, invalid: Set of raw values, validMin, validMax }
+ */
+const readSamples = (buffer, layout) => {
+  const { width, height, sample } = layout;
+  const bytesPerSample = sample.bits / 8;
+  const lineBytes = (layout.linePrefixBytes || 0) + width * bytesPerSample + (layout.lineSuffixBytes || 0);
+  const needed = layout.offset + lineBytes * height;
+  if (buffer.length < needed) {
+    throw new Error(`Raster data is truncated: expected ${needed} bytes, found ${buffer.length}`);
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const read = {
+    float: { 32: (o, le) => view.getFloat32(o, le), 64: (o, le) => view.getFloat64(o, le) },
+    int: { 8: (o) => view.getInt8(o), 16: (o, le) => view.getInt16(o, le), 32: (o, le) => view.getInt32(o, le) },
+    uint: { 8: (o) => view.getUint8(o), 16: (o, le) => view.getUint16(o, le), 32: (o, le) => view.getUint32(o, le) },
+  }[sample.kind][sample.bits];
+  if (!read) {
+    throw new Error(`Unsupported sample size: ${sample.bits}-bit ${sample.kind}`);
+  }
+
+  const scale = layout.scale ?? 1;
+  const valueOffset = layout.valueOffset ?? 0;
+  const invalid = layout.invalid || new Set();
+  const values = new Float32Array(width * height);
+
+  for (let row = 0; row < height; row++) {
+    const rowStart = layout.offset + row * lineBytes + (layout.linePrefixBytes || 0);
+    for (let col = 0; col < width; col++) {
+      const raw = read(rowStart + col * bytesPerSample, sample.littleEndian);
+      const isMissing = Number.isNaN(raw) ||
+        invalid.has(raw) ||
+        (sample.kind === "float" && raw < SPECIAL_PIXEL_THRESHOLD) ||
+        (layout.validMin !== undefined && raw < layout.validMin) ||
+        (layout.validMax !== undefined && raw > layout.validMax);
+      values[row * width + col] = isMissing ? NaN : raw * scale + valueOffset;
+    }
+  }
+
+  return values;
+};
+
+// Horizontal resolution from the map projection (MAP_SCALE, or MAP_RESOLUTION in pixels/degree)
+const projectionMetersPerPixel = (projection) => {
+  if (!projection) return undefined;
+
+  const scale = projection.MAP_SCALE;
+  const scaleValue = labelNumber(scale);
+  if (scaleValue) {
+    const unit = typeof scale === "object" && scale.unit ? scale.unit : "METERS/PIXEL";
+    return unit.startsWith("KM") ? scaleValue * 1000 : scaleValue;
+  }
+
+  const resolution = labelNumber(projection.MAP_RESOLUTION);
+  if (resolution) {
+    return (2 * Math.PI * MARS_RADIUS_METERS) / 360 / resolution;
+  }
+  return undefined;
+};
+
+// Upper-left corner of the raster, falling back to its center
+const projectionOrigin = (projection) => {
+  if (!projection) return undefined;
+  const latitude = labelNumber(projection.MAXIMUM_LATITUDE) ?? labelNumber(projection.CENTER_LATITUDE);
+  const longitude = labelNumber(projection.WESTERNMOST_LONGITUDE) ?? labelNumber(projection.CENTER_LONGITUDE);
+  if (latitude === undefined && longitude === undefined) return undefined;
+  return { latitude, longitude };
+};
+
+/**
+ * Read a PDS3 .IMG raster.
+ * label: parsed label; dataBuffer: the file holding the image data (the .IMG itself for attached labels)
+ */
+const readPds3Raster = (label, dataBuffer) => {
+  const image = Array.isArray(label.IMAGE) ? label.IMAGE[0] : label.IMAGE;
+  if (!image) {
+    throw new Error("Label has no IMAGE object");
+  }
+
+  const recordBytes = labelNumber(label.RECORD_BYTES) || 1;
+  const { offset } = resolveImagePointer(label["^IMAGE"], recordBytes);
+  const sample = describeSampleType(image.SAMPLE_TYPE, labelNumber(image.SAMPLE_BITS));
+  const width = labelNumber(image.LINE_SAMPLES);
+  const height = labelNumber(image.LINES);
+  if (!width || !height) {
+    throw new Error("IMAGE object is missing LINES or LINE_SAMPLES");
+  }
+
+  const invalid = new Set(
+    ["MISSING_CONSTANT", "MISSING", "CORE_NULL", "NULL", "INVALID_CONSTANT"]
+      .map((key) => labelConstant(image[key], sample))
+      .filter((value) => value !== undefined)
+  );
+
+  const values = readSamples(dataBuffer, {
+    offset,
+    width,
+    height,
+    sample,
+    linePrefixBytes: labelNumber(image.LINE_PREFIX_BYTES),
+    lineSuffixBytes: labelNumber(image.LINE_SUFFIX_BYTES),
+    scale: labelNumber(image.SCALING_FACTOR),
+    valueOffset: labelNumber(image.OFFSET),
+    invalid,
+    validMin: labelConstant(image.VALID_MINIMUM, sample),
+    validMax: labelConstant(image.VALID_MAXIMUM, sample),
+  });
+
+  const projection = label.IMAGE_MAP_PROJECTION;
+  return {
+    width,
+    height,
+    values,
+    metersPerPixel: projectionMetersPerPixel(projection),
+    origin: projectionOrigin(projection),
+  };
+};
+
+const RAW_SAMPLE_TYPES = {
+  float32: { kind: "float", bits: 32 },
+  float64: { kind: "float", bits: 64 },
+  int16: { kind: "int", bits: 16 },
+  uint16: { kind: "uint", bits: 16 },
+  int32: { kind: "int", bits: 32 },
+  uint8: { kind: "uint", bits: 8 },
+};
+
+/**
+ * Read a headerless raster described by a sidecar:
+ * { width, height, sampleType = "float32", byteOrder = "little", headerBytes = 0,
+ *   noData, scale = 1, offset = 0, metersPerPixel, origin }
+ */
+const readRawRaster = (buffer, options) => {
+  const width = Number(options.width);
+  const height = Number(options.height);
+  if (!width || !height) {
+    throw new Error("Raw rasters need width and height in their sidecar file");
+  }
+
+  const sampleType = RAW_SAMPLE_TYPES[options.sampleType || "float32"];
+  if (!sampleType) {
+    throw new Error(`Unsupported sampleType "${options.sampleType}", use one of ${Object.keys(RAW_SAMPLE_TYPES).join(", ")}`);
+  }
+
+  const values = readSamples(buffer, {
+    offset: Number(options.headerBytes) || 0,
+    width,
+    height,
+    sample: { ...sampleType, littleEndian: (options.byteOrder || "little") === "little" },
+    scale: options.scale !== undefined ? Number(options.scale) : 1,
+    valueOffset: options.offset !== undefined ? Number(options.offset) : 0,
+    invalid: new Set(options.noData !== undefined ? [Number(options.noData)] : []),
+  });
+
+  return {
+    width,
+    height,
+    values,
+    metersPerPixel: options.metersPerPixel !== undefined ? Number(options.metersPerPixel) : undefined,
+    origin: options.origin,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Heightmap conversion
+// ---------------------------------------------------------------------------
+
+// Average blocks of samples (ignoring missing data) so the longest side fits maxDimension
+const downsampleRaster = (raster, maxDimension) => {
+  const factor = Math.max(raster.width, raster.height) / maxDimension;
+  if (factor <= 1) return raster;
+
+  const width = Math.max(1, Math.round(raster.width / factor));
+  const height = Math.max(1, Math.round(raster.height / factor));
+  const values = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * raster.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * raster.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * raster.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * raster.width) / width));
+      let sum = 0;
+      let count = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const value = raster.values[sy * raster.width + sx];
+          if (!Number.isNaN(value)) {
+            sum += value;
+            count++;
+          }
+        }
+      }
+      values[y * width + x] = count > 0 ? sum / count : NaN;
+    }
+  }
+
+  return {
+    ...raster,
+    width,
+    height,
+    values,
+    metersPerPixel: raster.metersPerPixel ? raster.metersPerPixel * (raster.width / width) : raster.metersPerPixel,
+  };
+};
+
+/**
+ * Normalize a raster of elevations into a 16-bit grayscale PNG heightmap.
+ * Missing data is filled with the lowest elevation.
+ * Returns { png: Buffer, width, height, metadata } where metadata fits MarsPicture.metadata.
+ */
+const rasterToHeightmap = (raster, { maxDimension = DEFAULT_MAX_DIMENSION } = {}) => {
+  const scaled = downsampleRaster(raster, maxDimension);
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of scaled.values) {
+    if (Number.isNaN(value)) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (min === Infinity) {
+    throw new Error("Raster has no valid elevation samples");
+  }
+  // A perfectly flat raster still needs a non-empty range
+  const range = max > min ? max - min : 1;
+
+  const png = new PNG({
+    width: scaled.width,
+    height: scaled.height,
+    bitDepth: 16,
+    colorType: 0,
+    inputColorType: 0,
+    inputHasAlpha: false,
+  });
+  // pngjs takes 16-bit samples in platform byte order
+  const samples = new Uint16Array(scaled.width * scaled.height);
+  scaled.values.forEach((value, i) => {
+    samples[i] = Number.isNaN(value) ? 0 : Math.round(((value - min) / range) * 65535);
+  });
+  png.data = Buffer.from(samples.buffer);
+
+  const metadata = { elevationMin: min, elevationMax: min + range };
+  if (scaled.metersPerPixel) metadata.metersPerPixel = scaled.metersPerPixel;
+  if (scaled.origin) metadata.origin = scaled.origin;
+
+  return {
+    png: PNG.sync.write(png, { bitDepth: 16, colorType: 0, inputColorType: 0, inputHasAlpha: false }),
+    width: scaled.width,
+    height: scaled.height,
+    metadata,
+  };
+};
+
+module.exports = {
+  parsePds3Label,
+  extractAttachedLabel,
+  resolveImagePointer,
+  readPds3Raster,
+  readRawRaster,
+  rasterToHeightmap,
+  DEFAULT_MAX_DIMENSION,
+};
@@ -0,0 +1,49 @@
+// Magic numbers used to check that an uploaded file really is the image type it claims to be
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+const ALLOWED_IMAGE_TYPES = ["image/png", "image/jpeg"];
+
+// Detect the image type from the file contents, returns null for anything that isn't PNG/JPEG
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  if (buffer.length >= PNG_SIGNATURE.length &&
+      buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+  if (buffer.length >= JPEG_SIGNATURE.length &&
+      buffer.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)) {
+    return "image/jpeg";
+  }
+  return null;
+};
+
+// Read width/height from the PNG IHDR chunk or the JPEG start-of-frame marker without decoding
+const getImageDimensions = (buffer) => {
+  const type = detectImageType(buffer);
+
+  if (type === "image/png" && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (type === "image/jpeg") {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+module.exports = { ALLOWED_IMAGE_TYPES, detectImageType, getImageDimensions };
@@ -0,0 +1,81 @@
+// Real-world metadata that can be attached to a terrain map
+const NUMERIC_FIELDS = ["elevationMin", "elevationMax", "metersPerPixel", "verticalExaggeration"];
+const ORIGIN_FIELDS = ["latitude", "longitude"];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Parse map metadata from a request body or a sidecar JSON object.
+ * Accepts either flat fields (elevationMin, originLatitude, ...) as sent by multipart
+ * forms, or a nested "metadata" object/JSON string.
+ * Returns { metadata } with only the fields that were given, or { error }.
+ * Range checks are done separately by validateMapMetadata.
+ */
+const parseMapMetadata = (source = {}) => {
+  let input = source;
+  if (source.metadata !== undefined) {
+    try {
+      input = typeof source.metadata === "string" ? JSON.parse(source.metadata) : source.metadata;
+    } catch {
+      return { error: "metadata must be valid JSON." };
+    }
+  }
+  if (!input || typeof input !== "object") {
+    return { metadata: {} };
+  }
+
+  const metadata = {};
+  for (const field of NUMERIC_FIELDS) {
+    const value = toNumber(input[field]);
+    if (Number.isNaN(value)) {
+      return { error: `${field} must be a number.` };
+    }
+    if (value !== undefined) metadata[field] = value;
+  }
+
+  const origin = {};
+  for (const field of ORIGIN_FIELDS) {
+    const flatName = `origin${field[0].toUpperCase()}${field.slice(1)}`;
+    const value = toNumber(input.origin ? input.origin[field] : input[flatName]);
+    if (Number.isNaN(value)) {
+      return { error: `origin ${field} must be a number.` };
+    }
+    if (value !== undefined) origin[field] = value;
+  }
+  if (Object.keys(origin).length > 0) metadata.origin = origin;
+
+  return { metadata };
+};
+
+/**
+ * Check the ranges of a complete metadata object (after merging an update into
+ * the stored values). Returns an error message or null.
+ */
+const validateMapMetadata = (metadata = {}) => {
+  if (metadata.metersPerPixel != null && metadata.metersPerPixel <= 0) {
+    return "metersPerPixel must be greater than 0.";
+  }
+  if (metadata.verticalExaggeration != null && metadata.verticalExaggeration <= 0) {
+    return "verticalExaggeration must be greater than 0.";
+  }
+  if (metadata.elevationMin != null && metadata.elevationMax != null &&
+      metadata.elevationMax <= metadata.elevationMin) {
+    return "elevationMax must be greater than elevationMin.";
+  }
+  if (metadata.origin) {
+    const { latitude, longitude } = metadata.origin;
+    if (latitude != null && (latitude < -90 || latitude > 90)) {
+      return "origin latitude must be between -90 and 90.";
+    }
+    if (longitude != null && (longitude < -180 || longitude > 360)) {
+      return "origin longitude must be between -180 and 360.";
+    }
+  }
+  return null;
+};
+
+module.exports = { parseMapMetadata, validateMapMetadata };
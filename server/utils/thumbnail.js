@@ -0,0 +1,58 @@
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+const { detectImageType } = require("./imageFormat");
+
+const THUMBNAIL_SIZE = 256; // Longest side in pixels
+
+// Decode a PNG/JPEG buffer into 8-bit RGBA pixels
+const decodeImage = (buffer) => {
+  const type = detectImageType(buffer);
+  if (type === "image/png") {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (type === "image/jpeg") {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+    return { width: image.width, height: image.height, data: image.data };
+  }
+  throw new Error("Unsupported image format");
+};
+
+// Downscale an image by averaging each block of source pixels (box filter) and encode it as PNG
+const createThumbnail = (buffer, maxSize = THUMBNAIL_SIZE) => {
+  const source = decodeImage(buffer);
+  const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+
+  const thumbnail = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * source.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * source.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * source.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * source.width) / width));
+
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * source.width + sx) * 4;
+          sum[0] += source.data[i];
+          sum[1] += source.data[i + 1];
+          sum[2] += source.data[i + 2];
+          sum[3] += source.data[i + 3];
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        thumbnail.data[o + c] = Math.round(sum[c] / count);
+      }
+    }
+  }
+
+  return PNG.sync.write(thumbnail);
+};
+
+module.exports = { createThumbnail, decodeImage, THUMBNAIL_SIZE };